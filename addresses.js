@@ -0,0 +1,143 @@
+const { dbAll, dbGet, dbRun, dbTransaction } = require('./database');
+
+// Champs d'une adresse saisis par l'utilisateur (le pays est toujours la France)
+const ADDRESS_FIELDS = ['label', 'first_name', 'last_name', 'company', 'line1', 'line2', 'postal_code', 'city', 'phone'];
+const OPTIONAL_ADDRESS_FIELDS = ['label', 'company', 'line2'];
+
+// Codes postaux français : départements 01 à 95 (Corse 20), outre-mer en 97 (971 Guadeloupe à 978 Saint-Martin)
+// et en 98 (980 Monaco, 986 Wallis-et-Futuna, 987 Polynésie, 988 Nouvelle-Calédonie) ; 96 n'existe pas
+const POSTAL_CODE_PATTERN = /^(?:(?:0[1-9]|[1-8]\d|9[0-5])\d{3}|97[1-8]\d{2}|98[06-8]\d{2})$/;
+
+// 06 12 34 56 78, +33 6 12 34 56 78 ou 0033612345678 (espaces, points ou tirets acceptés)
+const PHONE_PATTERN = /^(?:(?:\+|00)33[\s.-]?|0)[1-9](?:[\s.-]?\d{2}){4}$/;
+
+// Téléphone enregistré au format national : 06 12 34 56 78
+const formatPhone = (phone) => {
+    const digits = String(phone).replace(/\D/g, '').slice(-9);
+    return `0${digits}`.replace(/(\d{2})(?=\d)/g, '$1 ');
+};
+
+// Valeurs à enregistrer pour les champs fournis (vide = champ facultatif effacé)
+const normalizeAddress = (data) => {
+    const address = {};
+    for (const field of ADDRESS_FIELDS) {
+        if (data[field] === undefined) continue;
+
+        const value = data[field] === null ? '' : String(data[field]).trim();
+        address[field] = OPTIONAL_ADDRESS_FIELDS.includes(field) && value === '' ? null : value;
+    }
+    if (address.phone) {
+        address.phone = formatPhone(address.phone);
+    }
+    if (address.city) {
+        address.city = address.city.toUpperCase();
+    }
+    return address;
+};
+
+const DEFAULT_FLAGS = ['is_default_shipping', 'is_default_billing'];
+
+// Une seule adresse par défaut de chaque type (à appeler dans une transaction)
+const clearDefaults = async (userId, flags) => {
+    for (const flag of flags) {
+        await dbRun(`UPDATE addresses SET ${flag} = 0 WHERE user_id = ?`, [userId]);
+    }
+};
+
+const getAddresses = (userId) => {
+    return dbAll(
+        'SELECT * FROM addresses WHERE user_id = ? ORDER BY is_default_shipping DESC, is_default_billing DESC, id DESC',
+        [userId]
+    );
+};
+
+const getAddress = (userId, addressId) => {
+    return dbGet('SELECT * FROM addresses WHERE id = ? AND user_id = ?', [addressId, userId]);
+};
+
+// Ajouter une adresse ; la première du carnet devient l'adresse par défaut
+const createAddress = (userId, data) => {
+    return dbTransaction(async () => {
+        const { count } = await dbGet('SELECT COUNT(*) as count FROM addresses WHERE user_id = ?', [userId]);
+        const flags = DEFAULT_FLAGS.filter(flag => count === 0 || data[flag] === true);
+        await clearDefaults(userId, flags);
+
+        const address = normalizeAddress(data);
+        const result = await dbRun(
+            `INSERT INTO addresses (user_id, ${ADDRESS_FIELDS.join(', ')}, is_default_shipping, is_default_billing)
+             VALUES (?, ${ADDRESS_FIELDS.map(() => '?').join(', ')}, ?, ?)`,
+            [userId, ...ADDRESS_FIELDS.map(field => address[field] ?? null),
+                flags.includes('is_default_shipping') ? 1 : 0, flags.includes('is_default_billing') ? 1 : 0]
+        );
+        return getAddress(userId, result.id);
+    });
+};
+
+// Modifier une adresse du carnet (null si elle n'appartient pas à l'utilisateur)
+const updateAddress = (userId, addressId, data) => {
+    return dbTransaction(async () => {
+        const current = await getAddress(userId, addressId);
+        if (!current) return null;
+
+        // Une adresse devient celle par défaut, mais ne cesse de l'être qu'au profit d'une autre :
+        // false est ignoré, le carnet garde toujours une adresse par défaut (comme à la suppression)
+        const address = normalizeAddress(data);
+        const flags = DEFAULT_FLAGS.filter(flag => data[flag] === true && !current[flag]);
+        await clearDefaults(userId, flags);
+
+        const updates = [
+            ...Object.keys(address).map(field => ({ field, value: address[field] })),
+            ...flags.map(flag => ({ field: flag, value: 1 }))
+        ];
+        if (updates.length > 0) {
+            await dbRun(
+                `UPDATE addresses SET ${updates.map(update => `${update.field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [...updates.map(update => update.value), addressId]
+            );
+        }
+        return getAddress(userId, addressId);
+    });
+};
+
+// Supprimer une adresse ; la plus récente des restantes reprend ses rôles par défaut
+const deleteAddress = (userId, addressId) => {
+    return dbTransaction(async () => {
+        const address = await getAddress(userId, addressId);
+        if (!address) return false;
+
+        await dbRun('DELETE FROM addresses WHERE id = ?', [addressId]);
+
+        const next = await dbGet('SELECT id FROM addresses WHERE user_id = ? ORDER BY id DESC LIMIT 1', [userId]);
+        if (next) {
+            for (const flag of DEFAULT_FLAGS.filter(item => address[item])) {
+                await dbRun(`UPDATE addresses SET ${flag} = 1 WHERE id = ?`, [next.id]);
+            }
+        }
+        return true;
+    });
+};
+
+// Copie figée sur la commande : modifier le carnet ensuite ne réécrit pas l'historique
+const addressSnapshot = (address) => {
+    const normalized = normalizeAddress(address);
+    return JSON.stringify({
+        ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, normalized[field] ?? null])),
+        country: 'FR'
+    });
+};
+
+const parseAddressSnapshot = (snapshot) => (snapshot ? JSON.parse(snapshot) : null);
+
+module.exports = {
+    ADDRESS_FIELDS,
+    POSTAL_CODE_PATTERN,
+    PHONE_PATTERN,
+    getAddresses,
+    getAddress,
+    createAddress,
+    updateAddress,
+    deleteAddress,
+    addressSnapshot,
+    parseAddressSnapshot
+};
@@ -1,4 +1,40 @@
-const { dbAll, dbGet, dbRun } = require('./database');
+const { dbAll, dbGet, dbRun, dbTransaction } = require('./database');
+const { parseSizes, formatSizes, buildSku } = require('./inventory');
+const { ORDER_STATUSES, ORDER_TRANSITIONS, changeOrderStatus, cancelPendingOrder } = require('./orders');
+const { refundOrderPayment } = require('./payments');
+const { parseAddressSnapshot } = require('./addresses');
+const { deleteUserAccount } = require('./users');
+const { getSuspiciousActivity } = require('./logins');
+const { attachVariants } = require('./catalog');
+const { invalidateSearchVocabulary } = require('./search');
+const { promotionDataError } = require('./promotions');
+const { MAX_IMAGES_PER_PRODUCT, saveProductImage, removeImageFiles, attachImages } = require('./images');
+
+// Champs modifiables d'un code promo ; une valeur vide efface les champs facultatifs
+const PROMOTION_FIELDS = [
+    'code', 'description', 'discount_type', 'discount_value', 'scope', 'scope_brand', 'scope_product_id',
+    'min_cart_amount', 'max_uses', 'max_uses_per_user', 'starts_at', 'ends_at', 'is_active'
+];
+
+const normalizePromotion = (promotionData) => {
+    const data = {};
+    for (const key of PROMOTION_FIELDS) {
+        if (promotionData[key] === undefined) continue;
+        data[key] = promotionData[key] === '' ? null : promotionData[key];
+    }
+
+    if (data.code) data.code = data.code.toUpperCase();
+    if (data.scope_brand) data.scope_brand = data.scope_brand.toUpperCase();
+    for (const key of ['starts_at', 'ends_at']) {
+        if (data[key]) data[key] = new Date(data[key]).toISOString();
+    }
+    if (data.is_active !== undefined) data.is_active = data.is_active ? 1 : 0;
+
+    // Changer de portée efface la cible de l'ancienne
+    if (data.scope !== undefined && data.scope !== 'brand') data.scope_brand = null;
+    if (data.scope !== undefined && data.scope !== 'product') data.scope_product_id = null;
+    return data;
+};
 
 class AdminFunctions {
     // Récupérer tous les utilisateurs
@@ -71,7 +107,9 @@ class AdminFunctions {
     // Supprimer un utilisateur
     static async deleteUser(userId) {
         try {
-            await dbRun('DELETE FROM users WHERE id = ?', [userId]);
+            if (!(await deleteUserAccount(userId))) {
+                return { success: false, message: 'Utilisateur non trouvé' };
+            }
             return { success: true, message: 'Utilisateur supprimé avec succès' };
         } catch (error) {
             console.error('Erreur deleteUser:', error);
@@ -82,13 +120,22 @@ class AdminFunctions {
     // Ajouter un produit
     static async addProduct(productData) {
         try {
-            const { name, brand, description, price, image_emoji, sizes } = productData;
+            const { name, brand, description, price, image_emoji, sizes, stock, max_per_order, weight_grams } = productData;
 
-            await dbRun(
-                `INSERT INTO products (name, brand, description, price, image_emoji, sizes) 
-                 VALUES (?, ?, ?, ?, ?, ?)`,
-                [name, brand, description, price, image_emoji, sizes]
+            const result = await dbRun(
+                `INSERT INTO products (name, brand, description, price, image_emoji, sizes, max_per_order, weight_grams) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [name, brand, description, price, image_emoji, sizes, parseInt(max_per_order) || null, parseInt(weight_grams) || null]
             );
+            invalidateSearchVocabulary();
+
+            // Une pointure par taille annoncée, avec le stock initial fourni
+            for (const size of parseSizes(sizes)) {
+                await dbRun(
+                    'INSERT OR IGNORE INTO product_variants (product_id, size, sku, stock) VALUES (?, ?, ?, ?)',
+                    [result.id, size, buildSku(result.id, brand, size), parseInt(stock) || 0]
+                );
+            }
 
             return { success: true, message: 'Produit ajouté avec succès' };
         } catch (error) {
@@ -100,13 +147,403 @@ class AdminFunctions {
     // Récupérer tous les produits (pour admin)
     static async getAllProducts() {
         try {
-            const products = await dbAll('SELECT * FROM products ORDER BY created_at DESC');
+            const products = await dbAll('SELECT * FROM products ORDER BY archived_at IS NOT NULL, created_at DESC');
+            await attachVariants(products);
+            await attachImages(products);
             return { success: true, products };
         } catch (error) {
             console.error('Erreur getAllProducts:', error);
             return { success: false, message: 'Erreur récupération produits' };
         }
     }
+
+    // Modifier un produit (champs, archivage et stock par pointure)
+    static async updateProduct(productId, updates) {
+        try {
+            const product = await dbGet('SELECT id, brand, sizes FROM products WHERE id = ?', [productId]);
+            if (!product) {
+                return { success: false, message: 'Produit non trouvé' };
+            }
+
+            const validUpdates = {};
+            for (const key of ['name', 'brand', 'description', 'price', 'image_emoji', 'sizes', 'max_per_order', 'weight_grams']) {
+                if (updates[key] !== undefined) {
+                    validUpdates[key] = updates[key];
+                }
+            }
+            // Champ vide : retour à la limite et au poids par défaut
+            for (const key of ['max_per_order', 'weight_grams']) {
+                if (validUpdates[key] !== undefined) {
+                    validUpdates[key] = parseInt(validUpdates[key]) || null;
+                }
+            }
+
+            // Les pointures ajoutées par le tableau de stock rejoignent la liste du produit
+            const variants = Array.isArray(updates.variants) ? updates.variants : [];
+            const sizesSubmitted = validUpdates.sizes !== undefined;
+            const listedSizes = parseSizes(sizesSubmitted ? validUpdates.sizes : product.sizes);
+            const addedSizes = variants.map(variant => variant.size).filter(size => !listedSizes.includes(size));
+            if (addedSizes.length > 0) {
+                validUpdates.sizes = formatSizes([...listedSizes, ...addedSizes]);
+            }
+
+            const assignments = Object.keys(validUpdates).map(key => `${key} = ?`);
+            const values = Object.values(validUpdates);
+            if (typeof updates.archived === 'boolean') {
+                assignments.push(updates.archived ? 'archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP)' : 'archived_at = NULL');
+            }
+
+            const newSizes = validUpdates.sizes !== undefined ? parseSizes(validUpdates.sizes) : [];
+
+            if (assignments.length === 0 && variants.length === 0) {
+                return { success: false, message: 'Aucune modification valide' };
+            }
+
+            await dbTransaction(async () => {
+                if (assignments.length > 0) {
+                    await dbRun(`UPDATE products SET ${assignments.join(', ')} WHERE id = ?`, [...values, product.id]);
+                }
+
+                // Les nouvelles pointures sont créées sans stock
+                const brand = validUpdates.brand || product.brand;
+                for (const size of newSizes) {
+                    await dbRun(
+                        'INSERT OR IGNORE INTO product_variants (product_id, size, sku, stock) VALUES (?, ?, ?, 0)',
+                        [product.id, size, buildSku(product.id, brand, size)]
+                    );
+                }
+
+                for (const variant of variants) {
+                    await dbRun(
+                        `INSERT INTO product_variants (product_id, size, sku, stock) VALUES (?, ?, ?, ?) 
+                         ON CONFLICT(product_id, size) DO UPDATE SET stock = excluded.stock`,
+                        [product.id, variant.size, buildSku(product.id, brand, variant.size), variant.stock]
+                    );
+                }
+
+                // Pointures retirées de la liste : elles quittent les paniers, puis sont supprimées
+                // si elles n'ont jamais été commandées, sinon conservées sans stock (historique)
+                if (sizesSubmitted) {
+                    const removedVariants = await dbAll(
+                        `SELECT id FROM product_variants WHERE product_id = ? AND size NOT IN (${newSizes.map(() => '?').join(', ')})`,
+                        [product.id, ...newSizes]
+                    );
+                    for (const variant of removedVariants) {
+                        await dbRun('DELETE FROM cart_items WHERE variant_id = ?', [variant.id]);
+                        const ordered = await dbGet('SELECT 1 FROM order_items WHERE variant_id = ? LIMIT 1', [variant.id]);
+                        if (ordered) {
+                            await dbRun('UPDATE product_variants SET stock = 0 WHERE id = ?', [variant.id]);
+                        } else {
+                            await dbRun('DELETE FROM product_variants WHERE id = ?', [variant.id]);
+                        }
+                    }
+                }
+            });
+
+            if (assignments.length > 0) {
+                invalidateSearchVocabulary();
+            }
+
+            return { success: true, message: 'Produit modifié avec succès' };
+        } catch (error) {
+            console.error('Erreur updateProduct:', error);
+            return { success: false, message: 'Erreur modification produit' };
+        }
+    }
+
+    // Supprimer définitivement un produit (les commandes gardent leur copie)
+    static async deleteProduct(productId) {
+        try {
+            const product = await dbGet('SELECT id FROM products WHERE id = ?', [productId]);
+            if (!product) {
+                return { success: false, message: 'Produit non trouvé' };
+            }
+
+            const images = await dbAll('SELECT file_key FROM product_images WHERE product_id = ?', [product.id]);
+
+            await dbTransaction(async () => {
+                await dbRun('DELETE FROM product_images WHERE product_id = ?', [product.id]);
+                await dbRun('DELETE FROM cart_items WHERE product_id = ?', [product.id]);
+                await dbRun('DELETE FROM favorites WHERE product_id = ?', [product.id]);
+                await dbRun('UPDATE order_items SET product_id = NULL, variant_id = NULL WHERE product_id = ?', [product.id]);
+                await dbRun('UPDATE promotions SET scope_product_id = NULL, is_active = 0 WHERE scope_product_id = ?', [product.id]);
+                await dbRun('DELETE FROM product_variants WHERE product_id = ?', [product.id]);
+                await dbRun('DELETE FROM products WHERE id = ?', [product.id]);
+            });
+            invalidateSearchVocabulary();
+
+            for (const image of images) {
+                await removeImageFiles(image.file_key);
+            }
+
+            return { success: true, message: 'Produit supprimé avec succès' };
+        } catch (error) {
+            console.error('Erreur deleteProduct:', error);
+            return { success: false, message: 'Erreur suppression produit' };
+        }
+    }
+
+    // Ajouter des photos à la suite de celles du produit (fichiers déjà contrôlés)
+    static async addProductImages(productId, files) {
+        const savedKeys = [];
+        try {
+            const product = await dbGet('SELECT id FROM products WHERE id = ?', [productId]);
+            if (!product) {
+                return { success: false, message: 'Produit non trouvé' };
+            }
+
+            const { count } = await dbGet('SELECT COUNT(*) as count FROM product_images WHERE product_id = ?', [product.id]);
+            if (count + files.length > MAX_IMAGES_PER_PRODUCT) {
+                return { success: false, message: `${MAX_IMAGES_PER_PRODUCT} photos maximum par produit` };
+            }
+
+            const saved = [];
+            for (const file of files) {
+                const image = await saveProductImage(file.buffer);
+                savedKeys.push(image.fileKey);
+                saved.push(image);
+            }
+
+            await dbTransaction(async () => {
+                const { last } = await dbGet('SELECT COALESCE(MAX(position), -1) as last FROM product_images WHERE product_id = ?', [product.id]);
+                let position = last;
+                for (const image of saved) {
+                    position += 1;
+                    await dbRun(
+                        'INSERT INTO product_images (product_id, file_key, position, width, height) VALUES (?, ?, ?, ?, ?)',
+                        [product.id, image.fileKey, position, image.width, image.height]
+                    );
+                }
+            });
+
+            const [withImages] = await attachImages([{ id: product.id }]);
+            return { success: true, message: 'Photos ajoutées avec succès', images: withImages.images };
+        } catch (error) {
+            console.error('Erreur addProductImages:', error);
+            for (const fileKey of savedKeys) {
+                await removeImageFiles(fileKey);
+            }
+            return { success: false, message: 'Erreur ajout photos' };
+        }
+    }
+
+    // Réordonner les photos : imageIds doit contenir toutes les photos du produit
+    static async reorderProductImages(productId, imageIds) {
+        try {
+            const images = await dbAll('SELECT id FROM product_images WHERE product_id = ?', [productId]);
+            const currentIds = images.map(image => image.id).sort((a, b) => a - b);
+            const requestedIds = [...new Set(imageIds)].sort((a, b) => a - b);
+
+            if (currentIds.length !== imageIds.length || currentIds.join() !== requestedIds.join()) {
+                return { success: false, message: 'Liste de photos invalide' };
+            }
+
+            await dbTransaction(async () => {
+                for (const [position, imageId] of imageIds.entries()) {
+                    await dbRun('UPDATE product_images SET position = ? WHERE id = ?', [position, imageId]);
+                }
+            });
+
+            return { success: true, message: 'Ordre des photos mis à jour' };
+        } catch (error) {
+            console.error('Erreur reorderProductImages:', error);
+            return { success: false, message: 'Erreur réorganisation photos' };
+        }
+    }
+
+    // Supprimer une photo et ses miniatures
+    static async deleteProductImage(productId, imageId) {
+        try {
+            const image = await dbGet(
+                'SELECT id, file_key FROM product_images WHERE id = ? AND product_id = ?',
+                [imageId, productId]
+            );
+            if (!image) {
+                return { success: false, message: 'Photo non trouvée' };
+            }
+
+            await dbRun('DELETE FROM product_images WHERE id = ?', [image.id]);
+            await removeImageFiles(image.file_key);
+
+            return { success: true, message: 'Photo supprimée' };
+        } catch (error) {
+            console.error('Erreur deleteProductImage:', error);
+            return { success: false, message: 'Erreur suppression photo' };
+        }
+    }
+
+    // Récupérer les codes promo avec leur nombre d'utilisations
+    static async getPromotions() {
+        try {
+            const promotions = await dbAll(`
+                SELECT pr.*, p.name as scope_product_name,
+                       (SELECT COUNT(*) FROM orders WHERE promotion_id = pr.id AND status != 'cancelled') as uses
+                FROM promotions pr 
+                LEFT JOIN products p ON pr.scope_product_id = p.id 
+                ORDER BY pr.created_at DESC, pr.id DESC
+            `);
+            return { success: true, promotions };
+        } catch (error) {
+            console.error('Erreur getPromotions:', error);
+            return { success: false, message: 'Erreur récupération codes promo', promotions: [] };
+        }
+    }
+
+    // Ajouter un code promo (champs déjà validés)
+    static async addPromotion(promotionData) {
+        try {
+            const data = normalizePromotion(promotionData);
+            const error = promotionDataError(data);
+            if (error) {
+                return { success: false, message: error };
+            }
+
+            const columns = Object.keys(data);
+            await dbRun(
+                `INSERT INTO promotions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                Object.values(data)
+            );
+
+            return { success: true, message: 'Code promo créé' };
+        } catch (error) {
+            console.error('Erreur addPromotion:', error);
+            return { success: false, message: 'Erreur création code promo' };
+        }
+    }
+
+    // Modifier un code promo : la combinaison finale doit rester cohérente
+    static async updatePromotion(promotionId, updates) {
+        try {
+            const promotion = await dbGet('SELECT * FROM promotions WHERE id = ?', [promotionId]);
+            if (!promotion) {
+                return { success: false, message: 'Code promo non trouvé' };
+            }
+
+            const data = normalizePromotion(updates);
+            const error = promotionDataError({ ...promotion, ...data });
+            if (error) {
+                return { success: false, message: error };
+            }
+
+            const columns = Object.keys(data);
+            if (columns.length > 0) {
+                await dbRun(
+                    `UPDATE promotions SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                    [...Object.values(data), promotion.id]
+                );
+            }
+
+            return { success: true, message: 'Code promo modifié' };
+        } catch (error) {
+            console.error('Erreur updatePromotion:', error);
+            return { success: false, message: 'Erreur modification code promo' };
+        }
+    }
+
+    // Supprimer un code promo : les commandes gardent le code et la remise appliquée
+    static async deletePromotion(promotionId) {
+        try {
+            const promotion = await dbGet('SELECT id FROM promotions WHERE id = ?', [promotionId]);
+            if (!promotion) {
+                return { success: false, message: 'Code promo non trouvé' };
+            }
+
+            await dbTransaction(async () => {
+                await dbRun('UPDATE orders SET promotion_id = NULL WHERE promotion_id = ?', [promotion.id]);
+                await dbRun('DELETE FROM promotions WHERE id = ?', [promotion.id]);
+            });
+
+            return { success: true, message: 'Code promo supprimé' };
+        } catch (error) {
+            console.error('Erreur deletePromotion:', error);
+            return { success: false, message: 'Erreur suppression code promo' };
+        }
+    }
+
+    // Activité de connexion suspecte sur les dernières heures
+    static async getSecurityActivity(hours) {
+        try {
+            const activity = await getSuspiciousActivity(hours);
+            return { success: true, hours, ...activity };
+        } catch (error) {
+            console.error('Erreur getSecurityActivity:', error);
+            return { success: false, message: 'Erreur récupération activité suspecte' };
+        }
+    }
+
+    // Récupérer les commandes (filtre optionnel par statut)
+    static async getOrders(filters = {}) {
+        try {
+            const params = [];
+            let whereClause = '';
+            if (filters.status && ORDER_STATUSES.includes(filters.status)) {
+                whereClause = 'WHERE o.status = ?';
+                params.push(filters.status);
+            }
+
+            const orders = await dbAll(`
+                SELECT o.id, o.order_number, o.status, o.total_amount, o.shipping_address, o.created_at, o.updated_at,
+                       u.email, u.first_name, u.last_name,
+                       (SELECT COALESCE(SUM(quantity), 0) FROM order_items WHERE order_id = o.id) as item_count
+                FROM orders o 
+                LEFT JOIN users u ON o.user_id = u.id 
+                ${whereClause}
+                ORDER BY o.created_at DESC, o.id DESC
+            `, params);
+
+            orders.forEach(order => {
+                order.shipping_address = parseAddressSnapshot(order.shipping_address);
+                // "payée" n'est jamais proposé : seul le prestataire de paiement le confirme
+                order.next_statuses = (ORDER_TRANSITIONS[order.status] || []).filter(status => status !== 'paid');
+            });
+
+            return { success: true, orders };
+        } catch (error) {
+            console.error('Erreur getOrders:', error);
+            return { success: false, message: 'Erreur récupération commandes', orders: [] };
+        }
+    }
+
+    // Faire avancer une commande dans son cycle de vie
+    // returned : articles d'une commande expédiée revenus à l'entrepôt (remis en stock au remboursement)
+    static async updateOrderStatus(orderId, status, adminId, note = null, returned = false) {
+        try {
+            // Seule la confirmation du prestataire de paiement fait passer une commande à "payée"
+            if (status === 'paid') {
+                return { success: false, message: 'Le statut "payée" est attribué à la confirmation du paiement par le prestataire' };
+            }
+
+            // Même règle d'annulation que pour le client et l'expiration : pas pendant un paiement en cours
+            const result = status === 'cancelled'
+                ? await cancelPendingOrder(orderId, adminId, note)
+                : await changeOrderStatus(orderId, status, adminId, note, { returned });
+            if (!result.success) {
+                return result;
+            }
+
+            // Le prestataire n'est sollicité qu'une fois la commande passée à "remboursée" :
+            // une commande déplacée entre-temps par une autre requête n'est jamais remboursée
+            if (status === 'refunded') {
+                try {
+                    const refund = await refundOrderPayment(orderId);
+                    if (!refund.success) {
+                        throw new Error(refund.message);
+                    }
+                } catch (error) {
+                    console.error(`Commande ${orderId} passée à "remboursée", paiement à rembourser manuellement:`, error);
+                    return {
+                        success: false,
+                        message: 'Commande passée à "remboursée", mais le prestataire n\'a pas pu rembourser le paiement : remboursement à effectuer manuellement'
+                    };
+                }
+            }
+
+            return { success: true, message: 'Statut de la commande mis à jour', status: result.status };
+        } catch (error) {
+            console.error('Erreur updateOrderStatus:', error);
+            return { success: false, message: 'Erreur modification statut' };
+        }
+    }
 }
 
 module.exports = AdminFunctions;
\ No newline at end of file
@@ -0,0 +1,134 @@
+const { dbAll, dbGet, dbRun, dbTransaction } = require('./database');
+const { productQuantityLimit, cartQuantityError } = require('./inventory');
+
+// Quantité maximale de chaque ligne : stock de la pointure et limite du modèle
+const attachMaxQuantities = (cartItems) => {
+    cartItems.forEach(item => {
+        const otherLines = cartItems
+            .filter(other => other.id === item.id && other.cart_item_id !== item.cart_item_id)
+            .reduce((total, other) => total + other.quantity, 0);
+        item.max_quantity = Math.max(Math.min(item.stock, productQuantityLimit(item) - otherLines), 0);
+    });
+    return cartItems;
+};
+
+// ==================== PANIER INVITÉ ====================
+// Gardé dans la session jusqu'à la connexion : { variantId, productId, quantity },
+// la pointure sert d'identifiant de ligne
+
+const guestCartLines = (session) => {
+    if (!Array.isArray(session.guestCart)) {
+        session.guestCart = [];
+    }
+    return session.guestCart;
+};
+
+const guestCartQuantity = (session, variantId) => {
+    const line = guestCartLines(session).find(item => item.variantId === variantId);
+    return line ? line.quantity : 0;
+};
+
+// Lignes du panier invité, au même format que celles d'un utilisateur
+const getGuestCartItems = async (session) => {
+    const lines = guestCartLines(session);
+    if (lines.length === 0) return [];
+
+    const rows = await dbAll(
+        `SELECT p.*, v.id as variant_id, v.size, v.sku, v.stock
+         FROM product_variants v
+         JOIN products p ON v.product_id = p.id
+         WHERE v.id IN (${lines.map(() => '?').join(', ')})`,
+        lines.map(line => line.variantId)
+    );
+
+    // Oublier les pointures supprimées depuis l'ajout
+    session.guestCart = lines.filter(line => rows.some(row => row.variant_id === line.variantId));
+
+    return session.guestCart.map(line => ({
+        ...rows.find(row => row.variant_id === line.variantId),
+        cart_item_id: line.variantId,
+        quantity: line.quantity
+    }));
+};
+
+// Passer une ligne du panier invité à `quantity` paires, 0 la retire (renvoie un message d'erreur ou null)
+const setGuestCartQuantity = (session, product, variant, quantity) => {
+    const lines = guestCartLines(session);
+
+    if (quantity > 0) {
+        const otherLines = lines
+            .filter(line => line.productId === product.id && line.variantId !== variant.id)
+            .reduce((total, line) => total + line.quantity, 0);
+        const error = cartQuantityError(product, variant, quantity, otherLines);
+        if (error) return error;
+    }
+
+    const line = lines.find(item => item.variantId === variant.id);
+    if (quantity === 0) {
+        session.guestCart = lines.filter(item => item !== line);
+    } else if (line) {
+        line.quantity = quantity;
+    } else {
+        lines.push({ variantId: variant.id, productId: product.id, quantity });
+    }
+    return null;
+};
+
+// Verser le panier invité dans celui du compte à la connexion ou à l'inscription.
+// Les quantités s'additionnent dans la limite du stock et du maximum par modèle.
+const mergeGuestCart = async (userId, session) => {
+    const lines = guestCartLines(session);
+    if (lines.length === 0) return null;
+
+    const summary = { added: 0, adjusted: [] };
+
+    await dbTransaction(async () => {
+        for (const line of lines) {
+            const variant = await dbGet(`
+                SELECT v.id, v.size, v.stock, p.id as product_id, p.name, p.max_per_order, p.archived_at
+                FROM product_variants v
+                JOIN products p ON v.product_id = p.id
+                WHERE v.id = ?
+            `, [line.variantId]);
+            if (!variant) continue;
+
+            const existing = await dbGet(
+                'SELECT id, quantity FROM cart_items WHERE user_id = ? AND variant_id = ?',
+                [userId, variant.id]
+            );
+            const { otherLines } = await dbGet(
+                'SELECT COALESCE(SUM(quantity), 0) as otherLines FROM cart_items WHERE user_id = ? AND product_id = ? AND variant_id != ?',
+                [userId, variant.product_id, variant.id]
+            );
+
+            const current = existing ? existing.quantity : 0;
+            const maximum = Math.min(variant.stock, productQuantityLimit(variant) - otherLines);
+            const added = variant.archived_at ? 0 : Math.max(Math.min(line.quantity, maximum - current), 0);
+
+            if (added > 0 && existing) {
+                await dbRun('UPDATE cart_items SET quantity = quantity + ? WHERE id = ?', [added, existing.id]);
+            } else if (added > 0) {
+                await dbRun(
+                    'INSERT INTO cart_items (user_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?)',
+                    [userId, variant.product_id, variant.id, added]
+                );
+            }
+
+            summary.added += added;
+            if (added < line.quantity) {
+                summary.adjusted.push({ name: variant.name, size: variant.size, requested: line.quantity, added });
+            }
+        }
+    });
+
+    session.guestCart = [];
+    return summary;
+};
+
+module.exports = {
+    attachMaxQuantities,
+    guestCartQuantity,
+    getGuestCartItems,
+    setGuestCartQuantity,
+    mergeGuestCart
+};
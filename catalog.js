@@ -0,0 +1,168 @@
+const { dbAll, dbGet } = require('./database');
+const { attachImages } = require('./images');
+
+const PRODUCT_SORTS = {
+    newest: 'p.created_at DESC, p.id DESC',
+    price_asc: 'p.price ASC, p.id ASC',
+    price_desc: 'p.price DESC, p.id DESC',
+    name: 'p.name COLLATE NOCASE ASC, p.id ASC'
+};
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 100;
+
+// Échapper les jokers de LIKE pour une recherche littérale
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Construire la clause WHERE à partir des filtres du catalogue
+const buildFilters = (filters) => {
+    // Les produits archivés n'apparaissent plus sur la boutique
+    const conditions = ['p.archived_at IS NULL'];
+    const params = [];
+
+    if (filters.q) {
+        const like = `%${escapeLike(filters.q)}%`;
+        conditions.push("(p.name LIKE ? ESCAPE '\\' OR p.brand LIKE ? ESCAPE '\\' OR p.description LIKE ? ESCAPE '\\')");
+        params.push(like, like, like);
+    }
+
+    if (filters.brands && filters.brands.length > 0) {
+        conditions.push(`UPPER(p.brand) IN (${filters.brands.map(() => '?').join(', ')})`);
+        params.push(...filters.brands.map(brand => brand.toUpperCase()));
+    }
+
+    if (filters.minPrice !== undefined) {
+        conditions.push('p.price >= ?');
+        params.push(filters.minPrice);
+    }
+
+    if (filters.maxPrice !== undefined) {
+        conditions.push('p.price <= ?');
+        params.push(filters.maxPrice);
+    }
+
+    if (filters.size !== undefined) {
+        conditions.push('EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.size = ? AND v.stock > 0)');
+        params.push(filters.size);
+    }
+
+    return {
+        where: `WHERE ${conditions.join(' AND ')}`,
+        params
+    };
+};
+
+// Slug d'URL : marque et nom, suivis de l'identifiant (ex. nike-air-jordan-1-retro-high-1)
+const productSlug = (product) => {
+    const text = `${product.brand || ''} ${product.name || ''}`
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return text ? `${text}-${product.id}` : String(product.id);
+};
+
+const attachSlugs = (products) => {
+    products.forEach(product => {
+        product.slug = productSlug(product);
+    });
+    return products;
+};
+
+// Ajouter les pointures et leur stock à une liste de produits
+const attachVariants = async (products) => {
+    if (products.length === 0) return products;
+
+    const ids = products.map(product => product.id);
+    const variants = await dbAll(
+        `SELECT id, product_id, size, stock FROM product_variants 
+         WHERE product_id IN (${ids.map(() => '?').join(', ')}) 
+         ORDER BY size`,
+        ids
+    );
+
+    products.forEach(product => {
+        product.variants = variants.filter(variant => variant.product_id === product.id);
+    });
+    return products;
+};
+
+// Recherche paginée dans le catalogue
+const searchProducts = async (filters = {}) => {
+    const limit = Math.min(filters.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const page = Math.max(filters.page || 1, 1);
+    const orderBy = PRODUCT_SORTS[filters.sort] || PRODUCT_SORTS.newest;
+    const { where, params } = buildFilters(filters);
+
+    const countRow = await dbGet(`SELECT COUNT(*) as count FROM products p ${where}`, params);
+    const products = await dbAll(
+        `SELECT p.* FROM products p ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+    );
+
+    attachSlugs(products);
+    await attachVariants(products);
+    await attachImages(products);
+
+    return {
+        products,
+        pagination: {
+            page,
+            limit,
+            total: countRow.count,
+            totalPages: Math.max(Math.ceil(countRow.count / limit), 1)
+        }
+    };
+};
+
+// Fiche produit par identifiant ou par slug (seul l'identifiant final compte,
+// un ancien lien reste valable après un renommage). Les produits archivés restent consultables.
+const getProduct = async (reference) => {
+    const match = String(reference).match(/(?:^|-)(\d+)$/);
+    if (!match) return null;
+
+    const product = await dbGet('SELECT * FROM products WHERE id = ?', [parseInt(match[1])]);
+    if (!product) return null;
+
+    attachSlugs([product]);
+    await attachVariants([product]);
+    await attachImages([product]);
+    return product;
+};
+
+// Valeurs disponibles pour les filtres (sur tout le catalogue)
+const getFacets = async () => {
+    const brands = await dbAll(`
+        SELECT UPPER(brand) as brand, COUNT(*) as count 
+        FROM products 
+        WHERE archived_at IS NULL 
+        GROUP BY UPPER(brand) 
+        ORDER BY count DESC, brand ASC
+    `);
+    const sizes = await dbAll(`
+        SELECT DISTINCT v.size 
+        FROM product_variants v 
+        JOIN products p ON v.product_id = p.id 
+        WHERE v.stock > 0 AND p.archived_at IS NULL 
+        ORDER BY v.size
+    `);
+    const prices = await dbGet('SELECT MIN(price) as min, MAX(price) as max FROM products WHERE archived_at IS NULL');
+
+    return {
+        brands,
+        sizes: sizes.map(row => row.size),
+        price: { min: prices.min || 0, max: prices.max || 0 }
+    };
+};
+
+module.exports = {
+    PRODUCT_SORTS,
+    MAX_PAGE_SIZE,
+    searchProducts,
+    getProduct,
+    productSlug,
+    attachSlugs,
+    attachVariants,
+    getFacets
+};
@@ -1,12 +1,123 @@
 const sqlite3 = require('sqlite3').verbose();
+const { AsyncLocalStorage } = require('async_hooks');
 const bcrypt = require('bcryptjs');
 const path = require('path');
+const { parseSizes, buildSku } = require('./inventory');
 
 const dbPath = path.join(__dirname, 'sneakzone.db');
 const db = new sqlite3.Database(dbPath);
 
+// Requêtes exécutées dans l'ordre d'envoi (voir dbTransaction)
+db.serialize();
+
+// Stock initial des pointures créées à partir du champ `sizes`
+const DEFAULT_VARIANT_STOCK = 10;
+
+// Table commandes : elles survivent à la suppression du compte client (user_id passe à NULL)
+const ordersTableSQL = (table) => `CREATE TABLE IF NOT EXISTS ${table} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_number VARCHAR(30) UNIQUE NOT NULL,
+    user_id INTEGER,
+    status VARCHAR(20) DEFAULT 'pending' CHECK(status IN ('pending', 'paid', 'preparing', 'shipped', 'delivered', 'cancelled', 'refunded')),
+    subtotal_amount DECIMAL(10,2),
+    shipping_amount DECIMAL(10,2),
+    tax_amount DECIMAL(10,2),
+    promotion_id INTEGER,
+    promo_code VARCHAR(30),
+    discount_amount DECIMAL(10,2) DEFAULT 0,
+    total_amount DECIMAL(10,2) NOT NULL,
+    shipping_address TEXT,
+    billing_address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+)`;
+
+// Migrations des bases existantes (avant la création des tables)
+const migrateDatabase = async () => {
+    // Le panier est désormais lié à une pointure : les anciens paniers sans taille sont vidés
+    if (await tableExists('cart_items') && !(await columnExists('cart_items', 'variant_id'))) {
+        console.log('Migration : réinitialisation des paniers (ajout des pointures)');
+        await dbRun('DROP TABLE cart_items');
+    }
+
+    // Les comptes créés avant la vérification des emails sont considérés comme vérifiés
+    if (await tableExists('users') && !(await columnExists('users', 'email_verified_at'))) {
+        await dbRun('ALTER TABLE users ADD COLUMN email_verified_at DATETIME');
+        await dbRun('UPDATE users SET email_verified_at = created_at');
+    }
+
+    // Vocabulaire global remplacé par les occurrences par produit (products_fts_terms)
+    await dbRun('DROP TABLE IF EXISTS products_fts_vocab');
+
+    await addColumnIfMissing('users', 'pending_email', 'VARCHAR(255)');
+    await addColumnIfMissing('users', 'totp_secret', 'TEXT');
+    await addColumnIfMissing('users', 'totp_enabled_at', 'DATETIME');
+    await addColumnIfMissing('users', 'totp_last_step', 'INTEGER');
+    await addColumnIfMissing('products', 'archived_at', 'DATETIME');
+    await addColumnIfMissing('products', 'max_per_order', 'INTEGER');
+    await addColumnIfMissing('products', 'weight_grams', 'INTEGER');
+    await addColumnIfMissing('orders', 'subtotal_amount', 'DECIMAL(10,2)');
+    await addColumnIfMissing('orders', 'shipping_amount', 'DECIMAL(10,2)');
+    await addColumnIfMissing('orders', 'tax_amount', 'DECIMAL(10,2)');
+    await addColumnIfMissing('orders', 'promotion_id', 'INTEGER');
+    await addColumnIfMissing('orders', 'promo_code', 'VARCHAR(30)');
+    await addColumnIfMissing('orders', 'discount_amount', 'DECIMAL(10,2) DEFAULT 0');
+    await addColumnIfMissing('orders', 'shipping_address', 'TEXT');
+    await addColumnIfMissing('orders', 'billing_address', 'TEXT');
+    await addColumnIfMissing('order_items', 'variant_id', 'INTEGER');
+    await addColumnIfMissing('order_items', 'size', 'DECIMAL(3,1)');
+    await addColumnIfMissing('order_items', 'sku', 'VARCHAR(50)');
+
+    // Les anciennes commandes étaient supprimées avec le compte (ON DELETE CASCADE) : table recréée
+    if (await tableExists('orders')) {
+        const foreignKeys = await dbAll('PRAGMA foreign_key_list(orders)');
+        if (foreignKeys.some(key => key.table === 'users' && key.on_delete !== 'SET NULL')) {
+            console.log('Migration : conservation des commandes des comptes supprimés');
+            await rebuildOrdersTable();
+        }
+    }
+};
+
+const rebuildOrdersTable = async () => {
+    const columns = (await dbAll('PRAGMA table_info(orders)')).map(col => col.name).filter(name => name !== 'user_id');
+
+    await dbTransaction(async () => {
+        await dbRun(ordersTableSQL('orders_migrated'));
+        await dbRun(
+            `INSERT INTO orders_migrated (user_id, ${columns.join(', ')})
+             SELECT (SELECT id FROM users WHERE users.id = orders.user_id), ${columns.join(', ')} FROM orders`
+        );
+        await dbRun('DROP TABLE orders');
+        await dbRun('ALTER TABLE orders_migrated RENAME TO orders');
+    });
+};
+
+// Créer les pointures des produits qui n'en ont pas encore
+const seedProductVariants = async () => {
+    const products = await dbAll(`
+        SELECT p.id, p.brand, p.sizes 
+        FROM products p 
+        WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+    `);
+
+    for (const product of products) {
+        for (const size of parseSizes(product.sizes)) {
+            await dbRun(
+                'INSERT OR IGNORE INTO product_variants (product_id, size, sku, stock) VALUES (?, ?, ?, ?)',
+                [product.id, size, buildSku(product.id, product.brand, size), DEFAULT_VARIANT_STOCK]
+            );
+        }
+    }
+};
+
 // Initialisation de la base de données
 const initDatabase = async () => {
+    await migrateDatabase();
+
+    // SQLite n'applique les clés étrangères (ON DELETE CASCADE / SET NULL) que sur demande
+    await dbRun('PRAGMA foreign_keys = ON');
+
     return new Promise((resolve, reject) => {
 
         const initSQL = `
@@ -19,6 +130,11 @@ const initDatabase = async () => {
                 last_name VARCHAR(100) NOT NULL,
                 role VARCHAR(20) DEFAULT 'user' CHECK(role IN ('user', 'admin')),
                 is_active BOOLEAN DEFAULT 1,
+                email_verified_at DATETIME,
+                pending_email VARCHAR(255),
+                totp_secret TEXT,
+                totp_enabled_at DATETIME,
+                totp_last_step INTEGER,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             );
 
@@ -31,9 +147,38 @@ const initDatabase = async () => {
                 price DECIMAL(10,2) NOT NULL,
                 image_emoji VARCHAR(10),
                 sizes TEXT,
+                max_per_order INTEGER,
+                weight_grams INTEGER,
+                archived_at DATETIME,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             );
 
+            -- Stock par pointure
+            CREATE TABLE IF NOT EXISTS product_variants (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id INTEGER NOT NULL,
+                size DECIMAL(3,1) NOT NULL,
+                sku VARCHAR(50) UNIQUE NOT NULL,
+                stock INTEGER NOT NULL DEFAULT 0 CHECK(stock >= 0),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                UNIQUE(product_id, size)
+            );
+
+            -- Photos produit (fichiers et miniatures sur disque, voir images.js)
+            CREATE TABLE IF NOT EXISTS product_images (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id INTEGER NOT NULL,
+                file_key VARCHAR(64) UNIQUE NOT NULL,
+                position INTEGER NOT NULL DEFAULT 0,
+                width INTEGER,
+                height INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_product_images_product ON product_images(product_id, position);
+
             -- Table favoris
             CREATE TABLE IF NOT EXISTS favorites (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -45,17 +190,205 @@ const initDatabase = async () => {
                 UNIQUE(user_id, product_id)
             );
 
-            -- Table panier
+            -- Table panier (une ligne par pointure)
             CREATE TABLE IF NOT EXISTS cart_items (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 user_id INTEGER NOT NULL,
                 product_id INTEGER NOT NULL,
+                variant_id INTEGER NOT NULL,
                 quantity INTEGER DEFAULT 1,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
                 FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
-                UNIQUE(user_id, product_id)
+                FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+                UNIQUE(user_id, variant_id)
+            );
+
+            -- Table commandes
+            ${ordersTableSQL('orders')};
+
+            -- Jetons à usage unique envoyés par email (seule l'empreinte est conservée)
+            CREATE TABLE IF NOT EXISTS user_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                purpose VARCHAR(30) NOT NULL,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
             );
+
+            -- Codes de secours de la double authentification (seule l'empreinte est conservée)
+            CREATE TABLE IF NOT EXISTS user_recovery_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                code_hash VARCHAR(64) NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            -- Tentatives de connexion (verrouillage progressif et activité suspecte, voir logins.js)
+            CREATE TABLE IF NOT EXISTS login_attempts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email VARCHAR(255) NOT NULL,
+                user_id INTEGER,
+                ip VARCHAR(45),
+                user_agent VARCHAR(500),
+                success BOOLEAN NOT NULL,
+                failure_reason VARCHAR(30),
+                new_device BOOLEAN DEFAULT 0,
+                created_at DATETIME NOT NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, created_at);
+            CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip, created_at);
+            CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts(user_id, success);
+
+            -- Sessions de connexion (voir sessions.js) : l'appareil et l'IP servent à la liste des sessions actives
+            CREATE TABLE IF NOT EXISTS sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                sid VARCHAR(64) UNIQUE NOT NULL,
+                user_id INTEGER,
+                data TEXT NOT NULL,
+                user_agent VARCHAR(500),
+                ip VARCHAR(45),
+                remember BOOLEAN DEFAULT 0,
+                signed_in_at DATETIME,
+                expires_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+            CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
+
+            -- Carnet d'adresses (les commandes en gardent une copie, voir orders.shipping_address)
+            CREATE TABLE IF NOT EXISTS addresses (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                label VARCHAR(50),
+                first_name VARCHAR(100) NOT NULL,
+                last_name VARCHAR(100) NOT NULL,
+                company VARCHAR(100),
+                line1 VARCHAR(255) NOT NULL,
+                line2 VARCHAR(255),
+                postal_code VARCHAR(5) NOT NULL,
+                city VARCHAR(100) NOT NULL,
+                country VARCHAR(2) DEFAULT 'FR',
+                phone VARCHAR(20) NOT NULL,
+                is_default_shipping BOOLEAN DEFAULT 0,
+                is_default_billing BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+
+            -- Lignes de commande (prix et quantité figés au moment de l'achat)
+            CREATE TABLE IF NOT EXISTS order_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_id INTEGER NOT NULL,
+                product_id INTEGER,
+                product_name VARCHAR(255) NOT NULL,
+                product_brand VARCHAR(100) NOT NULL,
+                variant_id INTEGER,
+                size DECIMAL(3,1),
+                sku VARCHAR(50),
+                unit_price DECIMAL(10,2) NOT NULL,
+                quantity INTEGER NOT NULL,
+                line_total DECIMAL(10,2) NOT NULL,
+                FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+                FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL
+            );
+
+            -- Historique des statuts de commande
+            CREATE TABLE IF NOT EXISTS order_status_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_id INTEGER NOT NULL,
+                from_status VARCHAR(20),
+                to_status VARCHAR(20) NOT NULL,
+                changed_by INTEGER,
+                note TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+                FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+            );
+
+            -- Paiements d'une commande auprès du prestataire (une tentative par intention de paiement)
+            CREATE TABLE IF NOT EXISTS payments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_id INTEGER NOT NULL,
+                provider VARCHAR(30) NOT NULL,
+                provider_payment_id VARCHAR(100) NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                currency VARCHAR(3) DEFAULT 'EUR',
+                status VARCHAR(20) DEFAULT 'requires_payment' CHECK(status IN ('requires_payment', 'requires_action', 'processing', 'succeeded', 'failed', 'refunded')),
+                failure_message VARCHAR(255),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(provider, provider_payment_id),
+                FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+            );
+
+            -- Webhooks déjà traités : un même événement reçu deux fois n'est appliqué qu'une fois
+            CREATE TABLE IF NOT EXISTS payment_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                provider VARCHAR(30) NOT NULL,
+                event_id VARCHAR(100) NOT NULL,
+                type VARCHAR(50) NOT NULL,
+                payment_id INTEGER,
+                received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(provider, event_id),
+                FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL
+            );
+
+            -- Codes promo (portée : tout le panier, une marque ou un produit)
+            CREATE TABLE IF NOT EXISTS promotions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                code VARCHAR(30) UNIQUE NOT NULL COLLATE NOCASE,
+                description VARCHAR(255),
+                discount_type VARCHAR(10) NOT NULL CHECK(discount_type IN ('percentage', 'fixed')),
+                discount_value DECIMAL(10,2) NOT NULL,
+                scope VARCHAR(10) DEFAULT 'cart' CHECK(scope IN ('cart', 'brand', 'product')),
+                scope_brand VARCHAR(100),
+                scope_product_id INTEGER,
+                min_cart_amount DECIMAL(10,2),
+                max_uses INTEGER,
+                max_uses_per_user INTEGER,
+                starts_at DATETIME,
+                ends_at DATETIME,
+                is_active BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (scope_product_id) REFERENCES products(id) ON DELETE SET NULL
+            );
+
+            -- Index plein texte des produits (synchronisé par triggers)
+            CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+                name, brand, description,
+                content='products', content_rowid='id',
+                tokenize='unicode61 remove_diacritics 2', prefix='2 3'
+            );
+
+            -- Occurrences des termes de l'index par produit, pour corriger les fautes de frappe (voir search.js)
+            CREATE VIRTUAL TABLE IF NOT EXISTS products_fts_terms USING fts5vocab(products_fts, instance);
+
+            CREATE TRIGGER IF NOT EXISTS products_fts_insert AFTER INSERT ON products BEGIN
+                INSERT INTO products_fts(rowid, name, brand, description) 
+                VALUES (new.id, new.name, new.brand, new.description);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS products_fts_delete AFTER DELETE ON products BEGIN
+                INSERT INTO products_fts(products_fts, rowid, name, brand, description) 
+                VALUES ('delete', old.id, old.name, old.brand, old.description);
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS products_fts_update AFTER UPDATE ON products BEGIN
+                INSERT INTO products_fts(products_fts, rowid, name, brand, description) 
+                VALUES ('delete', old.id, old.name, old.brand, old.description);
+                INSERT INTO products_fts(rowid, name, brand, description) 
+                VALUES (new.id, new.name, new.brand, new.description);
+            END;
         `;
 
         db.exec(initSQL, async (err) => {
@@ -69,8 +402,8 @@ const initDatabase = async () => {
                 // Créer l'admin par défaut
                 const adminHash = await bcrypt.hash('#Adm1nSneakZone97!', 12);
                 db.run(
-                    `INSERT OR IGNORE INTO users (email, password, first_name, last_name, role) 
-                     VALUES (?, ?, ?, ?, ?)`,
+                    `INSERT OR IGNORE INTO users (email, password, first_name, last_name, role, email_verified_at) 
+                     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
                     ['admin@sneakzone.com', adminHash, 'Admin', 'SneakZone', 'admin'],
                     function(err) {
                         if (err && !err.message.includes('UNIQUE')) {
@@ -86,18 +419,20 @@ const initDatabase = async () => {
                     ['Air Max 90', 'NIKE', 'Triple White', 129.00, '⚡', '37-47']
                 ];
 
-                products.forEach(product => {
-                    db.run(
-                        `INSERT OR IGNORE INTO products (name, brand, description, price, image_emoji, sizes) 
-                         VALUES (?, ?, ?, ?, ?, ?)`,
-                        product,
-                        function(err) {
-                            if (err && !err.message.includes('UNIQUE')) {
-                                console.error('Erreur produit:', err);
-                            }
-                        }
+                // Une seule fois par nom : le seed est rejoué à chaque démarrage
+                for (const product of products) {
+                    await dbRun(
+                        `INSERT INTO products (name, brand, description, price, image_emoji, sizes) 
+                         SELECT ?, ?, ?, ?, ?, ? 
+                         WHERE NOT EXISTS (SELECT 1 FROM products WHERE name = ?)`,
+                        [...product, product[0]]
                     );
-                });
+                }
+
+                await seedProductVariants();
+
+                // Reconstruire l'index pour les produits créés avant les triggers
+                await dbRun("INSERT INTO products_fts(products_fts) VALUES ('rebuild')");
                 resolve();
             } catch (error) {
                 reject(error);
@@ -108,7 +443,7 @@ const initDatabase = async () => {
 
 // Fonctions utilitaires base de données
 const dbAll = (sql, params = []) => {
-    return new Promise((resolve, reject) => {
+    return whenOutsideTransaction(() => new Promise((resolve, reject) => {
         db.all(sql, params, (err, rows) => {
             if (err) {
                 console.error('Erreur dbAll:', err.message);
@@ -117,11 +452,11 @@ const dbAll = (sql, params = []) => {
                 resolve(rows || []);
             }
         });
-    });
+    }));
 };
 
 const dbGet = (sql, params = []) => {
-    return new Promise((resolve, reject) => {
+    return whenOutsideTransaction(() => new Promise((resolve, reject) => {
         db.get(sql, params, (err, row) => {
             if (err) {
                 console.error('Erreur dbGet:', err.message);
@@ -130,11 +465,11 @@ const dbGet = (sql, params = []) => {
                 resolve(row || null);
             }
         });
-    });
+    }));
 };
 
 const dbRun = (sql, params = []) => {
-    return new Promise((resolve, reject) => {
+    return whenOutsideTransaction(() => new Promise((resolve, reject) => {
         db.run(sql, params, function(err) {
             if (err) {
                 console.error('Erreur dbRun:', err.message);
@@ -143,7 +478,67 @@ const dbRun = (sql, params = []) => {
                 resolve({ id: this.lastID, changes: this.changes });
             }
         });
-    });
+    }));
+};
+
+const tableExists = async (table) => {
+    const row = await dbGet("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    return !!row;
+};
+
+const columnExists = async (table, column) => {
+    const columns = await dbAll(`PRAGMA table_info(${table})`);
+    return columns.some(col => col.name === column);
+};
+
+// Ajouter une colonne à une table existante (les nouvelles bases l'ont déjà)
+const addColumnIfMissing = async (table, column, definition) => {
+    if (await tableExists(table) && !(await columnExists(table, column))) {
+        await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+};
+
+// Transactions : la connexion est partagée, on les exécute donc l'une après l'autre.
+// Pendant une transaction, les requêtes venues d'ailleurs (autres requêtes HTTP, store de sessions...)
+// attendent sa fin : sinon elles s'exécuteraient dedans et un ROLLBACK les annulerait en silence.
+const transactionContext = new AsyncLocalStorage();
+let activeTransaction = null;
+let transactionQueue = Promise.resolve();
+
+const whenOutsideTransaction = (execute) => {
+    if (activeTransaction && transactionContext.getStore() !== activeTransaction) {
+        return activeTransaction.then(() => whenOutsideTransaction(execute));
+    }
+    return execute();
+};
+
+const dbTransaction = (callback) => {
+    const run = () => {
+        let finish;
+        const transaction = new Promise(resolve => { finish = resolve; });
+        activeTransaction = transaction;
+
+        return transactionContext.run(transaction, async () => {
+            try {
+                await dbRun('BEGIN IMMEDIATE TRANSACTION');
+                try {
+                    const result = await callback();
+                    await dbRun('COMMIT');
+                    return result;
+                } catch (error) {
+                    await dbRun('ROLLBACK').catch(() => {});
+                    throw error;
+                }
+            } finally {
+                activeTransaction = null;
+                finish();
+            }
+        });
+    };
+
+    const result = transactionQueue.then(run, run);
+    transactionQueue = result.catch(() => {});
+    return result;
 };
 
 module.exports = {
@@ -151,5 +546,6 @@ module.exports = {
     dbAll,
     dbGet,
     dbRun,
+    dbTransaction,
     initDatabase
 };
\ No newline at end of file
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { dbAll } = require('./database');
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads', 'products');
+const UPLOAD_URL = '/uploads/products';
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const MAX_IMAGES_PER_PRODUCT = 8;
+
+// Largeurs générées pour chaque photo (ré-encodées en WebP)
+const IMAGE_VARIANTS = {
+    thumb: 160,
+    medium: 480,
+    large: 1200
+};
+
+// Signatures acceptées : le type annoncé par le navigateur ne suffit pas
+const IMAGE_SIGNATURES = {
+    'image/jpeg': (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+    'image/png': (buffer) => buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/webp': (buffer) => buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+};
+
+const ALLOWED_IMAGE_TYPES = Object.keys(IMAGE_SIGNATURES);
+
+// Type réel d'après les premiers octets du fichier, ou null
+const detectImageType = (buffer) => {
+    return ALLOWED_IMAGE_TYPES.find(type => IMAGE_SIGNATURES[type](buffer)) || null;
+};
+
+const imageFilePath = (fileKey, variant) => path.join(UPLOAD_DIR, `${fileKey}-${variant}.webp`);
+
+const imageUrls = (fileKey) => {
+    const urls = {};
+    for (const variant of Object.keys(IMAGE_VARIANTS)) {
+        urls[variant] = `${UPLOAD_URL}/${fileKey}-${variant}.webp`;
+    }
+    return urls;
+};
+
+const removeImageFiles = async (fileKey) => {
+    await Promise.all(Object.keys(IMAGE_VARIANTS).map(variant => (
+        fs.promises.unlink(imageFilePath(fileKey, variant)).catch(error => {
+            if (error.code !== 'ENOENT') console.error('Erreur suppression image:', error);
+        })
+    )));
+};
+
+// Écrire les miniatures d'une photo. Le ré-encodage ne conserve aucune métadonnée (EXIF, GPS...)
+const saveProductImage = async (buffer) => {
+    const fileKey = crypto.randomBytes(16).toString('hex');
+    await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+
+    try {
+        // rotate() applique l'orientation EXIF avant qu'elle ne soit supprimée
+        const source = sharp(buffer, { failOn: 'error' }).rotate();
+        const { info } = await source.clone().toBuffer({ resolveWithObject: true });
+        const { width, height } = info;
+
+        for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+            await source.clone()
+                .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 82 })
+                .toFile(imageFilePath(fileKey, variant));
+        }
+
+        return { fileKey, width, height };
+    } catch (error) {
+        await removeImageFiles(fileKey);
+        throw error;
+    }
+};
+
+// Ajouter les photos (dans l'ordre) à une liste de produits
+const attachImages = async (products, idKey = 'id') => {
+    if (products.length === 0) return products;
+
+    const ids = [...new Set(products.map(product => product[idKey]))];
+    const images = await dbAll(
+        `SELECT id, product_id, file_key, position FROM product_images
+         WHERE product_id IN (${ids.map(() => '?').join(', ')})
+         ORDER BY position, id`,
+        ids
+    );
+
+    products.forEach(product => {
+        product.images = images
+            .filter(image => image.product_id === product[idKey])
+            .map(image => ({ id: image.id, position: image.position, urls: imageUrls(image.file_key) }));
+    });
+    return products;
+};
+
+module.exports = {
+    UPLOAD_DIR,
+    MAX_IMAGE_SIZE,
+    MAX_IMAGES_PER_PRODUCT,
+    ALLOWED_IMAGE_TYPES,
+    detectImageType,
+    saveProductImage,
+    removeImageFiles,
+    attachImages
+};
@@ -0,0 +1,97 @@
+// Pointures européennes acceptées
+const EU_SIZE_MIN = 16;
+const EU_SIZE_MAX = 52;
+
+// Paires d'un même modèle par panier, toutes pointures confondues, sauf limite propre au produit
+const DEFAULT_MAX_PER_PRODUCT = 10;
+
+// Transformer le champ texte `sizes` ("38-46" ou "38, 39, 40.5") en liste de pointures
+const parseSizes = (sizes) => {
+    if (!sizes || typeof sizes !== 'string') return [];
+
+    const range = sizes.trim().match(/^(\d+(?:\.5)?)\s*-\s*(\d+(?:\.5)?)$/);
+    if (range) {
+        const from = parseFloat(range[1]);
+        const to = parseFloat(range[2]);
+        const result = [];
+        for (let size = from; size <= to; size += 1) {
+            result.push(size);
+        }
+        return result;
+    }
+
+    return sizes
+        .split(/[,;\s]+/)
+        .filter(Boolean)
+        .map(size => parseFloat(size))
+        .filter(size => !Number.isNaN(size));
+};
+
+// Écrire une liste de pointures dans le champ texte `sizes` (triée, sans doublon : "38, 39, 40.5")
+const formatSizes = (sizes) => {
+    return [...new Set(sizes)].sort((a, b) => a - b).join(', ');
+};
+
+const isValidSize = (size) => {
+    return typeof size === 'number' && size >= EU_SIZE_MIN && size <= EU_SIZE_MAX && (size * 2) % 1 === 0;
+};
+
+// Vérifier une liste de pointures saisie par un admin (renvoie un message d'erreur ou null)
+const validateSizes = (sizes) => {
+    if (typeof sizes !== 'string' || sizes.trim() === '') {
+        return 'Liste de pointures requise';
+    }
+
+    const isRange = /^\s*\d+(\.5)?\s*-\s*\d+(\.5)?\s*$/.test(sizes);
+    const isList = /^\s*\d+(\.5)?(\s*[,;\s]\s*\d+(\.5)?)*\s*$/.test(sizes);
+    if (!isRange && !isList) {
+        return 'Format attendu : "38-46" ou "38, 39, 40.5"';
+    }
+
+    const list = parseSizes(sizes);
+    if (list.length === 0) {
+        return 'Plage de pointures vide';
+    }
+    if (list.some(size => !isValidSize(size))) {
+        return `Les pointures doivent être comprises entre ${EU_SIZE_MIN} et ${EU_SIZE_MAX}`;
+    }
+    return null;
+};
+
+const productQuantityLimit = (product) => product.max_per_order || DEFAULT_MAX_PER_PRODUCT;
+
+// Une ligne de panier peut-elle passer à `quantity` paires ? (renvoie un message d'erreur ou null)
+// `otherLines` : paires du même modèle déjà présentes dans les autres pointures du panier
+const cartQuantityError = (product, variant, quantity, otherLines = 0) => {
+    const limit = productQuantityLimit(product);
+    if (otherLines + quantity > limit) {
+        return `Maximum ${limit} paire(s) de ce modèle par commande`;
+    }
+    if (quantity > variant.stock) {
+        return variant.stock === 0
+            ? `Taille ${variant.size} épuisée`
+            : `Stock insuffisant : ${variant.stock} paire(s) disponible(s) en ${variant.size}`;
+    }
+    return null;
+};
+
+// SKU lisible : marque, produit et pointure (ex. NIK-0003-425 pour du 42.5)
+const buildSku = (productId, brand, size) => {
+    const brandCode = String(brand || 'GEN').replace(/[^a-z]/gi, '').slice(0, 3).toUpperCase() || 'GEN';
+    const productCode = String(productId).padStart(4, '0');
+    const sizeCode = String(Math.round(size * 10));
+    return `${brandCode}-${productCode}-${sizeCode}`;
+};
+
+module.exports = {
+    EU_SIZE_MIN,
+    EU_SIZE_MAX,
+    DEFAULT_MAX_PER_PRODUCT,
+    productQuantityLimit,
+    cartQuantityError,
+    parseSizes,
+    formatSizes,
+    isValidSize,
+    validateSizes,
+    buildSku
+};
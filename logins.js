@@ -0,0 +1,180 @@
+const { dbAll, dbGet, dbRun } = require('./database');
+const { appUrl, sendMail } = require('./mailer');
+const { loginFailuresEmail } = require('./mailer/templates');
+const { describeDevice } = require('./sessions');
+
+// Verrouillage progressif par compte : à partir du 5e échec consécutif, toutes IP confondues, 1 minute
+// puis le double à chaque nouvel échec. La durée est plafonnée pour qu'un tiers ne puisse pas tenir le
+// titulaire à l'écart bien longtemps ; l'IP d'où viennent les échecs reste bloquée plus longtemps.
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MINUTES = 1;
+const ACCOUNT_LOCKOUT_MAX_MINUTES = 15;
+const IP_LOCKOUT_MAX_MINUTES = 60;
+// Les échecs plus anciens ne comptent plus
+const FAILURE_WINDOW_HOURS = 24;
+
+// Seuils de la vue « activité suspecte » de l'administration
+const ANOMALY_MIN_ACCOUNTS_PER_IP = 3;
+const ANOMALY_MIN_IPS_PER_ACCOUNT = 3;
+const ANOMALY_LIMIT = 50;
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+const lockoutMinutes = (failures, maxMinutes) => {
+    if (failures < LOCKOUT_THRESHOLD) return 0;
+    return Math.min(LOCKOUT_BASE_MINUTES * 2 ** (failures - LOCKOUT_THRESHOLD), maxMinutes);
+};
+
+// Échecs consécutifs depuis la dernière connexion réussie, depuis toutes les IP ou depuis une seule
+// (ip à undefined pour le compte entier). Le décompte se fait par email, que le compte existe ou non :
+// la réponse ne révèle pas quels emails sont inscrits.
+const countRecentFailures = (email, ip) => {
+    const ipFilter = ip === undefined ? '' : 'AND ip IS ?';
+    const ipParams = ip === undefined ? [] : [ip];
+    return dbGet(
+        `SELECT COUNT(*) as failures, MAX(created_at) as last_failure_at
+         FROM login_attempts
+         WHERE email = ? ${ipFilter} AND success = 0 AND failure_reason != 'locked' AND created_at > ?
+           AND created_at > COALESCE((SELECT MAX(created_at) FROM login_attempts WHERE email = ? ${ipFilter} AND success = 1), '')`,
+        [email, ...ipParams, hoursAgo(FAILURE_WINDOW_HOURS), email, ...ipParams]
+    );
+};
+
+// Verrou en cours ({ failures, lockedUntil }) ou null : sur le compte entier, ou depuis une IP si ip est fournie
+const lockoutFor = async (email, ip) => {
+    const { failures, last_failure_at: lastFailureAt } = await countRecentFailures(email, ip);
+    const minutes = lockoutMinutes(failures, ip === undefined ? ACCOUNT_LOCKOUT_MAX_MINUTES : IP_LOCKOUT_MAX_MINUTES);
+    if (!minutes) return null;
+
+    const lockedUntil = new Date(new Date(lastFailureAt).getTime() + minutes * 60 * 1000);
+    return lockedUntil > new Date() ? { failures, lockedUntil } : null;
+};
+
+// Appareil déjà utilisé par ce compte pour une connexion réussie ? (comparaison du User-Agent)
+const isNewDevice = async (userId, userAgent) => {
+    const previous = await dbGet(
+        `SELECT COUNT(*) as logins, SUM(CASE WHEN user_agent IS ? THEN 1 ELSE 0 END) as same_device
+         FROM login_attempts WHERE user_id = ? AND success = 1`,
+        [userAgent, userId]
+    );
+    // La toute première connexion n'est pas signalée
+    return previous.logins > 0 && !previous.same_device;
+};
+
+const insertAttempt = ({ email, userId = null, client, success, failureReason = null, newDevice = false }) => {
+    return dbRun(
+        `INSERT INTO login_attempts (email, user_id, ip, user_agent, success, failure_reason, new_device, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [email, userId, client.ip, client.userAgent, success ? 1 : 0, failureReason, newDevice ? 1 : 0, new Date().toISOString()]
+    );
+};
+
+const requestClient = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') || null });
+
+// Verrou en cours pour cet email : celui du compte, ou celui de l'IP de la requête s'il dure plus longtemps
+const getLockout = async (req, email) => {
+    const accountLockout = await lockoutFor(email);
+    const ipLockout = await lockoutFor(email, requestClient(req).ip);
+    if (!ipLockout) return accountLockout;
+    if (!accountLockout) return ipLockout;
+    return ipLockout.lockedUntil > accountLockout.lockedUntil ? ipLockout : accountLockout;
+};
+
+// Tentative refusée d'office parce que le compte est verrouillé (ne prolonge pas le verrou)
+const recordLockedAttempt = (req, email, user = null) => {
+    return insertAttempt({ email, userId: user ? user.id : null, client: requestClient(req), success: false, failureReason: 'locked' });
+};
+
+// Échec (mot de passe, compte désactivé, second facteur...) ; prévient le titulaire au premier verrouillage
+const recordFailedLogin = async (req, email, user, failureReason) => {
+    const client = requestClient(req);
+    await insertAttempt({ email, userId: user ? user.id : null, client, success: false, failureReason });
+
+    const { failures } = await countRecentFailures(email);
+    if (user && failures === LOCKOUT_THRESHOLD) {
+        sendMail({
+            to: user.email,
+            ...loginFailuresEmail({
+                firstName: user.first_name,
+                attempts: failures,
+                ip: client.ip,
+                lockedMinutes: lockoutMinutes(failures, ACCOUNT_LOCKOUT_MAX_MINUTES),
+                maxLockedMinutes: ACCOUNT_LOCKOUT_MAX_MINUTES,
+                link: appUrl('/profil')
+            })
+        }).catch(error => console.error('Erreur envoi alerte connexion:', error));
+    }
+};
+
+// Connexion aboutie : remet le compteur d'échecs à zéro
+const recordSuccessfulLogin = async (req, user) => {
+    const client = requestClient(req);
+    const newDevice = await isNewDevice(user.id, client.userAgent);
+    await insertAttempt({ email: user.email, userId: user.id, client, success: true, newDevice });
+    return { newDevice };
+};
+
+// Activité suspecte sur la période : une IP qui essaie de nombreux comptes, un compte sollicité
+// depuis de nombreuses IP, connexions depuis un nouvel appareil et comptes verrouillés
+const getSuspiciousActivity = async (hours) => {
+    const since = hoursAgo(hours);
+
+    const ipsWithManyAccounts = await dbAll(
+        `SELECT ip, COUNT(DISTINCT email) as accounts, COUNT(*) as attempts,
+                SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) as failures, MAX(created_at) as last_attempt_at
+         FROM login_attempts WHERE created_at > ?
+         GROUP BY ip HAVING accounts >= ?
+         ORDER BY accounts DESC, failures DESC LIMIT ?`,
+        [since, ANOMALY_MIN_ACCOUNTS_PER_IP, ANOMALY_LIMIT]
+    );
+
+    const accountsWithManyIps = await dbAll(
+        `SELECT email, MAX(user_id) as user_id, COUNT(DISTINCT ip) as ips, COUNT(*) as attempts,
+                SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) as failures, MAX(created_at) as last_attempt_at
+         FROM login_attempts WHERE created_at > ?
+         GROUP BY email HAVING ips >= ?
+         ORDER BY ips DESC, failures DESC LIMIT ?`,
+        [since, ANOMALY_MIN_IPS_PER_ACCOUNT, ANOMALY_LIMIT]
+    );
+
+    const newDevices = await dbAll(
+        `SELECT a.id, a.email, a.user_id, a.ip, a.user_agent, a.created_at, u.first_name, u.last_name
+         FROM login_attempts a
+         LEFT JOIN users u ON a.user_id = u.id
+         WHERE a.new_device = 1 AND a.created_at > ?
+         ORDER BY a.created_at DESC LIMIT ?`,
+        [since, ANOMALY_LIMIT]
+    );
+    const newDeviceLogins = newDevices.map(login => ({ ...login, device: describeDevice(login.user_agent) }));
+
+    const candidates = await dbAll(
+        `SELECT DISTINCT email, ip FROM login_attempts
+         WHERE success = 0 AND failure_reason != 'locked' AND created_at > ?`,
+        [hoursAgo(FAILURE_WINDOW_HOURS)]
+    );
+    // Verrou du compte (ip à null), puis verrous d'IP qui durent au-delà
+    const lockedAccounts = [];
+    const emails = [...new Set(candidates.map(candidate => candidate.email))];
+    for (const email of emails) {
+        const accountLockout = await lockoutFor(email);
+        if (accountLockout) {
+            lockedAccounts.push({ email, ip: null, failures: accountLockout.failures, locked_until: accountLockout.lockedUntil.toISOString() });
+        }
+        for (const { ip } of candidates.filter(candidate => candidate.email === email)) {
+            const ipLockout = await lockoutFor(email, ip);
+            if (ipLockout && (!accountLockout || ipLockout.lockedUntil > accountLockout.lockedUntil)) {
+                lockedAccounts.push({ email, ip, failures: ipLockout.failures, locked_until: ipLockout.lockedUntil.toISOString() });
+            }
+        }
+    }
+
+    return { ipsWithManyAccounts, accountsWithManyIps, newDeviceLogins, lockedAccounts };
+};
+
+module.exports = {
+    getLockout,
+    recordLockedAttempt,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    getSuspiciousActivity
+};
@@ -0,0 +1,43 @@
+const path = require('path');
+const { createOutboxTransport } = require('./outbox');
+
+// Interface d'un transport d'emails :
+//   send({ from, to, subject, text, html }) -> { id }
+// Un transport SMTP ou un service d'envoi s'ajoute dans transportFactories.
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'outbox';
+const MAIL_FROM = process.env.MAIL_FROM || 'SneakZone <no-reply@sneakzone.local>';
+
+// Adresse publique du site pour les liens des emails (jamais déduite de l'en-tête Host)
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+const transportFactories = {
+    outbox: () => createOutboxTransport({
+        directory: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox')
+    })
+};
+
+if (!transportFactories[MAIL_TRANSPORT]) {
+    throw new Error(`Configuration invalide : MAIL_TRANSPORT=${MAIL_TRANSPORT}`);
+}
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        transport = transportFactories[MAIL_TRANSPORT]();
+    }
+    return transport;
+};
+
+const appUrl = (pathname) => `${APP_URL}${pathname}`;
+
+const sendMail = ({ to, subject, text, html }) => {
+    return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = {
+    MAIL_TRANSPORT,
+    appUrl,
+    sendMail
+};
@@ -0,0 +1,25 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Transport de développement : chaque email est écrit dans un fichier JSON du dossier outbox,
+// pour suivre les liens envoyés sans serveur SMTP
+const createOutboxTransport = ({ directory }) => {
+    return {
+        name: 'outbox',
+
+        async send(message) {
+            await fs.mkdir(directory, { recursive: true });
+
+            const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            const file = path.join(directory, `${id}.json`);
+            await fs.writeFile(file, JSON.stringify({ id, date: new Date().toISOString(), ...message }, null, 2));
+
+            return { id, file };
+        }
+    };
+};
+
+module.exports = {
+    createOutboxTransport
+};
@@ -0,0 +1,95 @@
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Mise en page commune : un paragraphe par ligne et un bouton vers le lien
+const layout = ({ paragraphs, link, action }) => ({
+    text: [...paragraphs, '', `${action} : ${link}`, '', 'L\'équipe SneakZone'].join('\n'),
+    html: `
+        ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n        ')}
+        <p><a href="${escapeHtml(link)}" style="background:#2563eb;color:#fff;padding:12px 20px;border-radius:8px;text-decoration:none">${escapeHtml(action)}</a></p>
+        <p>L'équipe SneakZone</p>
+    `.trim()
+});
+
+const passwordResetEmail = ({ firstName, link, expiresInMinutes }) => ({
+    subject: 'Réinitialisation de votre mot de passe SneakZone',
+    ...layout({
+        paragraphs: [
+            `Bonjour ${firstName},`,
+            'Vous avez demandé à réinitialiser le mot de passe de votre compte SneakZone.',
+            `Ce lien est valable ${expiresInMinutes} minutes et ne peut servir qu'une fois.`,
+            'Si vous n\'êtes pas à l\'origine de cette demande, ignorez cet email : votre mot de passe reste inchangé.'
+        ],
+        link,
+        action: 'Choisir un nouveau mot de passe'
+    })
+});
+
+const emailVerificationEmail = ({ firstName, link, expiresInHours }) => ({
+    subject: 'Confirmez votre adresse email SneakZone',
+    ...layout({
+        paragraphs: [
+            `Bonjour ${firstName},`,
+            'Confirmez que cette adresse email est bien la vôtre pour profiter pleinement de votre compte SneakZone.',
+            `Ce lien est valable ${expiresInHours} heures.`,
+            'Si vous n\'avez pas créé de compte SneakZone, ignorez cet email.'
+        ],
+        link,
+        action: 'Confirmer mon adresse email'
+    })
+});
+
+// Envoyé à la nouvelle adresse : le changement n'a lieu qu'après un clic sur le lien
+const emailChangeConfirmationEmail = ({ firstName, newEmail, link, expiresInHours }) => ({
+    subject: 'Confirmez votre nouvelle adresse email SneakZone',
+    ...layout({
+        paragraphs: [
+            `Bonjour ${firstName},`,
+            `Vous avez demandé à utiliser ${newEmail} pour votre compte SneakZone.`,
+            `Ce lien est valable ${expiresInHours} heures et ne peut servir qu'une fois.`,
+            'Si vous n\'êtes pas à l\'origine de cette demande, ignorez cet email : votre compte reste inchangé.'
+        ],
+        link,
+        action: 'Confirmer ma nouvelle adresse'
+    })
+});
+
+// Envoyé à l'adresse actuelle : son titulaire peut réagir avant la confirmation
+const emailChangeNoticeEmail = ({ firstName, newEmail, link }) => ({
+    subject: 'Changement d\'adresse email demandé sur votre compte SneakZone',
+    ...layout({
+        paragraphs: [
+            `Bonjour ${firstName},`,
+            `Un changement de l'adresse email de votre compte SneakZone vers ${newEmail} vient d'être demandé.`,
+            'Il ne prendra effet qu\'après confirmation depuis cette nouvelle adresse.',
+            'Si vous n\'êtes pas à l\'origine de cette demande, réinitialisez votre mot de passe (« Mot de passe oublié ») : la demande sera annulée et les autres appareils déconnectés.'
+        ],
+        link,
+        action: 'Sécuriser mon compte'
+    })
+});
+
+const loginFailuresEmail = ({ firstName, attempts, ip, lockedMinutes, maxLockedMinutes, link }) => ({
+    subject: 'Tentatives de connexion à votre compte SneakZone',
+    ...layout({
+        paragraphs: [
+            `Bonjour ${firstName},`,
+            `${attempts} tentatives de connexion ont échoué sur votre compte SneakZone, la dernière depuis l'adresse IP ${ip}.`,
+            `Par sécurité, les connexions à votre compte sont bloquées pendant ${lockedMinutes} minute(s), puis de plus en plus longtemps (jusqu'à ${maxLockedMinutes} minutes) si les échecs continuent.`,
+            'Si c\'était vous, patientez simplement avant de réessayer. Sinon, changez votre mot de passe dès que possible.'
+        ],
+        link,
+        action: 'Sécuriser mon compte'
+    })
+});
+
+module.exports = {
+    passwordResetEmail,
+    emailVerificationEmail,
+    emailChangeConfirmationEmail,
+    emailChangeNoticeEmail,
+    loginFailuresEmail
+};
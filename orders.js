@@ -0,0 +1,141 @@
+const { dbAll, dbGet, dbRun, dbTransaction } = require('./database');
+
+// Cycle de vie d'une commande : statut courant -> statuts suivants autorisés
+const ORDER_TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['preparing', 'refunded'],
+    preparing: ['shipped', 'refunded'],
+    shipped: ['delivered'],
+    delivered: ['refunded'],
+    cancelled: [],
+    refunded: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Statuts où les pointures ont quitté l'entrepôt
+const SHIPPED_STATUSES = ['shipped', 'delivered'];
+
+// Une commande non payée dans ce délai est annulée (PENDING_ORDER_TTL_MINUTES, 60 par défaut)
+const PENDING_ORDER_TTL_MINUTES = parseInt(process.env.PENDING_ORDER_TTL_MINUTES) || 60;
+const ORDER_EXPIRY_INTERVAL_MS = 5 * 60 * 1000;
+
+const canTransition = (fromStatus, toStatus) => {
+    return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+// Historiser un changement de statut (à appeler dans une transaction)
+const recordStatusChange = (orderId, fromStatus, toStatus, changedBy = null, note = null) => {
+    return dbRun(
+        `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note) 
+         VALUES (?, ?, ?, ?, ?)`,
+        [orderId, fromStatus, toStatus, changedBy, note]
+    );
+};
+
+// Rendre au stock les quantités d'une commande (à appeler dans une transaction).
+// Les lignes sans pointure (variant_id NULL, produit supprimé) ou dont la pointure n'existe plus
+// ne trouvent aucune ligne dans product_variants et sont ignorées.
+const restockOrderItems = (orderId) => {
+    return dbRun(
+        `UPDATE product_variants 
+         SET stock = stock + (SELECT SUM(quantity) FROM order_items WHERE order_id = ? AND variant_id = product_variants.id) 
+         WHERE id IN (SELECT variant_id FROM order_items WHERE order_id = ?)`,
+        [orderId, orderId]
+    );
+};
+
+// Une annulation ou un remboursement avant expédition remet les pointures en stock ;
+// après expédition, seulement si l'administrateur indique que les articles sont revenus
+const restocksOrder = (fromStatus, toStatus, returned) => {
+    if (toStatus === 'cancelled') return true;
+    return toStatus === 'refunded' && (returned || !SHIPPED_STATUSES.includes(fromStatus));
+};
+
+// Appliquer un changement de statut autorisé (à appeler dans une transaction)
+const applyStatusChange = async (order, toStatus, changedBy = null, note = null, { returned = false } = {}) => {
+    if (!canTransition(order.status, toStatus)) {
+        return { success: false, message: `Transition ${order.status} → ${toStatus} non autorisée` };
+    }
+
+    await dbRun(
+        'UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [toStatus, order.id]
+    );
+    await recordStatusChange(order.id, order.status, toStatus, changedBy, note);
+
+    if (restocksOrder(order.status, toStatus, returned)) {
+        await restockOrderItems(order.id);
+    }
+
+    return { success: true, previousStatus: order.status, status: toStatus };
+};
+
+// Changer le statut d'une commande en respectant le cycle de vie
+const changeOrderStatus = (orderId, toStatus, changedBy = null, note = null, options = {}) => {
+    return dbTransaction(async () => {
+        const order = await dbGet('SELECT id, status FROM orders WHERE id = ?', [orderId]);
+        if (!order) {
+            return { success: false, message: 'Commande non trouvée' };
+        }
+
+        return applyStatusChange(order, toStatus, changedBy, note, options);
+    });
+};
+
+// Annuler une commande en attente, sauf si un paiement est en cours de confirmation ou déjà confirmé
+const cancelPendingOrder = (orderId, changedBy = null, note = null) => {
+    return dbTransaction(async () => {
+        const order = await dbGet('SELECT id, status FROM orders WHERE id = ?', [orderId]);
+        if (!order) {
+            return { success: false, message: 'Commande non trouvée' };
+        }
+        if (order.status !== 'pending') {
+            return { success: false, message: 'Cette commande n\'est plus en attente de paiement' };
+        }
+
+        const payment = await dbGet(
+            "SELECT id FROM payments WHERE order_id = ? AND status IN ('processing', 'succeeded') LIMIT 1",
+            [order.id]
+        );
+        if (payment) {
+            return { success: false, message: 'Un paiement est en cours de confirmation pour cette commande' };
+        }
+
+        return applyStatusChange(order, 'cancelled', changedBy, note);
+    });
+};
+
+// Annuler les commandes restées impayées au-delà du délai : leurs pointures reviennent en stock
+const expireUnpaidOrders = async () => {
+    const orders = await dbAll(
+        "SELECT id FROM orders WHERE status = 'pending' AND created_at <= datetime('now', ?)",
+        [`-${PENDING_ORDER_TTL_MINUTES} minutes`]
+    );
+
+    let expired = 0;
+    for (const order of orders) {
+        const result = await cancelPendingOrder(order.id, null, 'Commande non payée dans les délais');
+        if (result.success) expired++;
+    }
+    return expired;
+};
+
+// Vérification au démarrage puis à intervalle régulier
+const scheduleOrderExpiry = () => {
+    const run = () => expireUnpaidOrders().catch(error => console.error('Erreur expiration commandes:', error));
+    run();
+    setInterval(run, ORDER_EXPIRY_INTERVAL_MS).unref();
+};
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    canTransition,
+    recordStatusChange,
+    applyStatusChange,
+    changeOrderStatus,
+    cancelPendingOrder,
+    expireUnpaidOrders,
+    scheduleOrderExpiry
+};
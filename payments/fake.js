@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+// Cartes de test, sur le modèle de celles des vrais prestataires
+const TEST_CARDS = {
+    '4242424242424242': 'success',
+    '4000000000000002': 'decline',
+    '4000000000003220': 'challenge'
+};
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+// Un webhook plus ancien est refusé, même correctement signé (rejeu)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const computeSignature = (secret, timestamp, payload) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+};
+
+// Prestataire simulé en local : aucune donnée n'est conservée, l'issue dépend du numéro de carte.
+// Comme un vrai prestataire, il confirme le résultat par webhook signé, de façon asynchrone.
+const createFakeProvider = ({ webhookSecret, deliverWebhook }) => {
+    const emit = (type, paymentId, data = {}) => {
+        const payload = JSON.stringify({
+            id: randomId('evt'),
+            type,
+            created: Math.floor(Date.now() / 1000),
+            data: { paymentId, ...data }
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = { [SIGNATURE_HEADER]: `t=${timestamp},v1=${computeSignature(webhookSecret, timestamp, payload)}` };
+
+        setImmediate(() => {
+            deliverWebhook(Buffer.from(payload), headers).catch(error => {
+                console.error('Erreur livraison webhook fake:', error);
+            });
+        });
+    };
+
+    return {
+        name: 'fake',
+
+        async createIntent({ amount, currency }) {
+            return { id: randomId('pi'), status: 'requires_payment', amount, currency };
+        },
+
+        async confirmIntent(paymentId, paymentMethod = {}) {
+            const cardNumber = String(paymentMethod.cardNumber || '').replace(/\s+/g, '');
+            if (!/^\d{12,19}$/.test(cardNumber)) {
+                return { status: 'failed', failureMessage: 'Numéro de carte invalide' };
+            }
+
+            const outcome = TEST_CARDS[cardNumber] || 'success';
+            if (outcome === 'decline') {
+                emit('payment.failed', paymentId, { failureMessage: 'Paiement refusé par la banque' });
+                return { status: 'processing' };
+            }
+            if (outcome === 'challenge') {
+                return { status: 'requires_action', nextAction: { type: 'three_d_secure' } };
+            }
+
+            emit('payment.succeeded', paymentId);
+            return { status: 'processing' };
+        },
+
+        // Réponse simulée du client à l'authentification 3-D Secure
+        async completeChallenge(paymentId, approved) {
+            if (approved) {
+                emit('payment.succeeded', paymentId);
+            } else {
+                emit('payment.failed', paymentId, { failureMessage: 'Authentification 3-D Secure refusée' });
+            }
+            return { status: 'processing' };
+        },
+
+        async refund(paymentId, amount) {
+            emit('payment.refunded', paymentId, { amount });
+            return { id: randomId('re'), status: 'pending' };
+        },
+
+        // Vérifier la signature puis traduire l'événement (lève une erreur si invalide)
+        parseWebhook(rawBody, headers) {
+            const header = String(headers[SIGNATURE_HEADER] || '');
+            const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+            const timestamp = parseInt(parts.t);
+            if (!timestamp || !parts.v1) {
+                throw new Error('Signature absente');
+            }
+            if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+                throw new Error('Signature expirée');
+            }
+
+            const expected = Buffer.from(computeSignature(webhookSecret, timestamp, rawBody.toString('utf8')));
+            const received = Buffer.from(parts.v1);
+            if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+                throw new Error('Signature invalide');
+            }
+
+            const event = JSON.parse(rawBody.toString('utf8'));
+            return {
+                id: event.id,
+                type: event.type,
+                paymentId: event.data.paymentId,
+                failureMessage: event.data.failureMessage || null
+            };
+        }
+    };
+};
+
+module.exports = {
+    TEST_CARDS,
+    createFakeProvider
+};
@@ -0,0 +1,245 @@
+const { dbGet, dbRun, dbTransaction } = require('../database');
+const { applyStatusChange } = require('../orders');
+const { toCents } = require('../pricing');
+const { createFakeProvider } = require('./fake');
+
+// Interface d'un prestataire de paiement (montants en centimes) :
+//   createIntent({ amount, currency, reference }) -> { id, status }
+//   confirmIntent(id, paymentMethod)              -> { status, nextAction?, failureMessage? }
+//   refund(id, amount)                            -> { id, status }
+//   parseWebhook(rawBody, headers)                -> { id, type, paymentId, failureMessage? }, lève une erreur si la signature est invalide
+// Un prestataire de test peut aussi proposer completeChallenge(id, approved) pour simuler le 3-D Secure.
+// Seuls les webhooks font avancer la commande : payment.succeeded, payment.failed et payment.refunded.
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'fake';
+
+const providerFactories = {
+    fake: () => createFakeProvider({
+        webhookSecret: process.env.FAKE_PAYMENT_WEBHOOK_SECRET || 'sneakzone_fake_webhook_secret',
+        deliverWebhook: (rawBody, headers) => handleWebhook('fake', rawBody, headers)
+    })
+};
+
+if (!providerFactories[PAYMENT_PROVIDER]) {
+    throw new Error(`Configuration invalide : PAYMENT_PROVIDER=${PAYMENT_PROVIDER}`);
+}
+
+// Le prestataire simulé accepte n'importe quelle carte et signe ses webhooks avec un secret connu
+if (PAYMENT_PROVIDER === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new Error('Configuration invalide : PAYMENT_PROVIDER=fake est réservé au développement');
+}
+
+const providers = {};
+
+const getProvider = (name = PAYMENT_PROVIDER) => {
+    if (!providerFactories[name]) return null;
+    if (!providers[name]) {
+        providers[name] = providerFactories[name]();
+    }
+    return providers[name];
+};
+
+// Statuts d'un paiement à partir desquels une nouvelle tentative est possible
+const RETRYABLE_STATUSES = ['requires_payment', 'requires_action', 'failed'];
+
+const getOrderPayment = (orderId) => {
+    return dbGet('SELECT * FROM payments WHERE order_id = ? ORDER BY id DESC LIMIT 1', [orderId]);
+};
+
+// Ce que le navigateur a besoin de savoir d'un paiement (l'action demandée vient de la dernière confirmation)
+const publicPayment = (payment, confirmation = {}) => ({
+    id: payment.id,
+    status: payment.status,
+    nextAction: payment.status === 'requires_action' ? confirmation.nextAction || null : null,
+    failureMessage: payment.failure_message || null
+});
+
+// Passer un paiement en cours de traitement, sauf si une autre tentative l'a déjà fait
+const startAttempt = async (paymentId, fromStatuses) => {
+    const result = await dbRun(
+        `UPDATE payments SET status = 'processing', failure_message = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})`,
+        [paymentId, ...fromStatuses]
+    );
+    return result.changes === 1;
+};
+
+// Réponse synchrone du prestataire : ignorée si un webhook a déjà tranché entre-temps
+const recordConfirmation = async (payment, confirmation) => {
+    await dbRun(
+        `UPDATE payments SET status = ?, failure_message = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'processing'`,
+        [confirmation.status, confirmation.failureMessage || null, payment.id]
+    );
+    return publicPayment(await dbGet('SELECT * FROM payments WHERE id = ?', [payment.id]), confirmation);
+};
+
+// Payer une commande en attente : reprend l'intention en cours, sinon en crée une
+const payOrder = async (order, paymentMethod) => {
+    const provider = getProvider();
+    let payment = await getOrderPayment(order.id);
+
+    if (!payment || payment.provider !== provider.name) {
+        const intent = await provider.createIntent({
+            amount: toCents(order.total_amount),
+            currency: 'EUR',
+            reference: order.order_number
+        });
+        const result = await dbRun(
+            'INSERT INTO payments (order_id, provider, provider_payment_id, amount, status) VALUES (?, ?, ?, ?, ?)',
+            [order.id, provider.name, intent.id, order.total_amount, intent.status]
+        );
+        payment = await dbGet('SELECT * FROM payments WHERE id = ?', [result.id]);
+    }
+
+    if (!(await startAttempt(payment.id, RETRYABLE_STATUSES))) {
+        return { success: false, message: 'Un paiement est déjà en cours pour cette commande' };
+    }
+
+    try {
+        const confirmation = await provider.confirmIntent(payment.provider_payment_id, paymentMethod);
+        return { success: true, payment: await recordConfirmation(payment, confirmation) };
+    } catch (error) {
+        await recordConfirmation(payment, { status: 'failed', failureMessage: 'Prestataire de paiement indisponible' });
+        throw error;
+    }
+};
+
+// Réponse du client à une authentification forte demandée par le prestataire
+const completeChallenge = async (order, approved) => {
+    const payment = await getOrderPayment(order.id);
+    if (!payment || payment.status !== 'requires_action') {
+        return { success: false, message: 'Aucune authentification en attente pour cette commande' };
+    }
+
+    const provider = getProvider(payment.provider);
+    if (!provider || typeof provider.completeChallenge !== 'function') {
+        return { success: false, message: 'Authentification à réaliser auprès du prestataire' };
+    }
+
+    if (!(await startAttempt(payment.id, ['requires_action']))) {
+        return { success: false, message: 'Un paiement est déjà en cours pour cette commande' };
+    }
+
+    const confirmation = await provider.completeChallenge(payment.provider_payment_id, approved);
+    return { success: true, payment: await recordConfirmation(payment, confirmation) };
+};
+
+// Demander le remboursement d'un paiement (le webhook payment.refunded clôt le paiement)
+const refundPayment = async (payment) => {
+    const provider = getProvider(payment.provider);
+    if (!provider) {
+        return { success: false, message: `Prestataire ${payment.provider} non configuré` };
+    }
+
+    await provider.refund(payment.provider_payment_id, toCents(payment.amount));
+    return { success: true, refunded: true };
+};
+
+// Rembourser le paiement confirmé d'une commande
+const refundOrderPayment = async (orderId) => {
+    const payment = await dbGet(
+        "SELECT * FROM payments WHERE order_id = ? AND status = 'succeeded' ORDER BY id DESC LIMIT 1",
+        [orderId]
+    );
+    if (!payment) {
+        return { success: true, refunded: false };
+    }
+
+    return refundPayment(payment);
+};
+
+// Paiement confirmé alors que la commande n'attendait plus de paiement (annulée entre-temps,
+// déjà payée par une autre tentative) : le client est remboursé
+const refundLatePayment = async (payment, order) => {
+    try {
+        const result = await refundPayment(payment);
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        console.warn(`Paiement ${payment.provider_payment_id} reçu pour la commande ${order.id} au statut ${order.status} : remboursé`);
+    } catch (error) {
+        console.error(`Paiement ${payment.provider_payment_id} reçu pour la commande ${order.id} au statut ${order.status}, à rembourser manuellement:`, error);
+    }
+};
+
+const setPaymentStatus = (paymentId, status, failureMessage = null) => {
+    return dbRun(
+        'UPDATE payments SET status = ?, failure_message = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [status, failureMessage, paymentId]
+    );
+};
+
+// Appliquer un événement (dans la transaction du webhook) ; renvoie la commande à rembourser le cas échéant
+const applyPaymentEvent = async (payment, event) => {
+    if (event.type === 'payment.succeeded') {
+        await setPaymentStatus(payment.id, 'succeeded');
+
+        const order = await dbGet('SELECT id, status FROM orders WHERE id = ?', [payment.order_id]);
+        if (order && order.status === 'pending') {
+            await applyStatusChange(order, 'paid', null, `Paiement confirmé par ${payment.provider} (${payment.provider_payment_id})`);
+        } else if (order && payment.status !== 'succeeded') {
+            return { lateOrder: order };
+        }
+    } else if (event.type === 'payment.failed') {
+        if (payment.status !== 'succeeded') {
+            await setPaymentStatus(payment.id, 'failed', event.failureMessage || 'Paiement refusé');
+        }
+    } else if (event.type === 'payment.refunded') {
+        await setPaymentStatus(payment.id, 'refunded');
+    }
+};
+
+// Webhook d'un prestataire : signature vérifiée, chaque événement appliqué une seule fois.
+// Les erreurs portent un `status` HTTP (400 signature invalide, 404 prestataire inconnu).
+const handleWebhook = async (providerName, rawBody, headers) => {
+    const provider = getProvider(providerName);
+    if (!provider) {
+        const error = new Error('Prestataire de paiement inconnu');
+        error.status = 404;
+        throw error;
+    }
+
+    let event;
+    try {
+        event = provider.parseWebhook(rawBody, headers);
+    } catch (error) {
+        error.status = 400;
+        throw error;
+    }
+
+    const result = await dbTransaction(async () => {
+        const payment = await dbGet(
+            'SELECT * FROM payments WHERE provider = ? AND provider_payment_id = ?',
+            [provider.name, event.paymentId]
+        );
+
+        const inserted = await dbRun(
+            'INSERT OR IGNORE INTO payment_events (provider, event_id, type, payment_id) VALUES (?, ?, ?, ?)',
+            [provider.name, event.id, event.type, payment ? payment.id : null]
+        );
+        if (inserted.changes === 0) {
+            return { duplicate: true };
+        }
+
+        const outcome = payment ? await applyPaymentEvent(payment, event) : null;
+        return { duplicate: false, payment, lateOrder: outcome ? outcome.lateOrder : null };
+    });
+
+    // Remboursement hors transaction : c'est un appel au prestataire
+    if (result.lateOrder) {
+        await refundLatePayment(result.payment, result.lateOrder);
+    }
+    return { duplicate: result.duplicate };
+};
+
+module.exports = {
+    PAYMENT_PROVIDER,
+    getProvider,
+    getOrderPayment,
+    publicPayment,
+    payOrder,
+    completeChallenge,
+    refundOrderPayment,
+    handleWebhook
+};
@@ -0,0 +1,164 @@
+// Montants en centimes pour éviter les erreurs d'arrondi
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Lire un réglage numérique positif dans l'environnement
+const readAmount = (name, fallback) => {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+
+    const amount = parseFloat(value);
+    if (Number.isNaN(amount) || amount < 0) {
+        throw new Error(`Configuration invalide : ${name}=${value}`);
+    }
+    return amount;
+};
+
+// Les prix du catalogue sont TTC : la TVA est extraite du total, pas ajoutée
+const VAT_RATE = readAmount('VAT_RATE', 0.20);
+
+// Livraison offerte à partir de ce montant TTC (0 la désactive)
+const FREE_SHIPPING_THRESHOLD = readAmount('FREE_SHIPPING_THRESHOLD', 100);
+
+// Poids retenu pour une paire sans poids renseigné, boîte comprise (en grammes)
+const DEFAULT_PAIR_WEIGHT = 1200;
+
+// Tarifs TTC par tranche : la première tranche dont `upTo` couvre le panier s'applique
+// (`upTo` en euros pour le mode `amount`, en grammes pour le mode `weight`, null = sans limite)
+const DEFAULT_SHIPPING_RULES = {
+    amount: [
+        { upTo: 50, price: 6.90 },
+        { upTo: null, price: 4.90 }
+    ],
+    weight: [
+        { upTo: 2000, price: 5.90 },
+        { upTo: 5000, price: 8.90 },
+        { upTo: null, price: 12.90 }
+    ]
+};
+
+const SHIPPING_MODE = process.env.SHIPPING_MODE || 'amount';
+if (!DEFAULT_SHIPPING_RULES[SHIPPING_MODE]) {
+    throw new Error(`Configuration invalide : SHIPPING_MODE=${SHIPPING_MODE} (amount ou weight)`);
+}
+
+// SHIPPING_RULES='[{"upTo":50,"price":6.9},{"upTo":null,"price":4.9}]' : seul le dernier palier est sans plafond
+const parseShippingRules = (value) => {
+    let rules;
+    try {
+        rules = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`Configuration invalide : SHIPPING_RULES n'est pas du JSON (${error.message})`);
+    }
+
+    const isRule = (rule) => Boolean(rule) && typeof rule === 'object'
+        && (rule.upTo === null || typeof rule.upTo === 'number')
+        && typeof rule.price === 'number' && rule.price >= 0;
+    if (!Array.isArray(rules) || rules.length === 0 || !rules.every(isRule)) {
+        throw new Error('Configuration invalide : SHIPPING_RULES doit être une liste de paliers {"upTo": nombre ou null, "price": nombre}');
+    }
+    if (rules.findIndex(rule => rule.upTo === null) !== rules.length - 1) {
+        throw new Error('Configuration invalide : SHIPPING_RULES doit se terminer par un seul palier sans plafond ("upTo": null)');
+    }
+    return rules;
+};
+
+const SHIPPING_RULES = process.env.SHIPPING_RULES
+    ? parseShippingRules(process.env.SHIPPING_RULES)
+    : DEFAULT_SHIPPING_RULES[SHIPPING_MODE];
+
+const shippingCost = (subtotal, weight) => {
+    if (FREE_SHIPPING_THRESHOLD > 0 && subtotal >= toCents(FREE_SHIPPING_THRESHOLD)) {
+        return 0;
+    }
+
+    const measure = SHIPPING_MODE === 'weight' ? weight : fromCents(subtotal);
+    // Le dernier palier, sans plafond, s'applique toujours à défaut d'un autre
+    const rule = SHIPPING_RULES.find(item => item.upTo === null || measure <= item.upTo);
+    return toCents(rule.price);
+};
+
+// Lignes concernées par une promotion (les lignes de commande portent `product_id`, celles du panier `id`)
+const isEligibleLine = (promotion, line) => {
+    if (promotion.scope === 'brand') {
+        return String(line.brand || '').toUpperCase() === String(promotion.scope_brand || '').toUpperCase();
+    }
+    if (promotion.scope === 'product') {
+        return (line.product_id || line.id) === promotion.scope_product_id;
+    }
+    return true;
+};
+
+// Remise d'une promotion sur des lignes chiffrées, jamais supérieure aux lignes concernées
+const promotionDiscount = (promotion, lines) => {
+    const eligible = lines
+        .filter(line => isEligibleLine(promotion, line))
+        .reduce((total, line) => total + line.lineTotal, 0);
+
+    const discount = promotion.discount_type === 'percentage'
+        ? Math.round(eligible * parseFloat(promotion.discount_value) / 100)
+        : toCents(promotion.discount_value);
+    return Math.min(discount, eligible);
+};
+
+// Chiffrer des lignes de panier (price, quantity, weight_grams), avec une promotion éventuelle.
+// Tous les montants sont en centimes ; la livraison se calcule après remise.
+const priceCart = (items, promotion = null) => {
+    const lines = items.map(item => {
+        const unitPrice = toCents(item.price);
+        const quantity = parseInt(item.quantity) || 1;
+        return { ...item, unitPrice, quantity, lineTotal: unitPrice * quantity };
+    });
+
+    const subtotal = lines.reduce((total, line) => total + line.lineTotal, 0);
+    const discount = promotion ? promotionDiscount(promotion, lines) : 0;
+    const weight = lines.reduce((total, line) => total + (line.weight_grams || DEFAULT_PAIR_WEIGHT) * line.quantity, 0);
+    const shipping = lines.length === 0 ? 0 : shippingCost(subtotal - discount, weight);
+    const total = subtotal - discount + shipping;
+    const vatBase = Math.round(total / (1 + VAT_RATE));
+
+    return {
+        lines,
+        itemCount: lines.reduce((count, line) => count + line.quantity, 0),
+        weight,
+        subtotal,
+        discount,
+        shipping,
+        vat: { rate: VAT_RATE, base: vatBase, amount: total - vatBase },
+        total
+    };
+};
+
+// Récapitulatif en euros renvoyé au navigateur
+const formatSummary = (pricing) => {
+    const threshold = FREE_SHIPPING_THRESHOLD > 0 ? toCents(FREE_SHIPPING_THRESHOLD) : null;
+
+    return {
+        currency: 'EUR',
+        itemCount: pricing.itemCount,
+        subtotal: fromCents(pricing.subtotal),
+        discount: fromCents(pricing.discount),
+        shipping: fromCents(pricing.shipping),
+        freeShippingThreshold: threshold === null ? null : fromCents(threshold),
+        freeShippingRemaining: threshold === null || pricing.itemCount === 0
+            ? null
+            : fromCents(Math.max(threshold - (pricing.subtotal - pricing.discount), 0)),
+        vat: {
+            rate: pricing.vat.rate,
+            base: fromCents(pricing.vat.base),
+            amount: fromCents(pricing.vat.amount)
+        },
+        total: fromCents(pricing.total)
+    };
+};
+
+module.exports = {
+    VAT_RATE,
+    FREE_SHIPPING_THRESHOLD,
+    SHIPPING_MODE,
+    toCents,
+    fromCents,
+    promotionDiscount,
+    priceCart,
+    formatSummary
+};
@@ -0,0 +1,104 @@
+const { dbGet } = require('./database');
+const { toCents, priceCart, promotionDiscount } = require('./pricing');
+
+const PROMOTION_TYPES = ['percentage', 'fixed'];
+const PROMOTION_SCOPES = ['cart', 'brand', 'product'];
+
+// Les commandes annulées ne consomment pas d'utilisation
+const USED_ORDERS_CONDITION = "promotion_id = ? AND status != 'cancelled'";
+
+const findPromotion = (code) => {
+    return dbGet('SELECT * FROM promotions WHERE code = ?', [String(code || '').trim()]);
+};
+
+// Un code qui n'existe plus ou qui est terminé ne doit pas rester dans le panier
+const isExpired = (promotion) => {
+    return !promotion || !promotion.is_active || (promotion.ends_at && new Date(promotion.ends_at) <= new Date());
+};
+
+// Pourquoi une promotion ne s'applique pas à ce panier (message) ou null.
+// Sans utilisateur (panier invité), la limite par client est vérifiée à la commande.
+const promotionError = async (promotion, cartItems, userId = null) => {
+    if (!promotion || !promotion.is_active) {
+        return 'Code promo invalide';
+    }
+
+    const now = new Date();
+    if (promotion.starts_at && new Date(promotion.starts_at) > now) {
+        return 'Ce code n\'est pas encore valable';
+    }
+    if (promotion.ends_at && new Date(promotion.ends_at) <= now) {
+        return 'Ce code a expiré';
+    }
+
+    const pricing = priceCart(cartItems);
+    if (promotion.min_cart_amount && pricing.subtotal < toCents(promotion.min_cart_amount)) {
+        return `Ce code nécessite un panier d'au moins ${parseFloat(promotion.min_cart_amount).toFixed(2)}€`;
+    }
+    if (promotionDiscount(promotion, pricing.lines) === 0) {
+        return 'Aucun article de votre panier n\'est concerné par ce code';
+    }
+
+    if (promotion.max_uses) {
+        const { uses } = await dbGet(`SELECT COUNT(*) as uses FROM orders WHERE ${USED_ORDERS_CONDITION}`, [promotion.id]);
+        if (uses >= promotion.max_uses) {
+            return 'Ce code a atteint sa limite d\'utilisation';
+        }
+    }
+    if (promotion.max_uses_per_user && userId) {
+        const { uses } = await dbGet(
+            `SELECT COUNT(*) as uses FROM orders WHERE ${USED_ORDERS_CONDITION} AND user_id = ?`,
+            [promotion.id, userId]
+        );
+        if (uses >= promotion.max_uses_per_user) {
+            return 'Vous avez déjà utilisé ce code le nombre de fois autorisé';
+        }
+    }
+
+    return null;
+};
+
+// Cohérence d'un code promo complet (création ou résultat d'une modification) : message ou null
+const promotionDataError = (promotion) => {
+    if (promotion.discount_type === 'percentage' && parseFloat(promotion.discount_value) > 100) {
+        return 'Une remise en pourcentage ne peut pas dépasser 100%';
+    }
+    if (promotion.scope === 'brand' && !promotion.scope_brand) {
+        return 'Marque requise pour une remise sur une marque';
+    }
+    if (promotion.scope === 'product' && !promotion.scope_product_id) {
+        return 'Produit requis pour une remise sur un produit';
+    }
+    if (promotion.starts_at && promotion.ends_at && new Date(promotion.starts_at) >= new Date(promotion.ends_at)) {
+        return 'La date de fin doit suivre la date de début';
+    }
+    return null;
+};
+
+// Code promo gardé en session : promotion applicable (ou null) et état à afficher dans le panier
+const sessionPromotion = async (session, cartItems, userId = null) => {
+    if (!session.promoCode) {
+        return { promotion: null, promo: null };
+    }
+
+    const promotion = await findPromotion(session.promoCode);
+    if (isExpired(promotion)) {
+        delete session.promoCode;
+        return { promotion: null, promo: null };
+    }
+
+    const error = await promotionError(promotion, cartItems, userId);
+    return {
+        promotion: error ? null : promotion,
+        promo: { code: promotion.code, description: promotion.description, error }
+    };
+};
+
+module.exports = {
+    PROMOTION_TYPES,
+    PROMOTION_SCOPES,
+    findPromotion,
+    promotionDataError,
+    promotionError,
+    sessionPromotion
+};
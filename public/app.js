@@ -16,7 +16,8 @@ class SecurityManager {
     static escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Les guillemets aussi, le résultat étant souvent utilisé dans des attributs
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 }
 
@@ -66,15 +67,19 @@ class API {
             config.headers['X-CSRF-Token'] = this.csrfToken;
         }
 
-        if (options.body && typeof options.body === 'object') {
+        if (options.body instanceof FormData) {
+            // Le navigateur fixe lui-même le Content-Type multipart
+            delete config.headers['Content-Type'];
+        } else if (options.body && typeof options.body === 'object') {
             config.body = JSON.stringify(options.body);
         }
 
         try {
-            const response = await fetch(`/api${endpoint}`, config);
+            let response = await fetch(`/api${endpoint}`, config);
+            let errorData = null;
 
             if (response.status === 403) {
-                const errorData = await response.json();
+                errorData = await response.json();
                 if (errorData.message && errorData.message.includes('CSRF')) {
                     this.csrfInitialized = false;
                     await this.initCSRF();
@@ -83,9 +88,9 @@ class API {
                         config.headers['X-CSRF-Token'] = this.csrfToken;
                     }
 
-                    const retryResponse = await fetch(`/api${endpoint}`, config);
-                    const retryData = await retryResponse.json();
-                    return retryData;
+                    // La réponse du nouvel essai est traitée comme une réponse normale (erreurs comprises)
+                    response = await fetch(`/api${endpoint}`, config);
+                    errorData = response.status === 403 ? await response.json() : null;
                 }
             }
 
@@ -93,10 +98,15 @@ class API {
                 return { success: true };
             }
 
-            const data = await response.json();
+            // Le corps d'un 403 a déjà été lu pour détecter l'erreur CSRF
+            const data = errorData || await response.json();
 
             if (!response.ok) {
-                throw new Error(data.message || `Erreur ${response.status}`);
+                const error = new Error(data.message || `Erreur ${response.status}`);
+                error.status = response.status;
+                error.code = data.code || null;
+                error.errors = data.errors || [];
+                throw error;
             }
 
             return data;
@@ -107,10 +117,10 @@ class API {
     }
 
     // Auth
-    static async login(email, password) {
+    static async login(email, password, remember = false) {
         return this.request('/auth/login', {
             method: 'POST',
-            body: { email, password }
+            body: { email, password, remember }
         });
     }
 
@@ -129,13 +139,65 @@ class API {
         return this.request('/auth/verify');
     }
 
+    static async forgotPassword(email) {
+        return this.request('/auth/forgot-password', {
+            method: 'POST',
+            body: { email }
+        });
+    }
+
+    static async resetPassword(token, password) {
+        return this.request('/auth/reset-password', {
+            method: 'POST',
+            body: { token, password }
+        });
+    }
+
+    static async verifyLoginTwoFactor(secondFactor) {
+        return this.request('/auth/login/2fa', {
+            method: 'POST',
+            body: secondFactor
+        });
+    }
+
+    static async verifyEmail(token) {
+        return this.request('/auth/verify-email', {
+            method: 'POST',
+            body: { token }
+        });
+    }
+
+    static async confirmEmailChange(token) {
+        return this.request('/auth/confirm-email-change', {
+            method: 'POST',
+            body: { token }
+        });
+    }
+
+    static async resendVerification() {
+        return this.request('/auth/resend-verification', { method: 'POST' });
+    }
+
+    // Produits
+    static async getProduct(reference) {
+        return this.request(`/products/${encodeURIComponent(reference)}`);
+    }
+
+    static async getProducts(queryString = '') {
+        return this.request(`/products${queryString ? `?${queryString}` : ''}`);
+    }
+
+    static async search(text, limit = 6) {
+        return this.request(`/search?q=${encodeURIComponent(text)}&limit=${limit}`);
+    }
+
     // Favoris
     static async getFavorites() {
         return this.request('/users/favorites');
     }
 
     static async toggleFavorite(productId) {
-        return this.request(`/users/favorites/${productId}`, { method: 'POST' });
+        return this.request(`/v2/users/favorites/${productId}`, { method: 'POST' });
     }
 
     // Panier
@@ -143,12 +205,174 @@ class API {
         return this.request('/users/cart');
     }
 
-    static async addToCart(productId) {
-        return this.request(`/users/cart/${productId}`, { method: 'POST' });
+    static async addToCart(productId, size) {
+        return this.request(`/v2/users/cart/${productId}`, {
+            method: 'POST',
+            body: { size }
+        });
+    }
+
+    static async removeFromCart(productId, size) {
+        return this.request(`/v2/users/cart/${productId}?size=${encodeURIComponent(size)}`, { method: 'DELETE' });
+    }
+
+    static async updateCartItem(itemId, quantity) {
+        return this.request(`/users/cart/${itemId}`, {
+            method: 'PATCH',
+            body: { quantity }
+        });
+    }
+
+    static async clearCart() {
+        return this.request('/users/cart', { method: 'DELETE' });
+    }
+
+    static async applyPromoCode(code) {
+        return this.request('/users/cart/promo', {
+            method: 'POST',
+            body: { code }
+        });
+    }
+
+    static async removePromoCode() {
+        return this.request('/users/cart/promo', { method: 'DELETE' });
+    }
+
+    // Commandes
+    static async createOrder(checkoutData) {
+        return this.request('/orders', {
+            method: 'POST',
+            body: checkoutData
+        });
+    }
+
+    static async getOrders() {
+        return this.request('/users/orders');
+    }
+
+    static async getOrder(orderId) {
+        return this.request(`/users/orders/${orderId}`);
+    }
+
+    static async cancelOrder(orderId) {
+        return this.request(`/users/orders/${orderId}/cancel`, { method: 'POST' });
+    }
+
+    // Profil
+    static async getProfile() {
+        return this.request('/users/me');
+    }
+
+    static async updateProfile(profileData) {
+        return this.request('/users/me', {
+            method: 'PUT',
+            body: profileData
+        });
+    }
+
+    static async changePassword(currentPassword, newPassword) {
+        return this.request('/users/me/password', {
+            method: 'PUT',
+            body: { currentPassword, newPassword }
+        });
+    }
+
+    static async changeEmail(email, password) {
+        return this.request('/users/me/email', {
+            method: 'PUT',
+            body: { email, password }
+        });
+    }
+
+    static async deleteAccount(password) {
+        return this.request('/users/me', {
+            method: 'DELETE',
+            body: { password }
+        });
+    }
+
+    // Double authentification
+    static async getTwoFactor() {
+        return this.request('/users/me/2fa');
+    }
+
+    static async setupTwoFactor(password) {
+        return this.request('/users/me/2fa/setup', {
+            method: 'POST',
+            body: { password }
+        });
+    }
+
+    static async enableTwoFactor(code) {
+        return this.request('/users/me/2fa/enable', {
+            method: 'POST',
+            body: { code }
+        });
+    }
+
+    static async regenerateRecoveryCodes(password) {
+        return this.request('/users/me/2fa/recovery-codes', {
+            method: 'POST',
+            body: { password }
+        });
+    }
+
+    static async disableTwoFactor(password, code) {
+        return this.request('/users/me/2fa', {
+            method: 'DELETE',
+            body: { password, code }
+        });
+    }
+
+    // Sessions actives
+    static async getSessions() {
+        return this.request('/users/me/sessions');
+    }
+
+    static async revokeSession(sessionId) {
+        return this.request(`/users/me/sessions/${sessionId}`, { method: 'DELETE' });
+    }
+
+    static async logoutEverywhere() {
+        return this.request('/users/me/sessions', { method: 'DELETE' });
     }
 
-    static async removeFromCart(productId) {
-        return this.request(`/users/cart/${productId}`, { method: 'DELETE' });
+    // Carnet d'adresses
+    static async getAddresses() {
+        return this.request('/users/addresses');
+    }
+
+    static async addAddress(addressData) {
+        return this.request('/users/addresses', {
+            method: 'POST',
+            body: addressData
+        });
+    }
+
+    static async updateAddress(addressId, addressData) {
+        return this.request(`/users/addresses/${addressId}`, {
+            method: 'PUT',
+            body: addressData
+        });
+    }
+
+    static async deleteAddress(addressId) {
+        return this.request(`/users/addresses/${addressId}`, { method: 'DELETE' });
+    }
+
+    // Paiement
+    static async payOrder(orderId, paymentMethod) {
+        return this.request(`/orders/${orderId}/payment`, {
+            method: 'POST',
+            body: { paymentMethod }
+        });
+    }
+
+    static async completePaymentChallenge(orderId, approve) {
+        return this.request(`/orders/${orderId}/payment/challenge`, {
+            method: 'POST',
+            body: { approve }
+        });
     }
 
     // Admin
@@ -170,6 +394,86 @@ class API {
     static async getStats() {
         return this.request('/admin/stats');
     }
+
+    static async getAdminProducts() {
+        return this.request('/admin/products');
+    }
+
+    static async addProduct(productData) {
+        return this.request('/admin/products', {
+            method: 'POST',
+            body: productData
+        });
+    }
+
+    static async updateProduct(productId, productData) {
+        return this.request(`/admin/products/${productId}`, {
+            method: 'PUT',
+            body: productData
+        });
+    }
+
+    static async deleteProduct(productId) {
+        return this.request(`/admin/products/${productId}`, { method: 'DELETE' });
+    }
+
+    static async uploadProductImages(productId, files) {
+        const formData = new FormData();
+        Array.from(files).forEach(file => formData.append('images', file));
+        return this.request(`/admin/products/${productId}/images`, {
+            method: 'POST',
+            body: formData
+        });
+    }
+
+    static async reorderProductImages(productId, imageIds) {
+        return this.request(`/admin/products/${productId}/images/order`, {
+            method: 'PUT',
+            body: { imageIds }
+        });
+    }
+
+    static async deleteProductImage(productId, imageId) {
+        return this.request(`/admin/products/${productId}/images/${imageId}`, { method: 'DELETE' });
+    }
+
+    static async getAdminPromotions() {
+        return this.request('/admin/promotions');
+    }
+
+    static async addPromotion(promotionData) {
+        return this.request('/admin/promotions', {
+            method: 'POST',
+            body: promotionData
+        });
+    }
+
+    static async updatePromotion(promotionId, promotionData) {
+        return this.request(`/admin/promotions/${promotionId}`, {
+            method: 'PUT',
+            body: promotionData
+        });
+    }
+
+    static async deletePromotion(promotionId) {
+        return this.request(`/admin/promotions/${promotionId}`, { method: 'DELETE' });
+    }
+
+    static async getSecurityActivity(hours) {
+        return this.request(`/admin/security?hours=${encodeURIComponent(hours)}`);
+    }
+
+    static async getAdminOrders(status = '') {
+        const query = status ? `?status=${encodeURIComponent(status)}` : '';
+        return this.request(`/admin/orders${query}`);
+    }
+
+    static async updateOrderStatus(orderId, status, returned = false) {
+        return this.request(`/admin/orders/${orderId}/status`, {
+            method: 'PUT',
+            body: { status, returned }
+        });
+    }
 }
 
 // ==================== AUTHENTIFICATION ====================
@@ -194,13 +498,16 @@ class Auth {
     }
 
 
-    static async login(email, password) {
+    static async login(email, password, remember = false) {
         try {
-            const response = await API.login(email, password);
+            const response = await API.login(email, password, remember);
+            if (response.success && response.twoFactorRequired) {
+                return { success: false, twoFactorRequired: true, message: response.message };
+            }
             if (response.success) {
                 this.currentUser = response.user;
                 this.updateUI();
-                return { success: true, user: response.user };
+                return { success: true, user: response.user, cartMerge: response.cartMerge };
             } else {
                 return { success: false, message: response.message };
             }
@@ -209,13 +516,25 @@ class Auth {
         }
     }
 
+    // Code TOTP ({ code }) ou code de secours ({ recoveryCode }) après le mot de passe
+    static async verifySecondFactor(secondFactor) {
+        try {
+            const response = await API.verifyLoginTwoFactor(secondFactor);
+            this.currentUser = response.user;
+            this.updateUI();
+            return { success: true, user: response.user, cartMerge: response.cartMerge, message: response.message };
+        } catch (error) {
+            return { success: false, message: error.message, restart: error.code === 'LOGIN_EXPIRED' };
+        }
+    }
+
     static async register(userData) {
         try {
             const response = await API.register(userData);
             if (response.success) {
                 this.currentUser = response.user;
                 this.updateUI();
-                return { success: true, user: response.user };
+                return { success: true, user: response.user, cartMerge: response.cartMerge };
             } else {
                 return { success: false, message: response.message };
             }
@@ -242,6 +561,14 @@ class Auth {
         const loginButton = document.getElementById('loginButton');
         const userName = document.getElementById('userName');
         const adminMenuItem = document.getElementById('adminMenuItem');
+        const verificationBanner = document.getElementById('emailVerificationBanner');
+
+        if (verificationBanner) {
+            verificationBanner.classList.toggle('hidden', !this.currentUser || this.currentUser.emailVerified);
+        }
+        if (this.currentUser && !this.currentUser.emailVerified) {
+            document.getElementById('emailVerificationAddress').textContent = this.currentUser.email;
+        }
 
         if (this.currentUser) {
             // Afficher le menu utilisateur
@@ -268,10 +595,41 @@ class Auth {
     static isAdmin() {
         return this.currentUser && this.currentUser.role === 'admin';
     }
+
+    // Fonctionnalité bloquée tant que l'adresse email n'est pas confirmée
+    static isRestricted(feature) {
+        return Boolean(this.currentUser && this.currentUser.restrictions.includes(feature));
+    }
+
+    static async resendVerification() {
+        try {
+            const response = await API.resendVerification();
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message || 'Erreur lors de l\'envoi du lien', 'error');
+        }
+    }
 }
 
 // ==================== INTERFACE UTILISATEUR ====================
 class UI {
+    static brandDetails = {
+        NIKE: { emoji: '✓', tagline: 'Just Do It' },
+        ADIDAS: { emoji: '⚡', tagline: '3 Stripes' },
+        JORDAN: { emoji: '🔥', tagline: 'Jumpman' },
+        CONVERSE: { emoji: '⭐', tagline: 'All Star' }
+    };
+
+    static orderStatusLabels = {
+        pending: { label: 'En attente', className: 'bg-yellow-100 text-yellow-800' },
+        paid: { label: 'Payée', className: 'bg-blue-100 text-blue-800' },
+        preparing: { label: 'En préparation', className: 'bg-indigo-100 text-indigo-800' },
+        shipped: { label: 'Expédiée', className: 'bg-purple-100 text-purple-800' },
+        delivered: { label: 'Livrée', className: 'bg-green-100 text-green-800' },
+        cancelled: { label: 'Annulée', className: 'bg-gray-100 text-gray-800' },
+        refunded: { label: 'Remboursée', className: 'bg-red-100 text-red-800' }
+    };
+
     static showNotification(message, type = 'info') {
         const sanitizedMessage = SecurityManager.sanitizeInput(message);
         const notification = document.createElement('div');
@@ -305,9 +663,45 @@ class UI {
     static closeLogin() {
         document.getElementById('loginModal').classList.add('hidden');
         document.getElementById('loginError').classList.add('hidden');
+        this.cancelTwoFactor();
         this.clearFormData();
     }
 
+    // Seconde étape de connexion (compte protégé par double authentification)
+    static useRecoveryCode = false;
+
+    static showTwoFactorStep() {
+        document.getElementById('loginForm').classList.add('hidden');
+        document.getElementById('loginError').classList.add('hidden');
+        document.getElementById('loginTwoFactorForm').classList.remove('hidden');
+        document.getElementById('loginTwoFactorCode').focus();
+    }
+
+    static cancelTwoFactor() {
+        this.setRecoveryCodeMode(false);
+        document.getElementById('loginTwoFactorForm').classList.add('hidden');
+        document.getElementById('loginTwoFactorError').classList.add('hidden');
+        document.getElementById('loginForm').classList.remove('hidden');
+    }
+
+    static toggleRecoveryCode() {
+        this.setRecoveryCodeMode(!this.useRecoveryCode);
+    }
+
+    static setRecoveryCodeMode(enabled) {
+        this.useRecoveryCode = enabled;
+        const input = document.getElementById('loginTwoFactorCode');
+        input.value = '';
+        input.inputMode = this.useRecoveryCode ? 'text' : 'numeric';
+        input.placeholder = this.useRecoveryCode ? 'xxxxx-xxxxx' : '123456';
+        document.getElementById('loginTwoFactorLabel').textContent = this.useRecoveryCode
+            ? 'Code de secours'
+            : 'Code de votre application d\'authentification';
+        document.getElementById('loginRecoveryToggle').textContent = this.useRecoveryCode
+            ? 'Utiliser l\'application d\'authentification'
+            : 'Utiliser un code de secours';
+    }
+
     static openSignup() {
         document.getElementById('signupModal').classList.remove('hidden');
         document.getElementById('loginModal').classList.add('hidden');
@@ -321,37 +715,205 @@ class UI {
 
     static switchToLogin() {
         document.getElementById('signupModal').classList.add('hidden');
+        document.getElementById('forgotPasswordModal').classList.add('hidden');
         document.getElementById('loginModal').classList.remove('hidden');
     }
 
-    static showHomePage() {
-        document.getElementById('mainContent').classList.remove('hidden');
-        document.getElementById('favoritesPage').classList.add('hidden');
-        document.getElementById('adminPanel').classList.add('hidden');
+    static openForgotPassword() {
+        const loginEmail = document.getElementById('loginEmail');
+        document.getElementById('forgotPasswordEmail').value = loginEmail ? loginEmail.value : '';
+        document.getElementById('forgotPasswordError').classList.add('hidden');
+        document.getElementById('forgotPasswordSuccess').classList.add('hidden');
+        document.getElementById('loginModal').classList.add('hidden');
+        document.getElementById('forgotPasswordModal').classList.remove('hidden');
+    }
 
-        // Scroll vers le haut
-        window.scrollTo({
-            top: 0,
-            behavior: 'smooth'
+    static closeForgotPassword() {
+        document.getElementById('forgotPasswordModal').classList.add('hidden');
+    }
+
+    // Lien reçu par email : /reinitialiser-mot-de-passe?token=...
+    static resetToken = null;
+
+    static showResetPassword() {
+        this.showHomePage();
+        this.resetToken = new URLSearchParams(window.location.search).get('token');
+        if (!this.resetToken) {
+            return false;
+        }
+
+        document.getElementById('resetPasswordError').classList.add('hidden');
+        document.getElementById('resetPasswordModal').classList.remove('hidden');
+        return true;
+    }
+
+    // Lien reçu par email : /verifier-email?token=...
+    static showEmailVerification() {
+        return this.applyEmailLink(token => API.verifyEmail(token), 'Lien de vérification invalide');
+    }
+
+    // Lien reçu sur la nouvelle adresse : /confirmer-email?token=...
+    static showEmailChangeConfirmation() {
+        return this.applyEmailLink(token => API.confirmEmailChange(token), 'Lien de confirmation invalide');
+    }
+
+    static async applyEmailLink(request, fallbackMessage) {
+        this.showHomePage();
+        const token = new URLSearchParams(window.location.search).get('token');
+        window.history.replaceState(null, '', Catalog.homeUrl());
+        if (!token) {
+            return false;
+        }
+
+        try {
+            const response = await request(token);
+            if (Auth.currentUser) {
+                await Auth.init();
+            }
+            this.showNotification(`✅ ${response.message}`, 'success');
+        } catch (error) {
+            this.showNotification(error.message || fallbackMessage, 'error');
+        }
+        return true;
+    }
+
+    static closeResetPassword() {
+        document.getElementById('resetPasswordModal').classList.add('hidden');
+        this.resetToken = null;
+        this.clearFormData();
+        // Le jeton ne doit pas rester dans l'historique du navigateur
+        window.history.replaceState(null, '', Catalog.homeUrl());
+    }
+
+    static pages = ['mainContent', 'favoritesPage', 'ordersPage', 'productPage', 'profilePage', 'adminPanel'];
+    static currentProduct = null;
+
+    // Afficher une seule page de la SPA
+    static showPage(pageId) {
+        const changed = document.getElementById(pageId)?.classList.contains('hidden');
+        this.pages.forEach(id => {
+            document.getElementById(id)?.classList.toggle('hidden', id !== pageId);
         });
+        if (pageId !== 'productPage') {
+            this.currentProduct = null;
+        }
+        document.title = Router.defaultTitle;
+
+        // Scroll vers le haut
+        if (changed) {
+            window.scrollTo({
+                top: 0,
+                behavior: 'smooth'
+            });
+        }
+    }
+
+    static showHomePage() {
+        this.showPage('mainContent');
+        return true;
     }
 
     static showFavorites() {
         if (!Auth.currentUser) {
             this.showNotification('Veuillez vous connecter pour accéder aux favoris', 'error');
-            return;
+            return false;
         }
-        document.getElementById('mainContent').classList.add('hidden');
-        document.getElementById('favoritesPage').classList.remove('hidden');
-        document.getElementById('adminPanel').classList.add('hidden');
+        this.showPage('favoritesPage');
+        this.loadFavorites();
+        return true;
+    }
 
-        // Scroll vers le haut
-        window.scrollTo({
-            top: 0,
-            behavior: 'smooth'
-        });
+    static async showProduct(reference) {
+        this.showPage('productPage');
+        const container = document.getElementById('productDetail');
+        container.innerHTML = '<div class="text-center py-16 text-gray-500">Chargement...</div>';
 
-        this.loadFavorites();
+        try {
+            const response = await API.getProduct(reference);
+            this.currentProduct = response.product;
+            this.productImageIndex = 0;
+
+            // Lien ancien ou par identifiant : afficher l'URL canonique
+            const canonical = `/produit/${response.product.slug}`;
+            if (window.location.pathname !== canonical) {
+                window.history.replaceState(null, '', canonical);
+            }
+
+            document.title = `${response.product.name} - ${response.product.brand} | SneakZone`;
+            this.renderProductDetail();
+            App.updateFavoriteButtons();
+        } catch (error) {
+            console.error('Erreur chargement produit:', error);
+            container.innerHTML = `
+                <div class="text-center py-16">
+                    <div class="text-6xl mb-4">🔍</div>
+                    <h3 class="text-xl font-semibold text-gray-600 mb-2">Produit introuvable</h3>
+                    <p class="text-gray-500">Ce modèle n'existe pas ou a été retiré du catalogue.</p>
+                </div>
+            `;
+        }
+        return true;
+    }
+
+    static renderProductDetail() {
+        const product = this.currentProduct;
+        const container = document.getElementById('productDetail');
+        if (!product || !container) return;
+
+        const name = SecurityManager.escapeHtml(product.name);
+        const images = product.images || [];
+        const image = images[this.productImageIndex] || images[0];
+
+        container.innerHTML = `
+            <div class="grid md:grid-cols-2 gap-10">
+                <div>
+                    <div class="sneaker-card rounded-2xl h-96 flex items-center justify-center overflow-hidden">
+                        ${image
+                            ? `<img src="${SecurityManager.escapeHtml(image.urls.large)}" alt="${name}" class="max-h-96 object-contain">`
+                            : `<span class="text-9xl">${SecurityManager.escapeHtml(product.image_emoji || '👟')}</span>`}
+                    </div>
+                    ${images.length > 1 ? `
+                        <div class="flex flex-wrap gap-2 mt-4">
+                            ${images.map((item, index) => `
+                                <button onclick="UI.selectProductImage(${index})"
+                                        class="border-2 rounded-lg overflow-hidden ${item === image ? 'border-blue-600' : 'border-transparent'}">
+                                    <img src="${SecurityManager.escapeHtml(item.urls.thumb)}" alt="" class="w-16 h-16 object-cover">
+                                </button>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+                <div>
+                    <div class="text-sm text-gray-500 mb-2">${SecurityManager.escapeHtml(product.brand)}</div>
+                    <h2 class="text-3xl font-bold text-gray-800 mb-4">${name}</h2>
+                    <div class="price-tag inline-block mb-6">${parseFloat(product.price).toFixed(2)}€</div>
+                    <p class="text-gray-600 mb-6">${SecurityManager.escapeHtml(product.description || '')}</p>
+                    ${product.archived_at ? `
+                        <p class="text-gray-500 mb-6">Ce modèle n'est plus disponible à la vente</p>
+                    ` : `
+                        <h3 class="text-sm font-semibold text-gray-700 mb-2">Choisir une pointure (EU)</h3>
+                        <div class="size-picker flex flex-wrap gap-2 mb-6" data-product-id="${product.id}">${this.renderSizeOptions(product.id)}</div>
+                    `}
+                    <div class="flex gap-2">
+                        <button onclick="toggleFavorite(${product.id})"
+                                class="favorite-btn flex-shrink-0 p-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition duration-200"
+                                data-product-id="${product.id}">
+                            <span class="text-xl">🤍</span>
+                        </button>
+                        <button onclick="App.addProductToCart(${product.id})" ${product.archived_at ? 'disabled' : ''}
+                                class="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-3 rounded-lg font-medium transition duration-200 disabled:bg-gray-300 disabled:cursor-not-allowed">
+                            Ajouter au Panier
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    static selectProductImage(index) {
+        this.productImageIndex = index;
+        this.renderProductDetail();
+        App.updateFavoriteButtons();
     }
 
 
@@ -377,59 +939,1110 @@ class UI {
             </div>
         `;
         } else {
-            favoritesGrid.innerHTML = favorites.map(product => `
-            <div class="sneaker-card rounded-2xl p-6 shadow-lg card-hover">
-                <div class="text-center mb-4">
-                    <div class="text-8xl mb-4">${product.image_emoji}</div>
-                    <div class="text-sm text-gray-500 mb-2">${SecurityManager.sanitizeInput(product.brand)}</div>
-                    <h4 class="text-xl font-bold text-gray-800 mb-2">${SecurityManager.sanitizeInput(product.name)}</h4>
-                    <p class="text-gray-600 text-sm mb-4">${SecurityManager.sanitizeInput(product.description)}</p>
-                </div>
-                <div class="flex justify-between items-center mb-4">
-                    <div class="price-tag text-white px-3 py-1 rounded-full text-sm font-bold">
-                        ${product.price}€
-                    </div>
+            favoritesGrid.innerHTML = favorites.map(product => this.renderProductCard(product)).join('');
+
+            App.updateFavoriteButtons();
+        }
+    }
+
+    // Première photo du produit, ou son emoji s'il n'en a pas
+    static renderProductImage(product, variant, imageClass, emojiClass) {
+        const image = (product.images || [])[0];
+        if (image) {
+            return `<img src="${SecurityManager.escapeHtml(image.urls[variant])}" alt="${SecurityManager.escapeHtml(product.name)}" loading="lazy" class="${imageClass}">`;
+        }
+        return `<span class="${emojiClass}">${SecurityManager.escapeHtml(product.image_emoji || '👟')}</span>`;
+    }
+
+    static renderProductCard(product) {
+        const name = SecurityManager.escapeHtml(product.name);
+        return `
+            <div class="sneaker-card rounded-2xl p-6 shadow-lg card-hover" data-product-id="${product.id}">
+                <div class="text-center mb-4">
+                    <a href="/produit/${SecurityManager.escapeHtml(product.slug || String(product.id))}" data-route
+                       class="h-32 flex items-center justify-center mb-4">
+                        ${this.renderProductImage(product, 'medium', 'max-h-32 object-contain rounded-xl', 'text-8xl')}
+                    </a>
+                    <div class="text-sm text-gray-500 mb-2">${SecurityManager.escapeHtml(product.brand)}</div>
+                    <h4 class="text-xl font-bold text-gray-800 mb-2">
+                        <a href="/produit/${SecurityManager.escapeHtml(product.slug || String(product.id))}" data-route class="hover:text-blue-600">${name}</a>
+                    </h4>
+                    <p class="text-gray-600 text-sm mb-4">${SecurityManager.escapeHtml(product.description || '')}</p>
+                </div>
+                <div class="flex justify-between items-center mb-4">
+                    <div class="price-tag text-white px-3 py-1 rounded-full text-sm font-bold">${parseFloat(product.price).toFixed(2)}€</div>
+                    ${product.sizes ? `<div class="text-sm text-gray-500">Tailles: ${SecurityManager.escapeHtml(product.sizes)}</div>` : ''}
                 </div>
+                ${product.archived_at ? `
+                    <p class="text-sm text-gray-500 mb-4">Ce modèle n'est plus disponible à la vente</p>
+                ` : `
+                    <div class="size-picker flex flex-wrap gap-1 mb-4" data-product-id="${product.id}">${this.renderSizeOptions(product.id)}</div>
+                `}
                 <div class="flex gap-2">
-                    <button onclick="App.toggleFavorite(${product.id}, '${SecurityManager.escapeHtml(product.name)}', ${product.price}, '${SecurityManager.escapeHtml(product.brand)}', '${SecurityManager.escapeHtml(product.description)}', '${product.image_emoji}')" 
-                            class="favorite-btn flex-shrink-0 p-3 border border-red-300 rounded-lg hover:bg-gray-50 transition duration-200 text-red-500"
-                            data-product-name="${SecurityManager.escapeHtml(product.name)}">
-                        <span class="text-xl">❤️</span>
+                    <button onclick="toggleFavorite(${product.id})"
+                            class="favorite-btn flex-shrink-0 p-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition duration-200"
+                            data-product-id="${product.id}">
+                        <span class="text-xl">🤍</span>
                     </button>
-                    <button onclick="App.addToCart('${SecurityManager.escapeHtml(product.name)}', ${product.price})" 
-                            class="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-3 rounded-lg font-medium transition duration-200">
+                    <button onclick="App.addProductToCart(${product.id})" ${product.archived_at ? 'disabled' : ''}
+                            class="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-3 rounded-lg font-medium transition duration-200 disabled:bg-gray-300 disabled:cursor-not-allowed">
                         Ajouter au Panier
                     </button>
                 </div>
             </div>
+        `;
+    }
+
+    static renderCatalog(products) {
+        const productsGrid = document.getElementById('productsGrid');
+        if (!productsGrid) return;
+
+        if (!products || products.length === 0) {
+            productsGrid.innerHTML = `
+                <div class="text-center py-16 col-span-full">
+                    <div class="text-6xl mb-4">👟</div>
+                    <p class="text-gray-500">Aucun produit ne correspond à votre recherche</p>
+                </div>
+            `;
+        } else {
+            productsGrid.innerHTML = products.map(product => this.renderProductCard(product)).join('');
+        }
+
+        App.updateFavoriteButtons();
+    }
+
+    static renderBrands(brands) {
+        const brandsGrid = document.getElementById('brandsGrid');
+        if (!brandsGrid) return;
+
+        brandsGrid.innerHTML = brands.map(({ brand, count }) => {
+            const details = this.brandDetails[brand] || { emoji: '👟', tagline: '' };
+            const label = brand.charAt(0) + brand.slice(1).toLowerCase();
+            return `
+                <div onclick="Catalog.filterByBrand(this.dataset.brand)" data-brand="${SecurityManager.escapeHtml(brand)}" class="text-center p-8 rounded-2xl bg-gray-50 card-hover cursor-pointer">
+                    <div class="text-6xl mb-4">${details.emoji}</div>
+                    <h4 class="text-xl font-bold text-gray-800">${SecurityManager.escapeHtml(label)}</h4>
+                    <p class="text-gray-600 text-sm">${SecurityManager.escapeHtml(details.tagline)}</p>
+                    <p class="text-gray-400 text-xs mt-2">${count} modèle${count > 1 ? 's' : ''}</p>
+                </div>
+            `;
+        }).join('');
+    }
+
+    static renderSizeOptions(productId) {
+        const product = App.getProductById(productId);
+        if (!product || !product.variants || product.variants.length === 0) {
+            return '<span class="text-sm text-gray-400">Aucune taille disponible</span>';
+        }
+
+        const selectedSize = App.selectedSizes.get(productId);
+        return product.variants.map(variant => {
+            const soldOut = variant.stock <= 0;
+            const selected = variant.size === selectedSize;
+            const stateClass = soldOut
+                ? 'bg-gray-100 text-gray-300 border-gray-200 line-through cursor-not-allowed'
+                : selected
+                    ? 'bg-blue-600 text-white border-blue-600'
+                    : 'bg-white text-gray-700 border-gray-300 hover:border-blue-500';
+            return `
+                <button type="button" onclick="App.selectSize(this)" ${soldOut ? 'disabled' : ''}
+                        class="size-option px-2 py-1 text-xs border rounded transition duration-200 ${stateClass}"
+                        data-product-id="${productId}" data-size="${variant.size}"
+                        title="${soldOut ? 'Épuisé' : `${variant.stock} en stock`}">
+                    ${variant.size}
+                </button>
+            `;
+        }).join('');
+    }
+
+    static showOrders(orderId = null) {
+        if (!Auth.currentUser) {
+            this.showNotification('Veuillez vous connecter pour accéder à vos commandes', 'error');
+            return false;
+        }
+        this.showPage('ordersPage');
+
+        if (orderId) {
+            this.showOrderDetail(orderId);
+        } else {
+            this.loadOrders();
+        }
+        return true;
+    }
+
+    static async loadOrders() {
+        try {
+            const response = await API.getOrders();
+            this.renderOrders(response.orders);
+        } catch (error) {
+            console.error('Erreur chargement commandes:', error);
+            this.showNotification('Erreur lors du chargement des commandes', 'error');
+        }
+    }
+
+    // Adresse sur plusieurs lignes (HTML échappé)
+    static formatAddress(address) {
+        return [
+            address.label ? `<strong>${SecurityManager.escapeHtml(address.label)}</strong>` : null,
+            SecurityManager.escapeHtml(`${address.first_name} ${address.last_name}`),
+            address.company ? SecurityManager.escapeHtml(address.company) : null,
+            SecurityManager.escapeHtml(address.line1),
+            address.line2 ? SecurityManager.escapeHtml(address.line2) : null,
+            SecurityManager.escapeHtml(`${address.postal_code} ${address.city}`),
+            SecurityManager.escapeHtml(address.phone)
+        ].filter(Boolean).join('<br>');
+    }
+
+    static renderOrderStatus(status) {
+        const config = this.orderStatusLabels[status] || { label: status, className: 'bg-gray-100 text-gray-800' };
+        return `<span class="px-2 py-1 text-xs rounded-full ${config.className}">${SecurityManager.escapeHtml(config.label)}</span>`;
+    }
+
+    static renderOrderItems(items) {
+        return items.map(item => `
+            <div class="flex justify-between items-center py-2 border-b border-gray-100 text-sm">
+                <div>
+                    <span class="text-gray-500">${SecurityManager.escapeHtml(item.product_brand)}</span>
+                    <span class="font-medium text-gray-800 ml-1">${SecurityManager.escapeHtml(item.product_name)}</span>
+                    ${item.size ? `<span class="text-gray-500 ml-1">— Taille ${item.size}</span>` : ''}
+                </div>
+                <div class="text-gray-600">
+                    ${parseFloat(item.unit_price).toFixed(2)}€ × ${item.quantity}
+                    <span class="font-semibold text-gray-900 ml-3">${parseFloat(item.line_total).toFixed(2)}€</span>
+                </div>
+            </div>
         `).join('');
+    }
 
-            App.updateFavoriteButtons();
+    static renderOrders(orders) {
+        const ordersList = document.getElementById('ordersList');
+
+        if (!orders || orders.length === 0) {
+            ordersList.innerHTML = `
+            <div class="text-center py-16">
+                <div class="text-6xl mb-4">📦</div>
+                <h3 class="text-xl font-semibold text-gray-600 mb-2">Aucune commande</h3>
+                <p class="text-gray-500">Vos commandes passées apparaîtront ici.</p>
+            </div>
+        `;
+            return;
         }
+
+        ordersList.innerHTML = orders.map(order => `
+            <div class="border border-gray-200 rounded-xl p-6">
+                <div class="flex justify-between items-center mb-4">
+                    <div>
+                        <h4 class="text-lg font-bold text-gray-800">Commande ${SecurityManager.escapeHtml(order.order_number)}</h4>
+                        <p class="text-sm text-gray-500">${new Date(order.created_at).toLocaleDateString('fr-FR')}</p>
+                    </div>
+                    ${this.renderOrderStatus(order.status)}
+                </div>
+                ${this.renderOrderItems(order.items || [])}
+                <div class="flex justify-between items-center mt-4">
+                    <button onclick="Router.navigate('/commandes/${order.id}')" class="text-blue-600 hover:text-blue-700 text-sm font-medium">
+                        Voir le détail
+                    </button>
+                    <span class="font-bold text-xl">${parseFloat(order.total_amount).toFixed(2)}€</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    static async showOrderDetail(orderId) {
+        try {
+            const response = await API.getOrder(orderId);
+            this.renderOrderDetail(response.order);
+        } catch (error) {
+            console.error('Erreur chargement commande:', error);
+            this.showNotification('Erreur lors du chargement de la commande', 'error');
+        }
+    }
+
+    static renderOrderDetail(order) {
+        const ordersList = document.getElementById('ordersList');
+
+        ordersList.innerHTML = `
+            <div class="border border-gray-200 rounded-xl p-6">
+                <button onclick="Router.navigate('/commandes')" class="text-blue-600 hover:text-blue-700 text-sm font-medium mb-4">
+                    ← Toutes mes commandes
+                </button>
+                <div class="flex justify-between items-center mb-4">
+                    <div>
+                        <h4 class="text-2xl font-bold text-gray-800">Commande ${SecurityManager.escapeHtml(order.order_number)}</h4>
+                        <p class="text-sm text-gray-500">Passée le ${new Date(order.created_at).toLocaleString('fr-FR')}</p>
+                    </div>
+                    ${this.renderOrderStatus(order.status)}
+                </div>
+                ${this.renderOrderItems(order.items || [])}
+                ${order.shipping_address ? `
+                    <div class="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-gray-600">
+                        <div>
+                            <div class="font-medium text-gray-800 mb-1">Livraison</div>
+                            ${this.formatAddress({ ...order.shipping_address, label: null })}
+                        </div>
+                        ${order.billing_address ? `
+                            <div>
+                                <div class="font-medium text-gray-800 mb-1">Facturation</div>
+                                ${this.formatAddress({ ...order.billing_address, label: null })}
+                            </div>
+                        ` : ''}
+                    </div>
+                ` : ''}
+                <div class="mt-4 text-sm text-gray-600 space-y-1">
+                    ${(order.history || []).map(entry => `
+                        <div>${new Date(entry.created_at).toLocaleString('fr-FR')} — ${SecurityManager.escapeHtml((this.orderStatusLabels[entry.to_status] || { label: entry.to_status }).label)}</div>
+                    `).join('')}
+                </div>
+                ${order.subtotal_amount !== null && order.subtotal_amount !== undefined ? `
+                    <div class="mt-4 text-sm text-gray-600 space-y-1">
+                        <div class="flex justify-between"><span>Sous-total</span><span>${parseFloat(order.subtotal_amount).toFixed(2)}€</span></div>
+                        ${parseFloat(order.discount_amount) > 0 ? `
+                            <div class="flex justify-between text-green-700"><span>Remise ${SecurityManager.escapeHtml(order.promo_code || '')}</span><span>−${parseFloat(order.discount_amount).toFixed(2)}€</span></div>
+                        ` : ''}
+                        <div class="flex justify-between"><span>Livraison</span><span>${parseFloat(order.shipping_amount) === 0 ? 'Offerte' : `${parseFloat(order.shipping_amount).toFixed(2)}€`}</span></div>
+                        <div class="flex justify-between"><span>dont TVA</span><span>${parseFloat(order.tax_amount).toFixed(2)}€</span></div>
+                    </div>
+                ` : ''}
+                <div class="flex justify-between items-center mt-4">
+                    <span class="font-bold">Total:</span>
+                    <span class="font-bold text-xl">${parseFloat(order.total_amount).toFixed(2)}€</span>
+                </div>
+                ${order.status === 'pending' ? `
+                    <div class="mt-4 flex items-center justify-between gap-4">
+                        <span class="text-sm ${order.payment && order.payment.status === 'failed' ? 'text-red-600' : 'text-gray-600'}">
+                            ${order.payment && order.payment.status === 'failed'
+                                ? `Paiement refusé : ${SecurityManager.escapeHtml(order.payment.failureMessage || 'réessayez')}`
+                                : 'En attente de paiement'}
+                        </span>
+                        <div class="flex gap-2">
+                            <button onclick="UI.cancelOrder(${order.id})" 
+                                    class="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg font-medium transition duration-200 hover:bg-gray-50">
+                                Annuler
+                            </button>
+                            <button onclick="App.openPayment(${order.id}, '${SecurityManager.escapeHtml(order.order_number)}', ${parseFloat(order.total_amount)})" 
+                                    class="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium transition duration-200 hover:bg-blue-700">
+                                Payer
+                            </button>
+                        </div>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    static async cancelOrder(orderId) {
+        if (!confirm('Annuler cette commande ? Les articles seront remis en vente.')) return;
+
+        try {
+            await API.cancelOrder(orderId);
+            this.showNotification('Commande annulée', 'success');
+            await this.showOrderDetail(orderId);
+        } catch (error) {
+            console.error('Erreur annulation commande:', error);
+            this.showNotification(error.message || 'Erreur lors de l\'annulation', 'error');
+        }
+    }
+
+    static showProfile() {
+        if (!Auth.currentUser) {
+            this.showNotification('Veuillez vous connecter pour accéder à votre profil', 'error');
+            return false;
+        }
+        this.showPage('profilePage');
+        Profile.load();
+        return true;
     }
 
     static showAdminPanel() {
         if (!Auth.isAdmin()) {
             this.showNotification('Accès non autorisé', 'error');
+            return false;
+        }
+        if (Auth.currentUser.twoFactorRequired && !Auth.currentUser.twoFactorEnabled) {
+            this.showNotification('Activez la double authentification pour accéder à l\'administration', 'info');
+            window.history.replaceState(null, '', '/profil');
+            return this.showProfile();
+        }
+        this.showPage('adminPanel');
+        AdminPanel.showTab(AdminPanel.currentTab);
+        return true;
+    }
+
+    static clearFormData() {
+        const sensitiveFields = ['loginPassword', 'loginTwoFactorCode', 'signupPassword', 'signupConfirmPassword', 'resetPassword', 'resetPasswordConfirm'];
+        sensitiveFields.forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field) field.value = '';
+        });
+    }
+}
+
+// ==================== PANEL ADMIN ====================
+class AdminPanel {
+    static currentTab = 'users';
+    static tabs = {
+        users: 'adminUsersTab',
+        orders: 'adminOrdersTab',
+        products: 'adminProductsTab',
+        promotions: 'adminPromotionsTab',
+        security: 'adminSecurityTab'
+    };
+    static products = [];
+    static editingProductId = null;
+    static promotions = [];
+    static editingPromotionId = null;
+
+    static showTab(tab) {
+        this.currentTab = tab;
+        for (const [name, elementId] of Object.entries(this.tabs)) {
+            document.getElementById(elementId).classList.toggle('hidden', name !== tab);
+        }
+
+        document.querySelectorAll('.admin-tab').forEach(button => {
+            const isActive = button.getAttribute('data-admin-tab') === tab;
+            button.classList.toggle('border-blue-600', isActive);
+            button.classList.toggle('text-blue-600', isActive);
+            button.classList.toggle('border-transparent', !isActive);
+            button.classList.toggle('text-gray-500', !isActive);
+        });
+
+        if (tab === 'orders') {
+            this.loadOrders();
+        } else if (tab === 'products') {
+            this.loadProducts();
+        } else if (tab === 'promotions') {
+            this.loadPromotions();
+        } else if (tab === 'security') {
+            this.loadSecurity();
+        } else {
+            this.loadAdminPanel();
+        }
+    }
+
+    static async loadProducts() {
+        try {
+            const response = await API.getAdminProducts();
+            this.products = response.products || [];
+            this.renderProducts();
+        } catch (error) {
+            console.error('Erreur chargement produits:', error);
+            UI.showNotification('Erreur lors du chargement des produits', 'error');
+        }
+    }
+
+    static renderProducts() {
+        const tbody = document.getElementById('productsTableBody');
+        if (!tbody) return;
+
+        if (this.products.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-6 py-8 text-center text-gray-500">
+                        Aucun produit
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.products.map(product => (
+            product.id === this.editingProductId ? this.renderProductEditRow(product) : this.renderProductRow(product)
+        )).join('');
+    }
+
+    static renderProductRow(product) {
+        const variants = product.variants || [];
+        return `
+            <tr class="hover:bg-gray-50 border-b ${product.archived_at ? 'opacity-60' : ''}">
+                <td class="px-6 py-4">
+                    <div class="flex items-center space-x-3">
+                        ${UI.renderProductImage(product, 'thumb', 'w-12 h-12 object-cover rounded-lg', 'text-3xl')}
+                        <div>
+                            <div class="font-medium">${SecurityManager.escapeHtml(product.name)}</div>
+                            <div class="text-sm text-gray-500">${SecurityManager.escapeHtml(product.brand)}</div>
+                        </div>
+                    </div>
+                </td>
+                <td class="px-6 py-4 font-semibold">${parseFloat(product.price).toFixed(2)}€</td>
+                <td class="px-6 py-4 text-xs text-gray-600">
+                    ${variants.map(variant => `
+                        <span class="inline-block mr-2 ${variant.stock === 0 ? 'text-red-500' : ''}">${variant.size}: ${variant.stock}</span>
+                    `).join('') || '—'}
+                </td>
+                <td class="px-6 py-4">
+                    <span class="px-2 py-1 text-xs rounded-full ${product.archived_at ? 'bg-gray-100 text-gray-800' : 'bg-green-100 text-green-800'}">
+                        ${product.archived_at ? 'Archivé' : 'En ligne'}
+                    </span>
+                </td>
+                <td class="px-6 py-4">
+                    <div class="flex flex-wrap gap-2">
+                        <button onclick="AdminPanel.editProduct(${product.id})" 
+                                class="px-3 py-2 bg-blue-500 text-white text-xs rounded-lg hover:bg-blue-600 transition duration-200">
+                            ✏️ Modifier
+                        </button>
+                        <button onclick="AdminPanel.toggleArchiveProduct(${product.id}, ${!product.archived_at})" 
+                                class="px-3 py-2 bg-gray-500 text-white text-xs rounded-lg hover:bg-gray-600 transition duration-200">
+                            ${product.archived_at ? '♻️ Restaurer' : '📦 Archiver'}
+                        </button>
+                        <button onclick="AdminPanel.deleteProduct(${product.id})" 
+                                class="px-3 py-2 bg-red-600 text-white text-xs rounded-lg hover:bg-red-700 transition duration-200">
+                            🗑️ Supprimer
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    static renderProductEditRow(product) {
+        const input = (field, value, type = 'text', placeholder = '') => `
+            <div class="w-full">
+                <input type="${type}" id="editProduct-${field}" name="${field}" value="${SecurityManager.escapeHtml(value ?? '')}" ${type === 'number' ? 'step="0.01" min="0"' : ''}
+                       placeholder="${placeholder}"
+                       class="w-full px-2 py-1 border border-gray-300 rounded text-sm">
+                <p class="field-error hidden text-xs text-red-600 mt-1" data-error-for="${field}"></p>
+            </div>
+        `;
+
+        return `
+            <tr class="bg-blue-50 border-b">
+                <td class="px-6 py-4 space-y-2">
+                    ${input('name', product.name)}
+                    ${input('brand', product.brand)}
+                    ${input('description', product.description)}
+                    <div class="flex space-x-2">
+                        ${input('image_emoji', product.image_emoji)}
+                        ${input('sizes', product.sizes)}
+                    </div>
+                    ${this.renderProductImages(product)}
+                </td>
+                <td class="px-6 py-4 space-y-2">
+                    ${input('price', product.price, 'number')}
+                    ${input('max_per_order', product.max_per_order, 'number', 'Max / client')}
+                    ${input('weight_grams', product.weight_grams, 'number', 'Poids (g)')}
+                </td>
+                <td class="px-6 py-4">
+                    <p class="field-error hidden text-xs text-red-600 mb-1" data-error-for="variants"></p>
+                    <div class="grid grid-cols-3 gap-1">
+                        ${(product.variants || []).map(variant => `
+                            <label class="text-xs text-gray-600">
+                                ${variant.size}
+                                <input type="number" min="0" step="1" value="${variant.stock}" data-variant-size="${variant.size}"
+                                       class="edit-variant-stock w-full px-1 py-1 border border-gray-300 rounded text-xs">
+                            </label>
+                        `).join('')}
+                    </div>
+                </td>
+                <td class="px-6 py-4"></td>
+                <td class="px-6 py-4">
+                    <div class="flex flex-wrap gap-2">
+                        <button onclick="AdminPanel.saveProduct(${product.id})" 
+                                class="px-3 py-2 bg-green-600 text-white text-xs rounded-lg hover:bg-green-700 transition duration-200">
+                            Enregistrer
+                        </button>
+                        <button onclick="AdminPanel.cancelEditProduct()" 
+                                class="px-3 py-2 bg-gray-200 text-gray-700 text-xs rounded-lg hover:bg-gray-300 transition duration-200">
+                            Annuler
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    static renderProductImages(product) {
+        const images = product.images || [];
+        return `
+            <div id="productImages-${product.id}" class="pt-2">
+                <div class="flex flex-wrap gap-2 mb-2">
+                    ${images.map((image, index) => `
+                        <div class="relative border border-gray-200 rounded-lg p-1 bg-white">
+                            <img src="${SecurityManager.escapeHtml(image.urls.thumb)}" alt="" class="w-16 h-16 object-cover rounded">
+                            <div class="flex justify-between text-xs mt-1">
+                                <button onclick="AdminPanel.moveProductImage(${product.id}, ${index}, -1)" ${index === 0 ? 'disabled' : ''}
+                                        class="px-1 disabled:opacity-30" title="Avancer">◀</button>
+                                <button onclick="AdminPanel.deleteProductImage(${product.id}, ${image.id})"
+                                        class="px-1 text-red-600" title="Supprimer">✕</button>
+                                <button onclick="AdminPanel.moveProductImage(${product.id}, ${index}, 1)" ${index === images.length - 1 ? 'disabled' : ''}
+                                        class="px-1 disabled:opacity-30" title="Reculer">▶</button>
+                            </div>
+                        </div>
+                    `).join('') || '<p class="text-xs text-gray-500">Aucune photo : l\'emoji est affiché à la place</p>'}
+                </div>
+                <label class="text-xs text-blue-600 cursor-pointer hover:underline">
+                    📷 Ajouter des photos (JPEG, PNG, WebP)
+                    <input type="file" accept="image/jpeg,image/png,image/webp" multiple class="hidden"
+                           onchange="AdminPanel.uploadProductImages(${product.id}, this)">
+                </label>
+            </div>
+        `;
+    }
+
+    static async uploadProductImages(productId, input) {
+        if (!input.files || input.files.length === 0) return;
+
+        try {
+            const response = await API.uploadProductImages(productId, input.files);
+            if (response.success) {
+                UI.showNotification('Photos ajoutées', 'success');
+                this.setProductImages(productId, response.images);
+                App.loadProducts();
+            } else {
+                UI.showNotification(response.message || "Erreur lors de l'envoi des photos", 'error');
+            }
+        } catch (error) {
+            console.error('Erreur upload photos:', error);
+            UI.showNotification(error.message || "Erreur lors de l'envoi des photos", 'error');
+        } finally {
+            input.value = '';
+        }
+    }
+
+    static async moveProductImage(productId, index, offset) {
+        const product = this.products.find(item => item.id === productId);
+        const images = [...(product?.images || [])];
+        const target = index + offset;
+        if (target < 0 || target >= images.length) return;
+
+        [images[index], images[target]] = [images[target], images[index]];
+
+        try {
+            const response = await API.reorderProductImages(productId, images.map(image => image.id));
+            if (response.success) {
+                this.setProductImages(productId, images);
+                App.loadProducts();
+            } else {
+                UI.showNotification(response.message || 'Erreur lors du changement d\'ordre', 'error');
+            }
+        } catch (error) {
+            console.error('Erreur ordre photos:', error);
+            UI.showNotification(error.message || 'Erreur lors du changement d\'ordre', 'error');
+        }
+    }
+
+    static async deleteProductImage(productId, imageId) {
+        if (!confirm('Supprimer cette photo ?')) return;
+
+        try {
+            const response = await API.deleteProductImage(productId, imageId);
+            if (response.success) {
+                const product = this.products.find(item => item.id === productId);
+                this.setProductImages(productId, (product?.images || []).filter(image => image.id !== imageId));
+                App.loadProducts();
+            } else {
+                UI.showNotification(response.message || 'Erreur lors de la suppression', 'error');
+            }
+        } catch (error) {
+            console.error('Erreur suppression photo:', error);
+            UI.showNotification(error.message || 'Erreur lors de la suppression', 'error');
+        }
+    }
+
+    // Mettre à jour les photos sans perdre la saisie en cours dans la ligne d'édition
+    static setProductImages(productId, images) {
+        const product = this.products.find(item => item.id === productId);
+        if (!product) return;
+
+        product.images = images;
+        const container = document.getElementById(`productImages-${productId}`);
+        if (container) {
+            container.outerHTML = this.renderProductImages(product);
+        } else {
+            this.renderProducts();
+        }
+    }
+
+    static editProduct(productId) {
+        this.editingProductId = productId;
+        this.renderProducts();
+    }
+
+    static cancelEditProduct() {
+        this.editingProductId = null;
+        this.renderProducts();
+    }
+
+    static async saveProduct(productId) {
+        const value = (field) => document.getElementById(`editProduct-${field}`)?.value.trim();
+        const productData = {
+            name: value('name'),
+            brand: value('brand'),
+            description: value('description'),
+            image_emoji: value('image_emoji'),
+            sizes: value('sizes'),
+            price: parseFloat(value('price')),
+            max_per_order: value('max_per_order'),
+            weight_grams: value('weight_grams'),
+            variants: Array.from(document.querySelectorAll('.edit-variant-stock')).map(field => ({
+                size: parseFloat(field.getAttribute('data-variant-size')),
+                stock: parseInt(field.value) || 0
+            }))
+        };
+
+        const row = document.getElementById('productsTableBody');
+        this.clearFieldErrors(row);
+
+        try {
+            const response = await API.updateProduct(productId, productData);
+            if (response.success) {
+                UI.showNotification('Produit modifié avec succès!', 'success');
+                this.editingProductId = null;
+                this.loadProducts();
+                App.loadProducts();
+            } else {
+                UI.showNotification(response.message || 'Erreur lors de la modification', 'error');
+            }
+        } catch (error) {
+            console.error('Erreur modification produit:', error);
+            this.showFieldErrors(row, error.errors);
+            UI.showNotification(error.message || 'Erreur lors de la modification', 'error');
+        }
+    }
+
+    static async addProduct(event) {
+        event.preventDefault();
+        const form = event.target;
+        const formData = new FormData(form);
+        const productData = {
+            name: formData.get('name').trim(),
+            brand: formData.get('brand').trim(),
+            description: formData.get('description').trim(),
+            image_emoji: formData.get('image_emoji').trim() || '👟',
+            sizes: formData.get('sizes').trim(),
+            price: formData.get('price').trim(),
+            stock: formData.get('stock').trim() || '0',
+            max_per_order: formData.get('max_per_order').trim(),
+            weight_grams: formData.get('weight_grams').trim()
+        };
+
+        this.clearFieldErrors(form);
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const response = await API.addProduct(productData);
+            if (response.success) {
+                UI.showNotification('Produit ajouté avec succès!', 'success');
+                form.reset();
+                this.loadProducts();
+                App.loadProducts();
+            } else {
+                UI.showNotification(response.message || "Erreur lors de l'ajout", 'error');
+            }
+        } catch (error) {
+            console.error('Erreur ajout produit:', error);
+            this.showFieldErrors(form, error.errors);
+            UI.showNotification(error.message || "Erreur lors de l'ajout", 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    // Afficher les erreurs express-validator sous les champs concernés
+    static showFieldErrors(container, errors = []) {
+        if (!container) return;
+
+        for (const error of errors) {
+            const field = String(error.param || '').split(/[.[]/)[0];
+            const target = container.querySelector(`[data-error-for="${field}"]`);
+            if (!target || !target.classList.contains('hidden')) continue;
+
+            target.textContent = error.msg;
+            target.classList.remove('hidden');
+            container.querySelector(`[name="${field}"]`)?.classList.add('border-red-500');
+        }
+    }
+
+    static clearFieldErrors(container) {
+        if (!container) return;
+
+        container.querySelectorAll('.field-error').forEach(element => {
+            element.textContent = '';
+            element.classList.add('hidden');
+        });
+        container.querySelectorAll('.border-red-500').forEach(element => element.classList.remove('border-red-500'));
+    }
+
+    static async toggleArchiveProduct(productId, archived) {
+        const message = archived
+            ? 'Archiver ce produit ? Il ne sera plus visible sur la boutique.'
+            : 'Remettre ce produit en ligne ?';
+        if (!confirm(message)) return;
+
+        try {
+            const response = await API.updateProduct(productId, { archived });
+            if (response.success) {
+                UI.showNotification(archived ? 'Produit archivé' : 'Produit remis en ligne', 'success');
+                this.loadProducts();
+                App.loadProducts();
+            } else {
+                UI.showNotification(response.message || 'Erreur lors de la modification', 'error');
+            }
+        } catch (error) {
+            console.error('Erreur archivage produit:', error);
+            UI.showNotification(error.message || 'Erreur lors de la modification', 'error');
+        }
+    }
+
+    static async deleteProduct(productId) {
+        if (!confirm('Supprimer définitivement ce produit ? Il sera retiré des paniers et des favoris. Les commandes passées sont conservées.')) return;
+        try {
+            const response = await API.deleteProduct(productId);
+            if (response.success) {
+                UI.showNotification('Produit supprimé avec succès!', 'success');
+                this.loadProducts();
+                App.loadProducts();
+            } else {
+                UI.showNotification(response.message || 'Erreur lors de la suppression', 'error');
+            }
+        } catch (error) {
+            console.error('Erreur suppression produit:', error);
+            UI.showNotification(error.message || 'Erreur lors de la suppression', 'error');
+        }
+    }
+
+    // Activité de connexion suspecte
+    static async loadSecurity() {
+        try {
+            const hours = document.getElementById('adminSecurityPeriod').value;
+            const response = await API.getSecurityActivity(hours);
+            this.renderSecurity(response);
+        } catch (error) {
+            console.error('Erreur chargement activité suspecte:', error);
+            UI.showNotification('Erreur lors du chargement de l\'activité suspecte', 'error');
+        }
+    }
+
+    static renderSecurityRows(tbodyId, rows, columns, renderRow) {
+        const tbody = document.getElementById(tbodyId);
+        tbody.innerHTML = rows.length === 0
+            ? `<tr><td colspan="${columns}" class="px-6 py-6 text-center text-gray-500">Rien à signaler</td></tr>`
+            : rows.map(row => `<tr>${renderRow(row).map(cell => `<td class="px-6 py-4 text-sm text-gray-700">${cell}</td>`).join('')}</tr>`).join('');
+    }
+
+    static renderSecurity(activity) {
+        const escape = (value) => SecurityManager.escapeHtml(value == null ? '' : String(value));
+        const formatDate = (date) => new Date(date).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+
+        this.renderSecurityRows('securityLockedTableBody', activity.lockedAccounts, 4, account => [
+            escape(account.email),
+            account.ip ? `<span class="font-mono">${escape(account.ip)}</span>` : 'Toutes',
+            account.failures, formatDate(account.locked_until)
+        ]);
+        this.renderSecurityRows('securityIpsTableBody', activity.ipsWithManyAccounts, 5, row => [
+            `<span class="font-mono">${escape(row.ip)}</span>`, row.accounts, row.attempts, row.failures, formatDate(row.last_attempt_at)
+        ]);
+        this.renderSecurityRows('securityAccountsTableBody', activity.accountsWithManyIps, 5, row => [
+            escape(row.email), row.ips, row.attempts, row.failures, formatDate(row.last_attempt_at)
+        ]);
+        this.renderSecurityRows('securityDevicesTableBody', activity.newDeviceLogins, 4, login => [
+            login.first_name
+                ? `${escape(login.first_name)} ${escape(login.last_name)}<div class="text-gray-500">${escape(login.email)}</div>`
+                : `${escape(login.email)}<div class="text-gray-500">Compte supprimé</div>`,
+            `<span title="${escape(login.user_agent)}">${escape(login.device)}</span>`,
+            `<span class="font-mono">${escape(login.ip)}</span>`,
+            formatDate(login.created_at)
+        ]);
+    }
+
+    static async loadPromotions() {
+        try {
+            const [promotionsResponse, productsResponse] = await Promise.all([
+                API.getAdminPromotions(),
+                API.getAdminProducts()
+            ]);
+            this.promotions = promotionsResponse.promotions || [];
+            this.products = productsResponse.products || [];
+            this.renderPromotionProducts();
+            this.renderPromotions();
+        } catch (error) {
+            console.error('Erreur chargement codes promo:', error);
+            UI.showNotification('Erreur lors du chargement des codes promo', 'error');
+        }
+    }
+
+    static renderPromotionProducts() {
+        const select = document.getElementById('promotion-scope_product_id');
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = '<option value="">Choisir un produit</option>' + this.products.map(product => `
+            <option value="${product.id}">${SecurityManager.escapeHtml(product.brand)} — ${SecurityManager.escapeHtml(product.name)}</option>
+        `).join('');
+        select.value = selected;
+    }
+
+    static describePromotion(promotion) {
+        const value = parseFloat(promotion.discount_value);
+        const amount = promotion.discount_type === 'percentage' ? `-${value}%` : `-${value.toFixed(2)}€`;
+        if (promotion.scope === 'brand') return `${amount} sur ${promotion.scope_brand}`;
+        if (promotion.scope === 'product') return `${amount} sur ${promotion.scope_product_name || 'produit supprimé'}`;
+        return `${amount} sur le panier`;
+    }
+
+    static renderPromotions() {
+        const tbody = document.getElementById('promotionsTableBody');
+        if (!tbody) return;
+
+        if (this.promotions.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="px-6 py-8 text-center text-gray-500">Aucun code promo</td>
+                </tr>
+            `;
+            return;
+        }
+
+        const formatDate = (date) => (date ? new Date(date).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' }) : null);
+
+        tbody.innerHTML = this.promotions.map(promotion => {
+            const starts = formatDate(promotion.starts_at);
+            const ends = formatDate(promotion.ends_at);
+            const validity = starts && ends ? `Du ${starts} au ${ends}` : starts ? `À partir du ${starts}` : ends ? `Jusqu'au ${ends}` : 'Permanent';
+
+            return `
+                <tr class="${promotion.is_active ? '' : 'bg-gray-50 text-gray-400'}">
+                    <td class="px-6 py-4">
+                        <p class="font-mono font-semibold">${SecurityManager.escapeHtml(promotion.code)}</p>
+                        <p class="text-xs text-gray-500">${SecurityManager.escapeHtml(promotion.description || '')}</p>
+                    </td>
+                    <td class="px-6 py-4 text-sm">${SecurityManager.escapeHtml(this.describePromotion(promotion))}</td>
+                    <td class="px-6 py-4 text-sm">
+                        ${promotion.min_cart_amount ? `Dès ${parseFloat(promotion.min_cart_amount).toFixed(2)}€` : '—'}
+                        ${promotion.max_uses_per_user ? `<br>${promotion.max_uses_per_user} fois par client` : ''}
+                    </td>
+                    <td class="px-6 py-4 text-sm">${validity}</td>
+                    <td class="px-6 py-4 text-sm">${promotion.uses}${promotion.max_uses ? ` / ${promotion.max_uses}` : ''}</td>
+                    <td class="px-6 py-4 text-sm space-x-2 whitespace-nowrap">
+                        <button onclick="AdminPanel.editPromotion(${promotion.id})" class="text-blue-600 hover:text-blue-800">Modifier</button>
+                        <button onclick="AdminPanel.togglePromotion(${promotion.id}, ${!promotion.is_active})" class="text-gray-600 hover:text-gray-800">
+                            ${promotion.is_active ? 'Désactiver' : 'Activer'}
+                        </button>
+                        <button onclick="AdminPanel.deletePromotion(${promotion.id})" class="text-red-600 hover:text-red-800">Supprimer</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // Seul le champ correspondant à la portée choisie est modifiable
+    static updatePromotionScope() {
+        const scope = document.getElementById('promotion-scope')?.value;
+        const brand = document.getElementById('promotion-scope_brand');
+        const product = document.getElementById('promotion-scope_product_id');
+        if (brand) brand.disabled = scope !== 'brand';
+        if (product) product.disabled = scope !== 'product';
+    }
+
+    // Les champs datetime-local sont en heure locale, l'API attend de l'ISO 8601
+    static toLocalDateInput(date) {
+        if (!date) return '';
+        const local = new Date(date);
+        local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+        return local.toISOString().slice(0, 16);
+    }
+
+    static editPromotion(promotionId) {
+        const promotion = this.promotions.find(item => item.id === promotionId);
+        const form = document.getElementById('promotionForm');
+        if (!promotion || !form) return;
+
+        this.editingPromotionId = promotion.id;
+        this.clearFieldErrors(form);
+        for (const field of ['code', 'description', 'discount_type', 'discount_value', 'scope', 'scope_brand',
+            'scope_product_id', 'min_cart_amount', 'max_uses', 'max_uses_per_user']) {
+            form.elements[field].value = promotion[field] ?? '';
+        }
+        form.elements.starts_at.value = this.toLocalDateInput(promotion.starts_at);
+        form.elements.ends_at.value = this.toLocalDateInput(promotion.ends_at);
+        form.elements.is_active.checked = Boolean(promotion.is_active);
+        this.updatePromotionScope();
+
+        document.getElementById('promotionFormTitle').textContent = `Modifier ${promotion.code}`;
+        document.getElementById('promotionSubmitButton').textContent = 'Enregistrer';
+        document.getElementById('promotionCancelButton').classList.remove('hidden');
+        form.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    static resetPromotionForm() {
+        const form = document.getElementById('promotionForm');
+        if (!form) return;
+
+        this.editingPromotionId = null;
+        form.reset();
+        this.clearFieldErrors(form);
+        this.updatePromotionScope();
+        document.getElementById('promotionFormTitle').textContent = 'Nouveau code promo';
+        document.getElementById('promotionSubmitButton').textContent = 'Créer le code';
+        document.getElementById('promotionCancelButton').classList.add('hidden');
+    }
+
+    static async savePromotion(event) {
+        event.preventDefault();
+        const form = event.target;
+        const value = (field) => (form.elements[field].disabled ? '' : form.elements[field].value.trim());
+        const date = (field) => (value(field) ? new Date(value(field)).toISOString() : '');
+        const promotionData = {
+            code: value('code'),
+            description: value('description'),
+            discount_type: value('discount_type'),
+            discount_value: value('discount_value'),
+            scope: value('scope'),
+            scope_brand: value('scope_brand'),
+            scope_product_id: value('scope_product_id'),
+            min_cart_amount: value('min_cart_amount'),
+            max_uses: value('max_uses'),
+            max_uses_per_user: value('max_uses_per_user'),
+            starts_at: date('starts_at'),
+            ends_at: date('ends_at'),
+            is_active: form.elements.is_active.checked
+        };
+
+        this.clearFieldErrors(form);
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const response = this.editingPromotionId
+                ? await API.updatePromotion(this.editingPromotionId, promotionData)
+                : await API.addPromotion(promotionData);
+            if (response.success) {
+                UI.showNotification(response.message, 'success');
+                this.resetPromotionForm();
+                this.loadPromotions();
+            } else {
+                UI.showNotification(response.message || 'Erreur lors de l\'enregistrement', 'error');
+            }
+        } catch (error) {
+            console.error('Erreur enregistrement code promo:', error);
+            this.showFieldErrors(form, error.errors);
+            UI.showNotification(error.message || 'Erreur lors de l\'enregistrement', 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    static async togglePromotion(promotionId, isActive) {
+        try {
+            const response = await API.updatePromotion(promotionId, { is_active: isActive });
+            if (response.success) {
+                UI.showNotification(isActive ? 'Code promo activé' : 'Code promo désactivé', 'success');
+                this.loadPromotions();
+            } else {
+                UI.showNotification(response.message || 'Erreur lors de la modification', 'error');
+            }
+        } catch (error) {
+            console.error('Erreur modification code promo:', error);
+            UI.showNotification(error.message || 'Erreur lors de la modification', 'error');
+        }
+    }
+
+    static async deletePromotion(promotionId) {
+        if (!confirm('Supprimer ce code promo ? Les commandes passées conservent leur remise.')) return;
+
+        try {
+            const response = await API.deletePromotion(promotionId);
+            if (response.success) {
+                UI.showNotification('Code promo supprimé', 'success');
+                if (this.editingPromotionId === promotionId) this.resetPromotionForm();
+                this.loadPromotions();
+            } else {
+                UI.showNotification(response.message || 'Erreur lors de la suppression', 'error');
+            }
+        } catch (error) {
+            console.error('Erreur suppression code promo:', error);
+            UI.showNotification(error.message || 'Erreur lors de la suppression', 'error');
+        }
+    }
+
+    static async loadOrders() {
+        const tbody = document.getElementById('ordersTableBody');
+        const filter = document.getElementById('adminOrderStatusFilter');
+
+        try {
+            const response = await API.getAdminOrders(filter ? filter.value : '');
+            this.renderOrders(response.orders || []);
+        } catch (error) {
+            console.error('Erreur chargement commandes:', error);
+            if (tbody) {
+                tbody.innerHTML = `
+                    <tr>
+                        <td colspan="5" class="px-6 py-8 text-center text-gray-500">
+                            Erreur lors du chargement des commandes
+                        </td>
+                    </tr>
+                `;
+            }
+        }
+    }
+
+    static renderOrders(orders) {
+        const tbody = document.getElementById('ordersTableBody');
+        if (!tbody) return;
+
+        if (orders.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-6 py-8 text-center text-gray-500">
+                        Aucune commande trouvée
+                    </td>
+                </tr>
+            `;
             return;
         }
-        document.getElementById('mainContent').classList.add('hidden');
-        document.getElementById('favoritesPage').classList.add('hidden');
-        document.getElementById('adminPanel').classList.remove('hidden');
-        AdminPanel.loadAdminPanel();
+
+        tbody.innerHTML = orders.map(order => `
+            <tr class="hover:bg-gray-50 border-b">
+                <td class="px-6 py-4">
+                    <div class="font-medium">${SecurityManager.escapeHtml(order.order_number)}</div>
+                    <div class="text-sm text-gray-500">${new Date(order.created_at).toLocaleDateString('fr-FR')} · ${order.item_count} article(s)</div>
+                </td>
+                <td class="px-6 py-4 text-sm">
+                    ${order.email ? `
+                        ${SecurityManager.escapeHtml(`${order.first_name} ${order.last_name}`)}
+                        <div class="text-gray-500">${SecurityManager.escapeHtml(order.email)}</div>
+                    ` : '<span class="text-gray-400">Compte supprimé</span>'}
+                    ${order.shipping_address ? `
+                        <div class="text-gray-500">${SecurityManager.escapeHtml(`${order.shipping_address.postal_code} ${order.shipping_address.city}`)}</div>
+                    ` : ''}
+                </td>
+                <td class="px-6 py-4 font-semibold">${parseFloat(order.total_amount).toFixed(2)}€</td>
+                <td class="px-6 py-4">${UI.renderOrderStatus(order.status)}</td>
+                <td class="px-6 py-4">
+                    <div class="flex flex-wrap gap-2">
+                        ${order.next_statuses.map(status => `
+                            <button onclick="AdminPanel.updateOrderStatus(${order.id}, '${status}', '${order.status}')" 
+                                    class="px-3 py-2 ${['cancelled', 'refunded'].includes(status) ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-500 hover:bg-blue-600'} text-white text-xs rounded-lg transition duration-200">
+                                ${SecurityManager.escapeHtml((UI.orderStatusLabels[status] || { label: status }).label)}
+                            </button>
+                        `).join('') || '<span class="text-gray-400 text-sm">—</span>'}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
     }
 
-    static clearFormData() {
-        const sensitiveFields = ['loginPassword', 'signupPassword', 'signupConfirmPassword'];
-        sensitiveFields.forEach(fieldId => {
-            const field = document.getElementById(fieldId);
-            if (field) field.value = '';
-        });
+    static async updateOrderStatus(orderId, status, currentStatus) {
+        const label = (UI.orderStatusLabels[status] || { label: status }).label;
+        if (!confirm(`Passer cette commande au statut « ${label} » ?`)) return;
+        // Une commande livrée n'est remise en stock que si les articles sont revenus
+        const returned = status === 'refunded' && currentStatus === 'delivered'
+            && confirm('Les articles ont-ils été retournés ? OK : les remettre en stock, Annuler : rembourser sans remise en stock');
+        try {
+            const response = await API.updateOrderStatus(orderId, status, returned);
+            if (response.success) {
+                UI.showNotification('Statut de la commande mis à jour', 'success');
+                this.loadOrders();
+            } else {
+                UI.showNotification(response.message || 'Erreur lors de la mise à jour', 'error');
+                this.loadOrders();
+            }
+        } catch (error) {
+            console.error('Erreur statut commande:', error);
+            UI.showNotification(error.message || 'Erreur lors de la mise à jour', 'error');
+        }
     }
-}
 
-// ==================== PANEL ADMIN ====================
-class AdminPanel {
     static async loadAdminPanel() {
         if (!Auth.currentUser) {
             UI.showNotification('Veuillez vous connecter', 'error');
@@ -633,54 +2246,801 @@ class AdminPanel {
     }
 }
 
+// ==================== CATALOGUE ====================
+class Catalog {
+    static pageSize = 9;
+    static searchTimer = null;
+    static defaultFilters = {
+        q: '', brand: '', minPrice: '', maxPrice: '', size: '', sort: 'newest', page: 1
+    };
+    static filters = { ...this.defaultFilters };
+
+    // Les filtres vivent dans l'URL pour pouvoir partager une recherche
+    static readFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const number = (value) => (value !== null && !Number.isNaN(parseFloat(value)) ? value : '');
+
+        this.filters = {
+            q: params.get('q') || '',
+            brand: params.get('brand') || '',
+            minPrice: number(params.get('minPrice')),
+            maxPrice: number(params.get('maxPrice')),
+            size: number(params.get('size')),
+            sort: params.get('sort') || this.defaultFilters.sort,
+            page: parseInt(params.get('page')) || 1
+        };
+        this.syncForm();
+    }
+
+    static toSearchParams() {
+        const params = new URLSearchParams();
+        Object.entries(this.filters).forEach(([key, value]) => {
+            if (value === '' || value === this.defaultFilters[key]) return;
+            params.set(key, value);
+        });
+        return params;
+    }
+
+    static apiQuery() {
+        const params = this.toSearchParams();
+        params.set('limit', this.pageSize);
+        return params.toString();
+    }
+
+    // URL de la page d'accueil avec les filtres en cours
+    static homeUrl() {
+        const search = this.toSearchParams().toString();
+        return `/${search ? `?${search}` : ''}`;
+    }
+
+    static updateUrl() {
+        window.history.pushState(null, '', `${this.homeUrl()}${window.location.hash}`);
+    }
+
+    // Recharger le catalogue si l'URL ne correspond plus aux filtres affichés
+    static async syncWithUrl() {
+        const previous = this.toSearchParams().toString();
+        this.readFromUrl();
+        if (this.toSearchParams().toString() !== previous) {
+            await App.loadProducts();
+        }
+    }
+
+    static applyFilters(changes = {}) {
+        this.filters = { ...this.filters, page: 1, ...changes };
+        this.updateUrl();
+        this.syncForm();
+        App.loadProducts();
+    }
+
+    static readForm() {
+        this.applyFilters({
+            q: document.getElementById('catalogSearch')?.value.trim() || '',
+            brand: document.getElementById('filterBrand')?.value || '',
+            minPrice: document.getElementById('filterMinPrice')?.value || '',
+            maxPrice: document.getElementById('filterMaxPrice')?.value || '',
+            size: document.getElementById('filterSize')?.value || '',
+            sort: document.getElementById('catalogSort')?.value || 'newest'
+        });
+    }
+
+    static syncForm() {
+        const fields = {
+            catalogSearch: this.filters.q,
+            filterBrand: this.filters.brand,
+            filterMinPrice: this.filters.minPrice,
+            filterMaxPrice: this.filters.maxPrice,
+            filterSize: this.filters.size,
+            catalogSort: this.filters.sort
+        };
+
+        for (const [id, value] of Object.entries(fields)) {
+            const field = document.getElementById(id);
+            if (field && document.activeElement !== field) field.value = value;
+        }
+    }
+
+    static onSearchInput() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.readForm(), 300);
+    }
+
+    static resetFilters() {
+        this.filters = { ...this.defaultFilters };
+        this.updateUrl();
+        this.syncForm();
+        App.loadProducts();
+    }
+
+    static filterByBrand(brand) {
+        this.applyFilters({ brand });
+        navigateToNouveautes();
+    }
+
+    static goToPage(page) {
+        this.applyFilters({ page });
+        const section = document.getElementById('nouveautes');
+        if (section) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    static renderFacets(facets) {
+        const brandSelect = document.getElementById('filterBrand');
+        if (brandSelect) {
+            brandSelect.innerHTML = '<option value="">Toutes les marques</option>' + facets.brands.map(({ brand, count }) => `
+                <option value="${SecurityManager.escapeHtml(brand)}">${SecurityManager.escapeHtml(brand)} (${count})</option>
+            `).join('');
+        }
+
+        const sizeSelect = document.getElementById('filterSize');
+        if (sizeSelect) {
+            sizeSelect.innerHTML = '<option value="">Toutes les pointures</option>' + facets.sizes.map(size => `
+                <option value="${size}">${size}</option>
+            `).join('');
+        }
+
+        this.syncForm();
+    }
+
+    static renderResults(pagination) {
+        const count = document.getElementById('catalogCount');
+        const container = document.getElementById('catalogPagination');
+        if (!pagination) return;
+
+        if (count) {
+            count.textContent = `${pagination.total} produit${pagination.total > 1 ? 's' : ''}`;
+        }
+
+        if (container) {
+            if (pagination.totalPages <= 1) {
+                container.innerHTML = '';
+                return;
+            }
+
+            const pages = Array.from({ length: pagination.totalPages }, (_, index) => index + 1);
+            container.innerHTML = `
+                <button onclick="Catalog.goToPage(${pagination.page - 1})" ${pagination.page <= 1 ? 'disabled' : ''}
+                        class="px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-40">‹</button>
+                ${pages.map(page => `
+                    <button onclick="Catalog.goToPage(${page})"
+                            class="px-3 py-2 rounded-lg text-sm ${page === pagination.page ? 'bg-blue-600 text-white' : 'border border-gray-300 hover:bg-gray-50'}">
+                        ${page}
+                    </button>
+                `).join('')}
+                <button onclick="Catalog.goToPage(${pagination.page + 1})" ${pagination.page >= pagination.totalPages ? 'disabled' : ''}
+                        class="px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-40">›</button>
+            `;
+        }
+    }
+}
+
+// ==================== RECHERCHE ====================
+class Search {
+    static timer = null;
+    static hits = [];
+    static correctedQuery = null;
+    static activeIndex = -1;
+
+    static onInput() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.suggest(), 200);
+    }
+
+    static async suggest() {
+        const input = document.getElementById('headerSearchInput');
+        const text = input ? input.value.trim() : '';
+        if (text.length < 2) {
+            this.close();
+            return;
+        }
+
+        try {
+            const response = await API.search(text);
+            // Ignorer les réponses arrivées après une nouvelle saisie
+            if (input.value.trim() !== text) return;
+
+            this.hits = response.hits || [];
+            this.correctedQuery = response.correctedQuery;
+            this.activeIndex = -1;
+            this.render();
+        } catch (error) {
+            console.error('Erreur recherche:', error);
+            this.close();
+        }
+    }
+
+    static render() {
+        const dropdown = document.getElementById('searchSuggestions');
+        if (!dropdown) return;
+
+        // Les champs *Html sont échappés par le serveur, seuls les <mark> sont conservés
+        const correction = this.correctedQuery ? `
+            <div class="px-4 py-2 text-xs text-gray-500 border-b">
+                Résultats pour « ${SecurityManager.escapeHtml(this.correctedQuery)} »
+            </div>
+        ` : '';
+
+        const results = this.hits.length === 0
+            ? '<div class="px-4 py-3 text-sm text-gray-500">Aucun résultat</div>'
+            : this.hits.map((hit, index) => `
+                <div onmousedown="Search.select(${index})"
+                     class="search-hit ${index === this.activeIndex ? 'active' : ''} flex items-center space-x-3 px-4 py-2 cursor-pointer hover:bg-gray-50">
+                    <span class="text-2xl">${SecurityManager.escapeHtml(hit.image_emoji || '👟')}</span>
+                    <div class="flex-1 min-w-0">
+                        <div class="text-sm font-medium text-gray-800 truncate">${hit.nameHtml}</div>
+                        <div class="text-xs text-gray-500 truncate">${hit.brandHtml} · ${hit.snippetHtml}</div>
+                    </div>
+                    <span class="text-sm font-semibold text-gray-700">${hit.price}€</span>
+                </div>
+            `).join('');
+
+        dropdown.innerHTML = correction + results;
+        dropdown.classList.remove('hidden');
+    }
+
+    static onKeydown(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (this.hits.length === 0) return;
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            this.activeIndex = (this.activeIndex + step + this.hits.length) % this.hits.length;
+            this.render();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            if (this.activeIndex >= 0) {
+                this.select(this.activeIndex);
+            } else {
+                this.submit();
+            }
+        } else if (event.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    static select(index) {
+        const hit = this.hits[index];
+        if (!hit) return;
+
+        this.close();
+        Router.navigate(`/produit/${hit.slug || hit.id}`);
+    }
+
+    // Recherche complète dans le catalogue (avec la correction proposée le cas échéant)
+    static submit() {
+        const input = document.getElementById('headerSearchInput');
+        const text = this.correctedQuery || (input ? input.value.trim() : '');
+
+        this.close();
+        Catalog.applyFilters({ q: text });
+        navigateToNouveautes();
+    }
+
+    static close() {
+        const dropdown = document.getElementById('searchSuggestions');
+        if (dropdown) dropdown.classList.add('hidden');
+        this.activeIndex = -1;
+    }
+}
+
+// ==================== PROFIL ====================
+class Profile {
+    static user = null;
+    static addresses = [];
+    static sessions = [];
+    static twoFactor = null;
+    static editingAddressId = null;
+    static addressFields = ['label', 'company', 'first_name', 'last_name', 'line1', 'line2', 'postal_code', 'city', 'phone'];
+
+    static async load() {
+        try {
+            const [profile, addressBook, sessions, twoFactor] = await Promise.all([
+                API.getProfile(), API.getAddresses(), API.getSessions(), API.getTwoFactor()
+            ]);
+            this.user = profile.user;
+            this.addresses = addressBook.addresses || [];
+            this.sessions = sessions.sessions || [];
+            this.twoFactor = twoFactor.twoFactor;
+            this.renderUser();
+            this.renderTwoFactor();
+            this.renderAddresses();
+            this.renderSessions();
+        } catch (error) {
+            console.error('Erreur chargement profil:', error);
+            UI.showNotification('Erreur lors du chargement du profil', 'error');
+        }
+    }
+
+    static renderUser() {
+        const form = document.getElementById('profileForm');
+        form.elements.firstName.value = this.user.firstName;
+        form.elements.lastName.value = this.user.lastName;
+        document.getElementById('profileEmail').textContent = this.user.email;
+        document.getElementById('profileEmailUnverified').classList.toggle('hidden', this.user.emailVerified);
+        const pending = document.getElementById('profileEmailPending');
+        pending.textContent = this.user.pendingEmail
+            ? `Changement vers ${this.user.pendingEmail} en attente de confirmation depuis cette adresse`
+            : '';
+        pending.classList.toggle('hidden', !this.user.pendingEmail);
+        document.getElementById('profileSince').textContent = this.user.createdAt
+            ? `Membre depuis le ${new Date(this.user.createdAt).toLocaleDateString('fr-FR')}`
+            : '';
+    }
+
+    // Le profil affiché dans l'en-tête suit les modifications
+    static updateCurrentUser(user) {
+        this.user = user;
+        Auth.currentUser = { ...Auth.currentUser, ...user };
+        Auth.updateUI();
+        this.renderUser();
+    }
+
+    // Envoi d'un formulaire du profil : erreurs affichées sous les champs concernés
+    static async submitForm(form, request) {
+        AdminPanel.clearFieldErrors(form);
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const response = await request();
+            if (response.success) {
+                UI.showNotification(response.message, 'success');
+            } else {
+                UI.showNotification(response.message || 'Erreur lors de l\'enregistrement', 'error');
+            }
+            return response;
+        } catch (error) {
+            console.error('Erreur profil:', error);
+            AdminPanel.showFieldErrors(form, error.errors);
+            UI.showNotification(error.message || 'Erreur lors de l\'enregistrement', 'error');
+            return null;
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    static async saveProfile(event) {
+        event.preventDefault();
+        const form = event.target;
+        const response = await this.submitForm(form, () => API.updateProfile({
+            firstName: form.elements.firstName.value.trim(),
+            lastName: form.elements.lastName.value.trim()
+        }));
+        if (response && response.success) {
+            this.updateCurrentUser(response.user);
+        }
+    }
+
+    static async changeEmail(event) {
+        event.preventDefault();
+        const form = event.target;
+        const response = await this.submitForm(form, () => API.changeEmail(
+            form.elements.email.value.trim(),
+            form.elements.password.value
+        ));
+        if (response && response.success) {
+            form.reset();
+            this.updateCurrentUser(response.user);
+        }
+    }
+
+    static async changePassword(event) {
+        event.preventDefault();
+        const form = event.target;
+
+        if (form.elements.newPassword.value !== form.elements.confirmPassword.value) {
+            AdminPanel.clearFieldErrors(form);
+            AdminPanel.showFieldErrors(form, [{ param: 'confirmPassword', msg: 'Les mots de passe ne correspondent pas' }]);
+            return;
+        }
+
+        const response = await this.submitForm(form, () => API.changePassword(
+            form.elements.currentPassword.value,
+            form.elements.newPassword.value
+        ));
+        if (response && response.success) {
+            form.reset();
+            this.loadSessions();
+        }
+    }
+
+    static async deleteAccount(event) {
+        event.preventDefault();
+        const form = event.target;
+        if (!confirm('Supprimer définitivement votre compte ? Cette action est irréversible.')) return;
+
+        const response = await this.submitForm(form, () => API.deleteAccount(form.elements.password.value));
+        if (response && response.success) {
+            Auth.currentUser = null;
+            window.location.assign('/');
+        }
+    }
+
+    // Double authentification
+    static renderTwoFactor() {
+        const { enabled, enabledAt, required, recoveryCodesRemaining } = this.twoFactor;
+        const status = document.getElementById('twoFactorStatus');
+
+        if (enabled) {
+            status.textContent = `Activée le ${new Date(enabledAt).toLocaleDateString('fr-FR')} · ${recoveryCodesRemaining} code(s) de secours restant(s)`;
+        } else {
+            status.textContent = required
+                ? 'Obligatoire pour les administrateurs : activez-la pour accéder au panel d\'administration.'
+                : 'Protégez votre compte avec un code à usage unique en plus du mot de passe.';
+        }
+
+        document.getElementById('twoFactorSetupForm').classList.toggle('hidden', enabled);
+        document.getElementById('twoFactorManage').classList.toggle('hidden', !enabled);
+        // Un administrateur ne peut pas désactiver une double authentification obligatoire
+        document.getElementById('twoFactorDisableForm').classList.toggle('hidden', required);
+        if (enabled) {
+            document.getElementById('twoFactorEnroll').classList.add('hidden');
+        }
+    }
+
+    static async loadTwoFactor() {
+        try {
+            const response = await API.getTwoFactor();
+            this.twoFactor = response.twoFactor;
+            this.renderTwoFactor();
+            this.updateCurrentUser({ ...this.user, twoFactorEnabled: this.twoFactor.enabled });
+        } catch (error) {
+            console.error('Erreur double authentification:', error);
+        }
+    }
+
+    static showRecoveryCodes(codes) {
+        document.getElementById('twoFactorRecoveryList').innerHTML = codes
+            .map(code => `<li>${SecurityManager.escapeHtml(code)}</li>`)
+            .join('');
+        document.getElementById('twoFactorRecoveryCodes').classList.remove('hidden');
+    }
+
+    static async startTwoFactor(event) {
+        event.preventDefault();
+        const form = event.target;
+        const response = await this.submitForm(form, () => API.setupTwoFactor(form.elements.password.value));
+        if (response && response.success) {
+            form.reset();
+            // SVG généré par le serveur à partir de l'URI otpauth://
+            document.getElementById('twoFactorQr').innerHTML = response.qrCode;
+            document.getElementById('twoFactorSecret').textContent = response.secret.replace(/(.{4})/g, '$1 ').trim();
+            document.getElementById('twoFactorUri').href = response.otpauthUri;
+            form.classList.add('hidden');
+            document.getElementById('twoFactorEnroll').classList.remove('hidden');
+            document.getElementById('twoFactorEnable-code').focus();
+        }
+    }
+
+    static async enableTwoFactor(event) {
+        event.preventDefault();
+        const form = event.target;
+        const response = await this.submitForm(form, () => API.enableTwoFactor(form.elements.code.value.trim()));
+        if (response && response.success) {
+            form.reset();
+            this.showRecoveryCodes(response.recoveryCodes);
+            await this.loadTwoFactor();
+            this.loadSessions();
+        }
+    }
+
+    static async regenerateRecoveryCodes(event) {
+        event.preventDefault();
+        const form = event.target;
+        const response = await this.submitForm(form, () => API.regenerateRecoveryCodes(form.elements.password.value));
+        if (response && response.success) {
+            form.reset();
+            this.showRecoveryCodes(response.recoveryCodes);
+            this.loadTwoFactor();
+        }
+    }
+
+    static async disableTwoFactor(event) {
+        event.preventDefault();
+        const form = event.target;
+        const response = await this.submitForm(form, () => API.disableTwoFactor(
+            form.elements.password.value,
+            form.elements.code.value.trim()
+        ));
+        if (response && response.success) {
+            form.reset();
+            document.getElementById('twoFactorRecoveryCodes').classList.add('hidden');
+            this.loadTwoFactor();
+        }
+    }
+
+    // Sessions actives
+    static renderSessions() {
+        const container = document.getElementById('profileSessions');
+        const formatDate = (date) => new Date(date).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+
+        container.innerHTML = this.sessions.map(session => `
+            <div class="border border-gray-200 rounded-xl p-4 text-sm text-gray-700 flex flex-wrap items-center justify-between gap-3">
+                <div>
+                    <p class="font-medium">
+                        ${SecurityManager.escapeHtml(session.device)}
+                        ${session.current ? '<span class="ml-2 px-2 py-1 text-xs rounded-full bg-green-100 text-green-800">Cet appareil</span>' : ''}
+                        ${session.remember ? '<span class="ml-2 px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-800">Se souvenir de moi</span>' : ''}
+                    </p>
+                    <p class="text-gray-500">
+                        IP ${SecurityManager.escapeHtml(session.ip || 'inconnue')}
+                        · Connexion le ${session.signedInAt ? formatDate(session.signedInAt) : '-'}
+                        · Dernière activité le ${formatDate(session.lastSeenAt)}
+                    </p>
+                </div>
+                ${session.current ? '' : `
+                    <button onclick="Profile.revokeSession(${session.id})" class="text-red-600 hover:text-red-700">Déconnecter</button>
+                `}
+            </div>
+        `).join('');
+    }
+
+    static async loadSessions() {
+        try {
+            const response = await API.getSessions();
+            this.sessions = response.sessions || [];
+            this.renderSessions();
+        } catch (error) {
+            console.error('Erreur chargement sessions:', error);
+            UI.showNotification('Erreur lors du chargement des sessions', 'error');
+        }
+    }
+
+    static async revokeSession(sessionId) {
+        try {
+            const response = await API.revokeSession(sessionId);
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            console.error('Erreur révocation session:', error);
+            UI.showNotification(error.message || 'Erreur lors de la déconnexion', 'error');
+        }
+        this.loadSessions();
+    }
+
+    static async logoutEverywhere() {
+        if (!confirm('Se déconnecter de tous vos appareils, y compris celui-ci ?')) return;
+        try {
+            await API.logoutEverywhere();
+            Auth.currentUser = null;
+            window.location.assign('/');
+        } catch (error) {
+            console.error('Erreur déconnexion globale:', error);
+            UI.showNotification(error.message || 'Erreur lors de la déconnexion', 'error');
+        }
+    }
+
+    // Carnet d'adresses
+    static renderAddresses() {
+        const container = document.getElementById('profileAddresses');
+        if (this.addresses.length === 0) {
+            container.innerHTML = '<p class="text-gray-500 text-sm">Aucune adresse enregistrée.</p>';
+            return;
+        }
+
+        container.innerHTML = this.addresses.map(address => `
+            <div class="border border-gray-200 rounded-xl p-4 text-sm text-gray-700">
+                <div class="mb-2">${UI.formatAddress(address)}</div>
+                <div class="flex flex-wrap gap-2 mb-3">
+                    ${address.is_default_shipping ? '<span class="px-2 py-1 text-xs rounded-full bg-blue-100 text-blue-800">Livraison par défaut</span>' : ''}
+                    ${address.is_default_billing ? '<span class="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-800">Facturation par défaut</span>' : ''}
+                </div>
+                <div class="flex flex-wrap gap-3">
+                    <button onclick="Profile.editAddress(${address.id})" class="text-blue-600 hover:text-blue-700 font-medium">Modifier</button>
+                    ${address.is_default_shipping ? '' : `
+                        <button onclick="Profile.setDefaultAddress(${address.id}, 'is_default_shipping')" class="text-blue-600 hover:text-blue-700">Livraison par défaut</button>
+                    `}
+                    ${address.is_default_billing ? '' : `
+                        <button onclick="Profile.setDefaultAddress(${address.id}, 'is_default_billing')" class="text-blue-600 hover:text-blue-700">Facturation par défaut</button>
+                    `}
+                    <button onclick="Profile.deleteAddress(${address.id})" class="text-red-600 hover:text-red-700">Supprimer</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    static async loadAddresses() {
+        try {
+            const response = await API.getAddresses();
+            this.addresses = response.addresses || [];
+            this.renderAddresses();
+        } catch (error) {
+            console.error('Erreur chargement adresses:', error);
+            UI.showNotification('Erreur lors du chargement des adresses', 'error');
+        }
+    }
+
+    static editAddress(addressId) {
+        const address = this.addresses.find(item => item.id === addressId);
+        if (!address) return;
+
+        const form = document.getElementById('addressForm');
+        AdminPanel.clearFieldErrors(form);
+        this.editingAddressId = addressId;
+        this.addressFields.forEach(field => {
+            form.elements[field].value = address[field] || '';
+        });
+        // L'adresse par défaut le reste jusqu'à ce qu'une autre la remplace
+        ['is_default_shipping', 'is_default_billing'].forEach(flag => {
+            form.elements[flag].checked = Boolean(address[flag]);
+            form.elements[flag].disabled = Boolean(address[flag]);
+        });
+
+        document.getElementById('addressFormTitle').textContent = 'Modifier l\'adresse';
+        document.getElementById('addressSubmitButton').textContent = 'Enregistrer';
+        document.getElementById('addressCancelButton').classList.remove('hidden');
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    static resetAddressForm() {
+        const form = document.getElementById('addressForm');
+        form.reset();
+        AdminPanel.clearFieldErrors(form);
+        this.editingAddressId = null;
+        form.elements.is_default_shipping.disabled = false;
+        form.elements.is_default_billing.disabled = false;
+
+        document.getElementById('addressFormTitle').textContent = 'Nouvelle adresse';
+        document.getElementById('addressSubmitButton').textContent = 'Ajouter l\'adresse';
+        document.getElementById('addressCancelButton').classList.add('hidden');
+    }
+
+    static async saveAddress(event) {
+        event.preventDefault();
+        const form = event.target;
+        const addressData = Object.fromEntries(this.addressFields.map(field => [field, form.elements[field].value.trim()]));
+        addressData.is_default_shipping = form.elements.is_default_shipping.checked;
+        addressData.is_default_billing = form.elements.is_default_billing.checked;
+
+        const response = await this.submitForm(form, () => (this.editingAddressId
+            ? API.updateAddress(this.editingAddressId, addressData)
+            : API.addAddress(addressData)));
+        if (response && response.success) {
+            this.resetAddressForm();
+            this.loadAddresses();
+        }
+    }
+
+    static async setDefaultAddress(addressId, flag) {
+        try {
+            await API.updateAddress(addressId, { [flag]: true });
+            this.loadAddresses();
+        } catch (error) {
+            console.error('Erreur adresse par défaut:', error);
+            UI.showNotification(error.message || 'Erreur lors de la modification', 'error');
+        }
+    }
+
+    static async deleteAddress(addressId) {
+        if (!confirm('Supprimer cette adresse ? Les commandes passées conservent leur adresse.')) return;
+        try {
+            const response = await API.deleteAddress(addressId);
+            UI.showNotification(response.message, 'success');
+            if (this.editingAddressId === addressId) {
+                this.resetAddressForm();
+            }
+            this.loadAddresses();
+        } catch (error) {
+            console.error('Erreur suppression adresse:', error);
+            UI.showNotification(error.message || 'Erreur lors de la suppression', 'error');
+        }
+    }
+}
+
+// ==================== ROUTEUR ====================
+// Les URL profondes sont servies par la route SPA de server.js, le rendu se fait ici
+class Router {
+    static defaultTitle = document.title;
+    static routes = [
+        { pattern: /^\/$/, render: () => { UI.showHomePage(); Catalog.syncWithUrl(); } },
+        { pattern: /^\/produit\/([a-z0-9-]+)$/, render: (reference) => UI.showProduct(reference) },
+        { pattern: /^\/favoris$/, render: () => UI.showFavorites() },
+        { pattern: /^\/commandes$/, render: () => UI.showOrders() },
+        { pattern: /^\/commandes\/(\d+)$/, render: (orderId) => UI.showOrders(parseInt(orderId)) },
+        { pattern: /^\/profil$/, render: () => UI.showProfile() },
+        { pattern: /^\/reinitialiser-mot-de-passe$/, render: () => UI.showResetPassword() },
+        { pattern: /^\/verifier-email$/, render: () => { UI.showEmailVerification(); } },
+        { pattern: /^\/confirmer-email$/, render: () => { UI.showEmailChangeConfirmation(); } },
+        { pattern: /^\/admin$/, render: () => UI.showAdminPanel() }
+    ];
+
+    static navigate(url) {
+        const current = `${window.location.pathname}${window.location.search}`;
+        if (url !== current) {
+            window.history.pushState(null, '', url);
+        }
+        this.resolve();
+    }
+
+    // Afficher la page correspondant à l'URL courante
+    static resolve() {
+        const path = window.location.pathname.replace(/\/+$/, '') || '/';
+
+        for (const route of this.routes) {
+            const match = path.match(route.pattern);
+            if (match) {
+                // Page refusée (connexion ou droits requis) : retour à l'accueil
+                if (route.render(...match.slice(1)) === false) {
+                    window.history.replaceState(null, '', Catalog.homeUrl());
+                    UI.showHomePage();
+                }
+                return;
+            }
+        }
+
+        window.history.replaceState(null, '', Catalog.homeUrl());
+        UI.showHomePage();
+    }
+}
+
 // ==================== APPLICATION PRINCIPALE ====================
 class App {
     static favorites = new Map();
     static cart = new Map();
+    static cartSummary = null;
+    static cartPromo = null;
+    static cartSummaryRequest = 0;
+    static cartSummaryPending = false;
+    static products = new Map();
+    static selectedSizes = new Map();
 
     static async init() {
         try {
             await API.initCSRF();
 
+            Catalog.readFromUrl();
+            await this.loadProducts();
             await Auth.init();
 
             if (Auth.currentUser) {
                 await this.loadUserData();
+            } else {
+                await this.loadCart();
             }
 
+            Router.resolve();
         } catch (error) {
             console.error('Erreur initialisation App:', error);
         }
     }
 
-    static async toggleFavorite(productId, name, price, brand, description, emoji) {
+    // La fiche produit ouverte peut ne pas faire partie de la page de catalogue chargée
+    static getProductById(productId) {
+        if (UI.currentProduct && UI.currentProduct.id === productId) {
+            return UI.currentProduct;
+        }
+        return this.products.get(productId) || this.favorites.get(productId);
+    }
+
+    static async toggleFavorite(productId) {
         if (!Auth.currentUser) {
             UI.showNotification('Veuillez vous connecter pour ajouter aux favoris', 'error');
             return;
         }
 
-        try {
-            // CORRECTION : Utiliser le nom encodé
-            const encodedName = encodeURIComponent(name);
-            const response = await API.toggleFavorite(encodedName);
+        const product = this.getProductById(productId);
+        if (!product) {
+            UI.showNotification('Produit introuvable', 'error');
+            return;
+        }
 
-            console.log('Réponse toggleFavorite:', response); // DEBUG
+        try {
+            const response = await API.toggleFavorite(product.id);
 
             if (response.success) {
                 if (response.isFavorite) {
                     // AJOUT aux favoris
-                    this.favorites.set(name, {
-                        id: productId,
-                        name: name,
-                        price: price,
-                        brand: brand,
-                        description: description,
-                        image_emoji: emoji
+                    this.favorites.set(product.id, {
+                        id: product.id,
+                        slug: product.slug,
+                        name: product.name,
+                        price: product.price,
+                        brand: product.brand,
+                        description: product.description,
+                        image_emoji: product.image_emoji,
+                        images: product.images || []
                     });
                     UI.showNotification('❤️ Ajouté aux favoris!', 'success');
                 } else {
                     // RETIRER des favoris
-                    this.favorites.delete(name);
+                    this.favorites.delete(product.id);
                     UI.showNotification('💔 Retiré des favoris', 'info');
                 }
 
@@ -696,63 +3056,116 @@ class App {
             }
         } catch (error) {
             console.error('Erreur toggleFavorite:', error);
-            UI.showNotification('Erreur lors de la mise à jour des favoris', 'error');
+            UI.showNotification(
+                error.code === 'EMAIL_NOT_VERIFIED' ? error.message : 'Erreur lors de la mise à jour des favoris',
+                'error'
+            );
         }
     }
 
 
-    static async addToCart(name, price) {
-        if (!Auth.currentUser) {
-            UI.showNotification('Veuillez vous connecter pour ajouter au panier', 'error');
+    static async loadProducts() {
+        try {
+            const response = await API.getProducts(Catalog.apiQuery());
+            this.products.clear();
+            (response.products || []).forEach(product => {
+                this.products.set(product.id, product);
+            });
+            UI.renderCatalog(response.products);
+            this.renderSizePickers();
+
+            if (response.facets) {
+                Catalog.renderFacets(response.facets);
+                UI.renderBrands(response.facets.brands);
+            }
+            Catalog.renderResults(response.pagination);
+        } catch (error) {
+            console.error('Erreur chargement produits:', error);
+            UI.renderCatalog([]);
+        }
+    }
+
+    static renderSizePickers() {
+        document.querySelectorAll('.size-picker').forEach(picker => {
+            picker.innerHTML = UI.renderSizeOptions(parseInt(picker.getAttribute('data-product-id')));
+        });
+    }
+
+    static selectSize(button) {
+        const productId = parseInt(button.getAttribute('data-product-id'));
+        const size = parseFloat(button.getAttribute('data-size'));
+        this.selectedSizes.set(productId, size);
+        this.renderSizePickers();
+    }
+
+    static addProductToCart(productId) {
+        this.addToCart(productId);
+    }
+
+    // Une ligne de panier par produit et par pointure
+    static cartKey(productId, size) {
+        return `${productId}|${size}`;
+    }
+
+    static async addToCart(productId, size = this.selectedSizes.get(productId)) {
+        if (size === undefined) {
+            UI.showNotification('Veuillez choisir une taille', 'error');
             return;
         }
 
-        try {
-            // CORRECTION : Encoder le nom
-            const encodedName = encodeURIComponent(name);
-            const response = await API.addToCart(encodedName);
+        const product = this.getProductById(productId);
+        if (!product) {
+            UI.showNotification('Produit introuvable', 'error');
+            return;
+        }
 
-            console.log('Réponse addToCart:', response); // DEBUG
+        try {
+            const response = await API.addToCart(productId, size);
 
             if (response.success) {
-                const existingItem = this.cart.get(name);
+                const key = this.cartKey(productId, size);
+                const existingItem = this.cart.get(key);
                 if (existingItem) {
-                    existingItem.quantity += 1;
+                    existingItem.quantity = response.item.quantity;
+                    existingItem.confirmedQuantity = response.item.quantity;
+                    existingItem.lineTotal = null;
                 } else {
-                    this.cart.set(name, {
-                        name: name,
-                        price: parseFloat(price) || 0,
-                        quantity: 1
+                    const variant = (product.variants || []).find(item => item.size === size);
+                    this.cart.set(key, {
+                        cartItemId: response.item.id,
+                        productId: productId,
+                        name: product.name,
+                        size: size,
+                        price: parseFloat(product.price) || 0,
+                        quantity: 1,
+                        confirmedQuantity: 1,
+                        maxQuantity: variant ? variant.stock : null,
+                        image_emoji: product.image_emoji,
+                        images: product.images || []
                     });
                 }
 
                 this.updateCartCount();
-                this.updateCartDisplay();
+                this.refreshCartSummary();
                 UI.showNotification('🛒 Produit ajouté au panier!', 'success');
             } else {
                 UI.showNotification(response.message || 'Erreur avec le panier', 'error');
             }
         } catch (error) {
             console.error('Erreur addToCart:', error);
-            UI.showNotification('Erreur lors de l\'ajout au panier', 'error');
+            UI.showNotification(error.message || 'Erreur lors de l\'ajout au panier', 'error');
+            this.loadProducts();
         }
     }
 
-    static async removeFromCart(name) {
-        if (!Auth.currentUser) {
-            UI.showNotification('Veuillez vous connecter pour modifier le panier', 'error');
-            return;
-        }
-
+    static async removeFromCart(productId, size) {
         try {
-            // Encoder le nom du produit pour l'URL
-            const encodedName = encodeURIComponent(name);
-            const response = await API.removeFromCart(encodedName);
+            const response = await API.removeFromCart(productId, size);
 
             if (response.success) {
-                this.cart.delete(name);
+                this.cart.delete(this.cartKey(productId, size));
                 this.updateCartCount();
-                this.updateCartDisplay();
+                this.refreshCartSummary();
                 UI.showNotification('Produit retiré du panier', 'success');
             } else {
                 UI.showNotification(response.message || 'Erreur lors de la suppression', 'error');
@@ -763,8 +3176,78 @@ class App {
         }
     }
 
+    static changeCartQuantity(key, delta) {
+        const item = this.cart.get(key);
+        if (item) {
+            this.setCartQuantity(key, item.quantity + delta);
+        }
+    }
+
+    // Mise à jour optimiste : affichée tout de suite, annulée si le serveur refuse
+    static async setCartQuantity(key, value) {
+        const item = this.cart.get(key);
+        const quantity = parseInt(value);
+        if (!item || Number.isNaN(quantity) || quantity < 0 || quantity === item.quantity) {
+            this.updateCartDisplay();
+            return;
+        }
+
+        // Seule la dernière requête d'une ligne peut annuler l'affichage
+        const requestId = (item.requestId || 0) + 1;
+        item.requestId = requestId;
+
+        item.quantity = quantity;
+        if (quantity === 0) {
+            this.cart.delete(key);
+        }
+        this.updateCartCount();
+        this.updateCartDisplay();
+
+        try {
+            const response = await API.updateCartItem(item.cartItemId, quantity);
+            if (!response.success) {
+                throw new Error(response.message);
+            }
+            item.confirmedQuantity = quantity;
+            this.refreshCartSummary();
+        } catch (error) {
+            console.error('Erreur quantité panier:', error);
+            if (item.requestId !== requestId) return;
+
+            item.quantity = item.confirmedQuantity;
+            this.cart.set(key, item);
+            this.updateCartCount();
+            this.refreshCartSummary();
+            UI.showNotification(error.message || 'Erreur lors de la mise à jour du panier', 'error');
+        }
+    }
+
+    static async emptyCart() {
+        if (this.cart.size === 0 || !confirm('Vider le panier ?')) return;
+
+        const previousCart = new Map(this.cart);
+        this.clearCart();
+
+        try {
+            const response = await API.clearCart();
+            if (!response.success) {
+                throw new Error(response.message);
+            }
+            UI.showNotification('Panier vidé', 'success');
+        } catch (error) {
+            console.error('Erreur vidage panier:', error);
+            this.cart = previousCart;
+            this.updateCartCount();
+            this.refreshCartSummary();
+            UI.showNotification(error.message || 'Erreur lors du vidage du panier', 'error');
+        }
+    }
+
     static clearCart() {
         this.cart.clear();
+        this.cartSummary = null;
+        this.cartSummaryRequest++;
+        this.cartSummaryPending = false;
         this.updateCartCount();
         this.updateCartDisplay();
     }
@@ -790,11 +3273,11 @@ class App {
     // Mise à jour des boutons favoris
     static updateFavoriteButtons() {
         document.querySelectorAll('.favorite-btn').forEach(btn => {
-            const productName = btn.getAttribute('data-product-name');
-            if (productName) {
+            const productId = parseInt(btn.getAttribute('data-product-id'));
+            if (productId) {
                 const heart = btn.querySelector('span');
                 if (heart) {
-                    if (this.favorites.has(productName)) {
+                    if (this.favorites.has(productId)) {
                         heart.textContent = '❤️';
                         btn.classList.add('text-red-500', 'border-red-300');
                         btn.classList.remove('text-gray-400');
@@ -810,12 +3293,15 @@ class App {
 
     static updateCartDisplay() {
         const cartItemsContainer = document.getElementById('cartItems');
-        const cartTotalElement = document.getElementById('cartTotal');
         const checkoutButton = document.getElementById('checkoutButton');
+        const clearCartButton = document.getElementById('clearCartButton');
         const emptyCartMessage = document.getElementById('emptyCartMessage');
 
         if (!cartItemsContainer) return;
 
+        if (clearCartButton) clearCartButton.classList.toggle('hidden', this.cart.size === 0);
+        this.renderCartSummary();
+
         if (this.cart.size === 0) {
             cartItemsContainer.innerHTML = `
                 <div class="text-center py-8">
@@ -823,33 +3309,44 @@ class App {
                     <p class="text-gray-500">Votre panier est vide</p>
                 </div>
             `;
-            if (cartTotalElement) cartTotalElement.textContent = '0.00€';
             if (checkoutButton) checkoutButton.classList.add('hidden');
             if (emptyCartMessage) emptyCartMessage.classList.remove('hidden');
             return;
         }
 
         cartItemsContainer.innerHTML = '';
-        let total = 0;
 
-        this.cart.forEach((item, productName) => {
+        this.cart.forEach((item, key) => {
             const price = parseFloat(item.price) || 0;
             const quantity = parseInt(item.quantity) || 1;
-            const itemTotal = price * quantity;
-            total += itemTotal;
+            const atMax = item.maxQuantity !== null && item.maxQuantity !== undefined && quantity >= item.maxQuantity;
+            // Le total de ligne vient du serveur : en attente tant que la quantité n'est pas confirmée
+            const lineTotal = typeof item.lineTotal === 'number' && quantity === item.confirmedQuantity
+                ? `${item.lineTotal.toFixed(2)}€`
+                : '…';
 
             const cartItem = document.createElement('div');
             cartItem.className = 'flex justify-between items-center py-4 border-b border-gray-200';
             cartItem.innerHTML = `
                 <div class="flex items-center space-x-3 flex-1">
+                    ${UI.renderProductImage(item, 'thumb', 'w-14 h-14 object-cover rounded-lg', 'text-3xl')}
                     <div class="flex-1">
                         <h4 class="font-semibold text-gray-800">${SecurityManager.escapeHtml(item.name)}</h4>
-                        <p class="text-gray-600 text-sm">${price.toFixed(2)}€ × ${quantity}</p>
+                        <p class="text-gray-500 text-xs">Taille ${item.size} · ${price.toFixed(2)}€</p>
+                        <div class="flex items-center mt-1">
+                            <button onclick="App.changeCartQuantity('${key}', -1)" title="Retirer une paire"
+                                    class="w-7 h-7 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100">−</button>
+                            <input type="number" min="0" ${atMax ? `max="${item.maxQuantity}"` : ''} value="${quantity}"
+                                   onchange="App.setCartQuantity('${key}', this.value)" aria-label="Quantité"
+                                   class="w-12 mx-1 px-1 py-1 border border-gray-300 rounded text-center text-sm">
+                            <button onclick="App.changeCartQuantity('${key}', 1)" ${atMax ? 'disabled' : ''} title="Ajouter une paire"
+                                    class="w-7 h-7 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed">+</button>
+                        </div>
                     </div>
                 </div>
                 <div class="flex items-center space-x-3">
-                    <p class="font-semibold text-gray-900">${itemTotal.toFixed(2)}€</p>
-                    <button onclick="removeFromCart('${SecurityManager.escapeHtml(item.name)}')" 
+                    <p class="font-semibold text-gray-900">${lineTotal}</p>
+                    <button onclick="removeFromCart(${item.productId}, ${item.size})" 
                             class="text-red-500 hover:text-red-700 transition duration-200 p-2 rounded-lg hover:bg-red-50"
                             title="Supprimer du panier">
                         <span class="text-lg">🗑️</span>
@@ -859,53 +3356,220 @@ class App {
             cartItemsContainer.appendChild(cartItem);
         });
 
-        if (cartTotalElement) cartTotalElement.textContent = total.toFixed(2) + '€';
         if (checkoutButton) checkoutButton.classList.remove('hidden');
         if (emptyCartMessage) emptyCartMessage.classList.add('hidden');
     }
 
+    // Récapitulatif chiffré par le serveur (sous-total, livraison, TVA incluse, total)
+    static renderCartSummary() {
+        const summary = this.cart.size > 0 ? this.cartSummary : null;
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+
+        document.getElementById('cartSummary')?.classList.toggle('opacity-50', this.cartSummaryPending);
+
+        setText('cartSubtotal', `${(summary ? summary.subtotal : 0).toFixed(2)}€`);
+        setText('cartDiscount', `−${(summary ? summary.discount : 0).toFixed(2)}€`);
+        document.getElementById('cartDiscountRow')?.classList.toggle('hidden', !summary || !summary.discount);
+        setText('cartShipping', summary && summary.shipping === 0 ? 'Offerte' : `${(summary ? summary.shipping : 0).toFixed(2)}€`);
+        setText('cartTotal', `${(summary ? summary.total : 0).toFixed(2)}€`);
+        setText('cartVat', summary
+            ? `dont TVA ${Math.round(summary.vat.rate * 1000) / 10}% : ${summary.vat.amount.toFixed(2)}€`
+            : '');
+
+        this.renderCartPromo();
+
+        const freeShipping = document.getElementById('cartFreeShipping');
+        if (freeShipping) {
+            const remaining = summary ? summary.freeShippingRemaining : null;
+            freeShipping.classList.toggle('hidden', !remaining);
+            freeShipping.textContent = remaining
+                ? `Plus que ${remaining.toFixed(2)}€ pour profiter de la livraison offerte`
+                : '';
+        }
+    }
+
+    // Code promo appliqué (ou raison pour laquelle il ne s'applique plus), sinon champ de saisie
+    static renderCartPromo() {
+        const promoForm = document.getElementById('promoCodeForm');
+        const promoElement = document.getElementById('cartPromo');
+        const promo = this.cart.size > 0 ? this.cartPromo : null;
+
+        if (promoForm) promoForm.classList.toggle('hidden', this.cart.size === 0 || Boolean(promo));
+        if (!promoElement) return;
+
+        promoElement.classList.toggle('hidden', !promo);
+        if (!promo) {
+            promoElement.innerHTML = '';
+            return;
+        }
+
+        promoElement.classList.toggle('bg-green-50', !promo.error);
+        promoElement.classList.toggle('bg-yellow-50', Boolean(promo.error));
+        promoElement.innerHTML = `
+            <div class="flex justify-between items-center">
+                <span class="font-semibold ${promo.error ? 'text-yellow-800' : 'text-green-800'}">🏷️ ${SecurityManager.escapeHtml(promo.code)}</span>
+                <button onclick="App.removePromoCode()" class="text-gray-500 hover:text-red-600 text-xs">Retirer</button>
+            </div>
+            ${promo.description ? `<p class="text-gray-600 text-xs">${SecurityManager.escapeHtml(promo.description)}</p>` : ''}
+            ${promo.error ? `<p class="text-yellow-800 text-xs mt-1">${SecurityManager.escapeHtml(promo.error)}</p>` : ''}
+        `;
+    }
+
     static async loadUserData() {
         try {
             const favoritesResponse = await API.getFavorites();
             this.favorites.clear();
             if (favoritesResponse.success && favoritesResponse.favorites) {
                 favoritesResponse.favorites.forEach(fav => {
-                    this.favorites.set(fav.name, {
+                    this.favorites.set(fav.id, {
+                        id: fav.id,
+                        slug: fav.slug,
                         name: fav.name || '',
                         price: parseFloat(fav.price) || 0,
                         brand: fav.brand || '',
                         description: fav.description || '',
-                        image_emoji: fav.image_emoji || '👟'
+                        image_emoji: fav.image_emoji || '👟',
+                        images: fav.images || []
                     });
                 });
             }
 
+            await this.loadCart();
+
+            this.updateFavoritesCount();
+            this.updateFavoriteButtons();
+
+            console.log('Données utilisateur chargées');
+        } catch (error) {
+            console.error('Erreur chargement données utilisateur:', error);
+        }
+    }
+
+    // Panier du compte, ou panier invité gardé en session avant connexion
+    static async loadCart() {
+        try {
             const cartResponse = await API.getCart();
             this.cart.clear();
+            this.cartSummary = cartResponse.summary || null;
+            this.cartPromo = cartResponse.promo || null;
             if (cartResponse.success && cartResponse.cartItems) {
                 cartResponse.cartItems.forEach(item => {
-                    this.cart.set(item.name, {
+                    this.cart.set(this.cartKey(item.id, item.size), {
+                        cartItemId: item.cart_item_id,
+                        productId: item.id,
                         name: item.name || '',
-                        price: parseFloat(item.price) || 0,
-                        quantity: parseInt(item.quantity) || 1
+                        size: item.size,
+                        price: parseFloat(item.unit_price) || 0,
+                        lineTotal: item.line_total,
+                        quantity: parseInt(item.quantity) || 1,
+                        confirmedQuantity: parseInt(item.quantity) || 1,
+                        maxQuantity: item.max_quantity,
+                        image_emoji: item.image_emoji,
+                        images: item.images || []
                     });
                 });
             }
+        } catch (error) {
+            console.error('Erreur chargement panier:', error);
+        }
 
-            this.updateFavoritesCount();
-            this.updateCartCount();
+        this.updateCartCount();
+        this.updateCartDisplay();
+    }
+
+    // Montants recalculés par le serveur après chaque modification du panier.
+    // Seule la réponse de la dernière demande est affichée.
+    static async refreshCartSummary() {
+        const requestId = ++this.cartSummaryRequest;
+        this.cartSummaryPending = true;
+        this.updateCartDisplay();
+
+        try {
+            const response = await API.getCart();
+            if (requestId !== this.cartSummaryRequest) return;
+            this.applyCartPricing(response);
+        } catch (error) {
+            console.error('Erreur récapitulatif panier:', error);
+            if (requestId !== this.cartSummaryRequest) return;
+        }
+
+        this.cartSummaryPending = false;
+        this.updateCartDisplay();
+    }
+
+    // Reporter les montants d'une réponse panier sur les lignes affichées
+    static applyCartPricing(response) {
+        this.cartSummary = response.summary || null;
+        this.cartPromo = response.promo || null;
+        (response.cartItems || []).forEach(cartItem => {
+            const item = this.cart.get(this.cartKey(cartItem.id, cartItem.size));
+            if (item) {
+                item.price = parseFloat(cartItem.unit_price) || 0;
+                item.lineTotal = cartItem.line_total;
+                item.maxQuantity = cartItem.max_quantity;
+            }
+        });
+    }
+
+    static async applyPromoCode(event) {
+        event.preventDefault();
+        const input = document.getElementById('promoCodeInput');
+        const code = input ? input.value.trim() : '';
+        if (!code) return;
+
+        try {
+            const response = await API.applyPromoCode(code);
+            if (!response.success) {
+                throw new Error(response.message);
+            }
+            this.cartSummaryRequest++;
+            this.applyCartPricing(response);
+            input.value = '';
             this.updateCartDisplay();
-            this.updateFavoriteButtons();
+            UI.showNotification('🏷️ Code promo appliqué', 'success');
+        } catch (error) {
+            console.error('Erreur code promo:', error);
+            UI.showNotification(error.message || 'Code promo invalide', 'error');
+        }
+    }
 
-            console.log('Données utilisateur chargées');
+    static async removePromoCode() {
+        try {
+            const response = await API.removePromoCode();
+            if (!response.success) {
+                throw new Error(response.message);
+            }
+            this.cartSummaryRequest++;
+            this.applyCartPricing(response);
+            this.updateCartDisplay();
         } catch (error) {
-            console.error('Erreur chargement données utilisateur:', error);
+            console.error('Erreur retrait code promo:', error);
+            UI.showNotification(error.message || 'Erreur lors du retrait du code promo', 'error');
+        }
+    }
+
+    // Résumé de la fusion du panier invité après connexion ou inscription
+    static notifyCartMerge(cartMerge) {
+        if (!cartMerge) return;
+
+        if (cartMerge.adjusted.length > 0) {
+            const details = cartMerge.adjusted
+                .map(line => `${line.name} (${line.size}) : ${line.added}/${line.requested}`)
+                .join(', ');
+            UI.showNotification(`Panier fusionné, quantités ajustées selon le stock : ${details}`, 'info');
+        } else if (cartMerge.added > 0) {
+            UI.showNotification(`🛒 ${cartMerge.added} article(s) de votre panier ajouté(s) à votre compte`, 'success');
         }
     }
 
     static async checkout() {
         if (!Auth.currentUser) {
-            UI.showNotification('Veuillez vous connecter pour passer commande', 'error');
+            // Le panier invité sera fusionné avec celui du compte à la connexion
+            UI.showNotification('Connectez-vous pour finaliser votre commande, votre panier sera conservé', 'info');
+            UI.openLogin();
             return;
         }
 
@@ -914,69 +3578,304 @@ class App {
             return;
         }
 
+        if (Auth.isRestricted('checkout')) {
+            UI.showNotification('Confirmez votre adresse email pour passer commande (lien envoyé à l\'inscription)', 'error');
+            return;
+        }
+
+        UI.toggleCart();
+        await this.openCheckout();
+    }
+
+    // Choix de l'adresse : une adresse du carnet ou une nouvelle adresse saisie
+    static addresses = [];
+    static addressFields = ['first_name', 'last_name', 'line1', 'line2', 'postal_code', 'city', 'phone'];
+
+    static async openCheckout() {
         try {
-            let total = 0;
-            this.cart.forEach(item => {
-                const price = parseFloat(item.price) || 0;
-                const quantity = parseInt(item.quantity) || 1;
-                total += price * quantity;
-            });
+            const response = await API.getAddresses();
+            this.addresses = response.addresses || [];
+        } catch (error) {
+            console.error('Erreur chargement adresses:', error);
+            this.addresses = [];
+        }
+
+        const form = document.getElementById('checkoutForm');
+        AdminPanel.clearFieldErrors(form);
+        this.addressFields.forEach(field => {
+            form.elements[field].value = '';
+        });
+        if (this.addresses.length === 0) {
+            form.elements.first_name.value = Auth.currentUser.firstName || '';
+            form.elements.last_name.value = Auth.currentUser.lastName || '';
+        }
+        document.getElementById('checkoutError').classList.add('hidden');
+        document.getElementById('checkoutBillingSame').checked = true;
+
+        this.renderCheckoutAddresses();
+        document.getElementById('checkoutModal').classList.remove('hidden');
+    }
+
+    static closeCheckout() {
+        document.getElementById('checkoutModal').classList.add('hidden');
+    }
+
+    static renderCheckoutAddresses() {
+        const container = document.getElementById('checkoutAddresses');
+        const shipping = this.addresses.find(address => address.is_default_shipping) || this.addresses[0];
+        const billing = this.addresses.find(address => address.is_default_billing) || shipping;
+
+        container.innerHTML = this.addresses.length === 0 ? '' : `
+            ${this.addresses.map(address => `
+                <label class="flex items-start gap-3 p-3 border border-gray-200 rounded-lg cursor-pointer hover:border-blue-400">
+                    <input type="radio" name="shippingAddressId" value="${address.id}" ${address === shipping ? 'checked' : ''}
+                           onchange="App.selectCheckoutAddress()" class="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500">
+                    <span class="text-sm text-gray-700">${UI.formatAddress(address)}</span>
+                </label>
+            `).join('')}
+            <label class="flex items-center gap-3 p-3 border border-gray-200 rounded-lg cursor-pointer hover:border-blue-400">
+                <input type="radio" name="shippingAddressId" value="new" onchange="App.selectCheckoutAddress()" class="h-4 w-4 text-blue-600 focus:ring-blue-500">
+                <span class="text-sm font-medium text-gray-700">Nouvelle adresse</span>
+            </label>
+        `;
+
+        document.getElementById('checkoutBillingAddress').innerHTML = this.addresses.map(address => `
+            <option value="${address.id}" ${address === billing ? 'selected' : ''}>
+                ${SecurityManager.escapeHtml(`${address.label ? `${address.label} · ` : ''}${address.first_name} ${address.last_name}, ${address.line1}, ${address.postal_code} ${address.city}`)}
+            </option>
+        `).join('');
+        document.getElementById('checkoutBilling').classList.toggle('hidden', this.addresses.length === 0);
+
+        this.selectCheckoutAddress();
+        this.updateCheckoutBilling();
+    }
+
+    static selectedCheckoutAddress() {
+        const selected = document.querySelector('#checkoutAddresses input[name="shippingAddressId"]:checked');
+        return selected ? selected.value : 'new';
+    }
+
+    static selectCheckoutAddress() {
+        document.getElementById('checkoutNewAddress').classList.toggle('hidden', this.selectedCheckoutAddress() !== 'new');
+    }
+
+    static updateCheckoutBilling() {
+        const same = document.getElementById('checkoutBillingSame').checked;
+        document.getElementById('checkoutBillingAddress').classList.toggle('hidden', same);
+    }
+
+    static async submitCheckout() {
+        const form = document.getElementById('checkoutForm');
+        const errorElement = document.getElementById('checkoutError');
+        const submitButton = document.getElementById('checkoutSubmitButton');
+        const checkoutData = {};
+
+        const selected = this.selectedCheckoutAddress();
+        if (selected === 'new') {
+            checkoutData.shippingAddress = Object.fromEntries(
+                this.addressFields.map(field => [field, form.elements[field].value.trim()])
+            );
+            checkoutData.saveAddress = document.getElementById('checkoutSaveAddress').checked;
+        } else {
+            checkoutData.shippingAddressId = parseInt(selected);
+        }
+        if (this.addresses.length > 0 && !document.getElementById('checkoutBillingSame').checked) {
+            checkoutData.billingAddressId = parseInt(document.getElementById('checkoutBillingAddress').value);
+        }
 
-            UI.showNotification(`Commande de ${total.toFixed(2)}€ en cours de traitement...`, 'info');
-            await new Promise(resolve => setTimeout(resolve, 1500));
+        AdminPanel.clearFieldErrors(form);
+        errorElement.classList.add('hidden');
+        submitButton.disabled = true;
 
-            this.clearCart();
-            UI.showNotification('Commande passée avec succès!', 'success');
-            UI.toggleCart();
+        try {
+            const response = await API.createOrder(checkoutData);
 
+            if (response.success) {
+                this.closeCheckout();
+                this.clearCart();
+                this.loadProducts();
+                this.openPayment(response.order.id, response.order.orderNumber, response.order.totalAmount);
+            } else {
+                errorElement.textContent = response.message || 'Erreur lors de la commande';
+                errorElement.classList.remove('hidden');
+            }
         } catch (error) {
             console.error('Erreur commande:', error);
-            UI.showNotification('Erreur lors de la commande', 'error');
+            // Erreurs de l'adresse saisie : `shippingAddress.postal_code` -> champ `postal_code`
+            AdminPanel.showFieldErrors(form, (error.errors || []).map(item => ({
+                ...item,
+                param: String(item.param || '').replace(/^shippingAddress\./, '')
+            })));
+            errorElement.textContent = error.message || 'Erreur lors de la commande';
+            errorElement.classList.remove('hidden');
+            this.loadProducts();
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+
+    // Paiement. La commande n'est payée qu'une fois le paiement confirmé par le prestataire,
+    // on la suit donc après l'envoi de la carte jusqu'à la confirmation ou au refus
+
+    static paymentOrderId = null;
+    static paymentPollDelay = 1000;
+    static paymentPollAttempts = 15;
+
+    static openPayment(orderId, orderNumber, totalAmount) {
+        this.paymentOrderId = orderId;
+        document.getElementById('paymentSummary').textContent =
+            `Commande ${orderNumber} · ${parseFloat(totalAmount).toFixed(2)}€`;
+        document.getElementById('paymentCardNumber').value = '';
+        this.showPaymentStep('form');
+        document.getElementById('paymentModal').classList.remove('hidden');
+    }
+
+    static closePayment() {
+        document.getElementById('paymentModal').classList.add('hidden');
+        document.getElementById('paymentCardNumber').value = '';
+        this.paymentOrderId = null;
+    }
+
+    // Étapes : formulaire de carte, authentification 3-D Secure, attente de confirmation
+    static showPaymentStep(step, errorMessage = null) {
+        document.getElementById('paymentForm').classList.toggle('hidden', step !== 'form');
+        document.getElementById('paymentChallenge').classList.toggle('hidden', step !== 'challenge');
+        document.getElementById('paymentPending').classList.toggle('hidden', step !== 'pending');
+        document.getElementById('paymentSubmitButton').disabled = false;
+
+        const errorElement = document.getElementById('paymentError');
+        errorElement.textContent = errorMessage || '';
+        errorElement.classList.toggle('hidden', !errorMessage);
+    }
+
+    static async submitPayment() {
+        const orderId = this.paymentOrderId;
+        if (!orderId) return;
+
+        document.getElementById('paymentSubmitButton').disabled = true;
+        try {
+            const response = await API.payOrder(orderId, {
+                cardNumber: document.getElementById('paymentCardNumber').value
+            });
+            await this.handlePayment(orderId, response.payment);
+        } catch (error) {
+            console.error('Erreur paiement:', error);
+            this.showPaymentStep('form', error.message || 'Erreur lors du paiement');
+        }
+    }
+
+    static async completePaymentChallenge(approve) {
+        const orderId = this.paymentOrderId;
+        if (!orderId) return;
+
+        try {
+            const response = await API.completePaymentChallenge(orderId, approve);
+            await this.handlePayment(orderId, response.payment);
+        } catch (error) {
+            console.error('Erreur authentification paiement:', error);
+            this.showPaymentStep('form', error.message || 'Erreur lors du paiement');
+        }
+    }
+
+    static async handlePayment(orderId, payment) {
+        if (payment.status === 'requires_action') {
+            this.showPaymentStep('challenge');
+            return;
+        }
+        if (payment.status === 'failed') {
+            this.showPaymentStep('form', `${payment.failureMessage || 'Paiement refusé'}. Vous pouvez réessayer avec une autre carte.`);
+            return;
         }
+
+        this.showPaymentStep('pending');
+        await this.waitForPayment(orderId);
+    }
+
+    // Attendre la confirmation du prestataire (webhook) en suivant le statut de la commande
+    static async waitForPayment(orderId) {
+        for (let attempt = 0; attempt < this.paymentPollAttempts; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, this.paymentPollDelay));
+            if (this.paymentOrderId !== orderId) return;
+
+            const { order } = await API.getOrder(orderId);
+            if (order.status === 'cancelled') {
+                this.closePayment();
+                UI.showNotification(`Commande ${order.order_number} annulée`, 'error');
+                Router.navigate(`/commandes/${orderId}`);
+                return;
+            }
+            if (order.status !== 'pending') {
+                this.closePayment();
+                UI.showNotification(`Commande ${order.order_number} payée avec succès!`, 'success');
+                Router.navigate(`/commandes/${orderId}`);
+                return;
+            }
+            if (order.payment && order.payment.status === 'failed') {
+                this.showPaymentStep('form', `${order.payment.failureMessage || 'Paiement refusé'}. Vous pouvez réessayer avec une autre carte.`);
+                return;
+            }
+        }
+
+        this.closePayment();
+        UI.showNotification('Paiement en cours de confirmation, consultez vos commandes dans quelques instants', 'info');
+        Router.navigate(`/commandes/${orderId}`);
     }
 }
 
 // ==================== FONCTIONS GLOBALES ====================
-function toggleFavorite(productId, name, price, brand, description, emoji) {
-    App.toggleFavorite(productId, name, price, brand, description, emoji);
+function closeCheckout() {
+    App.closeCheckout();
 }
 
-function addToCart(name, price) {
-    App.addToCart(name, price);
+function closePayment() {
+    App.closePayment();
 }
 
-async function removeFromCart(name) {
-    await App.removeFromCart(name);
+function toggleFavorite(productId) {
+    App.toggleFavorite(productId);
+}
+
+function addToCart(productId, size) {
+    App.addToCart(productId, size);
+}
+
+async function removeFromCart(productId, size) {
+    await App.removeFromCart(productId, size);
 }
 
 
 function navigateToAccueil() {
-    UI.showHomePage();
+    Router.navigate(Catalog.homeUrl());
     window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
 function navigateToNouveautes() {
-    UI.showHomePage();
+    Router.navigate(Catalog.homeUrl());
     const section = document.getElementById('nouveautes');
     if (section) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
 function navigateToMarques() {
-    UI.showHomePage();
+    Router.navigate(Catalog.homeUrl());
     const section = document.getElementById('marques');
     if (section) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
 function showHomePage() {
-    UI.showHomePage();
+    Router.navigate(Catalog.homeUrl());
+    window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
 function showFavorites() {
-    UI.showFavorites();
+    Router.navigate('/favoris');
+}
+
+function showOrders() {
+    Router.navigate('/commandes');
 }
 
 function showAdminPanel() {
-    UI.showAdminPanel();
+    Router.navigate('/admin');
 }
 
 function openLogin() {
@@ -999,6 +3898,22 @@ function switchToLogin() {
     UI.switchToLogin();
 }
 
+function openForgotPassword() {
+    UI.openForgotPassword();
+}
+
+function closeForgotPassword() {
+    UI.closeForgotPassword();
+}
+
+function closeResetPassword() {
+    UI.closeResetPassword();
+}
+
+function resendVerification() {
+    Auth.resendVerification();
+}
+
 function toggleCart() {
     UI.toggleCart();
 }
@@ -1029,7 +3944,7 @@ document.addEventListener('click', (e) => {
 });
 
 function showProfile() {
-    UI.showNotification('Page profil en développement', 'info');
+    Router.navigate('/profil');
 }
 
 function logout() {
@@ -1055,13 +3970,12 @@ async function handleLoginForm() {
     }
 
     try {
-        const result = await Auth.login(email, password);
-        if (result.success) {
-            UI.closeLogin();
-            UI.showNotification('Connexion réussie!', 'success');
-            await App.loadUserData();
-            App.updateFavoriteButtons();
-            App.updateCartDisplay();
+        const remember = document.getElementById('remember')?.checked || false;
+        const result = await Auth.login(email, password, remember);
+        if (result.twoFactorRequired) {
+            UI.showTwoFactorStep();
+        } else if (result.success) {
+            await completeLogin(result, 'Connexion réussie!');
         } else {
             if (errorDiv) {
                 errorDiv.textContent = result.message;
@@ -1077,6 +3991,94 @@ async function handleLoginForm() {
     }
 }
 
+async function completeLogin(result, message) {
+    UI.closeLogin();
+    UI.showNotification(message, 'success');
+    await App.loadUserData();
+    App.notifyCartMerge(result.cartMerge);
+    App.updateFavoriteButtons();
+    App.updateCartDisplay();
+}
+
+async function handleTwoFactorForm() {
+    const code = document.getElementById('loginTwoFactorCode')?.value.trim();
+    const errorDiv = document.getElementById('loginTwoFactorError');
+
+    if (!code) {
+        errorDiv.textContent = 'Code requis';
+        errorDiv.classList.remove('hidden');
+        return;
+    }
+
+    const result = await Auth.verifySecondFactor(UI.useRecoveryCode ? { recoveryCode: code } : { code });
+    if (result.success) {
+        await completeLogin(result, result.message);
+    } else if (result.restart) {
+        // Connexion expirée ou trop d'essais : retour au mot de passe
+        UI.cancelTwoFactor();
+        document.getElementById('loginError').textContent = result.message;
+        document.getElementById('loginError').classList.remove('hidden');
+    } else {
+        document.getElementById('loginTwoFactorCode').value = '';
+        errorDiv.textContent = result.message;
+        errorDiv.classList.remove('hidden');
+    }
+}
+
+async function handleForgotPasswordForm() {
+    const email = document.getElementById('forgotPasswordEmail')?.value.trim();
+    const errorDiv = document.getElementById('forgotPasswordError');
+    const successDiv = document.getElementById('forgotPasswordSuccess');
+    errorDiv.classList.add('hidden');
+    successDiv.classList.add('hidden');
+
+    if (!email) {
+        errorDiv.textContent = 'Email requis';
+        errorDiv.classList.remove('hidden');
+        return;
+    }
+
+    try {
+        const response = await API.forgotPassword(email);
+        successDiv.textContent = response.message;
+        successDiv.classList.remove('hidden');
+    } catch (error) {
+        console.error('Erreur mot de passe oublié:', error);
+        errorDiv.textContent = error.message || 'Erreur lors de la demande';
+        errorDiv.classList.remove('hidden');
+    }
+}
+
+async function handleResetPasswordForm() {
+    const password = document.getElementById('resetPassword')?.value;
+    const confirmation = document.getElementById('resetPasswordConfirm')?.value;
+    const errorDiv = document.getElementById('resetPasswordError');
+
+    const showError = (message) => {
+        errorDiv.textContent = message;
+        errorDiv.classList.remove('hidden');
+    };
+
+    if (!password || password.length < 8) {
+        showError('Le mot de passe doit contenir au moins 8 caractères');
+        return;
+    }
+    if (password !== confirmation) {
+        showError('Les mots de passe ne correspondent pas');
+        return;
+    }
+
+    try {
+        const response = await API.resetPassword(UI.resetToken, password);
+        UI.closeResetPassword();
+        UI.showNotification(response.message, 'success');
+        UI.openLogin();
+    } catch (error) {
+        console.error('Erreur réinitialisation mot de passe:', error);
+        showError(error.errors && error.errors.length ? error.errors[0].msg : error.message || 'Erreur lors de la réinitialisation');
+    }
+}
+
 async function handleSignupForm() {
     const formData = {
         email: document.getElementById('signupEmail')?.value,
@@ -1100,6 +4102,7 @@ async function handleSignupForm() {
             UI.closeSignup();
             UI.showNotification('Inscription réussie!', 'success');
             await App.loadUserData();
+            App.notifyCartMerge(result.cartMerge);
         } else {
             if (errorDiv) {
                 errorDiv.textContent = result.message;
@@ -1136,6 +4139,46 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    const loginTwoFactorForm = document.getElementById('loginTwoFactorForm');
+    if (loginTwoFactorForm) {
+        loginTwoFactorForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await handleTwoFactorForm();
+        });
+    }
+
+    const forgotPasswordForm = document.getElementById('forgotPasswordForm');
+    if (forgotPasswordForm) {
+        forgotPasswordForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await handleForgotPasswordForm();
+        });
+    }
+
+    const resetPasswordForm = document.getElementById('resetPasswordForm');
+    if (resetPasswordForm) {
+        resetPasswordForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await handleResetPasswordForm();
+        });
+    }
+
+    const checkoutForm = document.getElementById('checkoutForm');
+    if (checkoutForm) {
+        checkoutForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await App.submitCheckout();
+        });
+    }
+
+    const paymentForm = document.getElementById('paymentForm');
+    if (paymentForm) {
+        paymentForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await App.submitPayment();
+        });
+    }
+
     // Fermeture des dropdowns en cliquant ailleurs
     document.addEventListener('click', (e) => {
         const userMenu = document.getElementById('userMenu');
@@ -1146,6 +4189,28 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
 
+    // Fermeture des suggestions de recherche
+    document.addEventListener('click', (e) => {
+        const headerSearch = document.getElementById('headerSearch');
+        if (headerSearch && !headerSearch.contains(e.target)) {
+            Search.close();
+        }
+    });
+
+    // Liens internes : navigation sans rechargement de la page
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('a[data-route]');
+        if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+
+        e.preventDefault();
+        Router.navigate(link.getAttribute('href'));
+    });
+
+    // Boutons précédent / suivant du navigateur
+    window.addEventListener('popstate', () => {
+        Router.resolve();
+    });
+
     // Initialisation de l'application
     App.init();
 });
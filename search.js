@@ -0,0 +1,162 @@
+const { dbAll } = require('./database');
+const { productSlug } = require('./catalog');
+
+// Marqueurs de surlignage : remplacés par <mark> une fois le texte échappé
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// Découper la saisie comme le tokenizer unicode61 (minuscules, sans accents)
+const tokenize = (text) => {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .match(/[\p{L}\p{N}]+/gu) || [];
+};
+
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+const escapeHtml = (text) => {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+const toHighlightedHtml = (text) => {
+    return escapeHtml(text)
+        .split(HIGHLIGHT_START).join('<mark>')
+        .split(HIGHLIGHT_END).join('</mark>');
+};
+
+// Chaque mot devient un préfixe : "jord air" -> "jord"* "air"*
+const buildMatchQuery = (tokens) => tokens.map(token => `"${token}"*`).join(' ');
+
+// Vocabulaire des produits en vente, gardé en mémoire entre deux recherches. Les écritures sur les
+// produits l'invalident (invalidateSearchVocabulary) ; generation écarte un chargement devenu périmé.
+let vocabularyCache = null;
+let vocabularyGeneration = 0;
+
+const loadVocabulary = async () => {
+    const generation = vocabularyGeneration;
+    const rows = await dbAll(`
+        SELECT DISTINCT t.term 
+        FROM products_fts_terms t 
+        JOIN products p ON p.id = t.doc 
+        WHERE p.archived_at IS NULL
+    `);
+    const vocabulary = rows.map(row => row.term);
+    if (generation === vocabularyGeneration) {
+        vocabularyCache = vocabulary;
+    }
+    return vocabulary;
+};
+
+const getVocabulary = () => vocabularyCache || loadVocabulary();
+
+const invalidateSearchVocabulary = () => {
+    vocabularyCache = null;
+    vocabularyGeneration++;
+};
+
+// Remplacer les mots inconnus par le terme le plus proche du vocabulaire
+const correctTokens = async (tokens) => {
+    const vocabulary = await getVocabulary();
+    let corrected = false;
+
+    const result = tokens.map(token => {
+        if (vocabulary.some(term => term.startsWith(token))) {
+            return token;
+        }
+
+        const maxDistance = token.length <= 4 ? 1 : 2;
+        let best = null;
+        let bestDistance = Infinity;
+        for (const term of vocabulary) {
+            const distance = levenshtein(token, term);
+            if (distance < bestDistance) {
+                best = term;
+                bestDistance = distance;
+            }
+        }
+
+        if (best && bestDistance <= maxDistance) {
+            corrected = true;
+            return best;
+        }
+        return token;
+    });
+
+    return corrected ? result : null;
+};
+
+const runMatch = async (tokens, limit) => {
+    const rows = await dbAll(`
+        SELECT p.id, p.name, p.brand, p.price, p.image_emoji,
+               highlight(products_fts, 0, ?, ?) as name_highlight,
+               highlight(products_fts, 1, ?, ?) as brand_highlight,
+               snippet(products_fts, 2, ?, ?, '…', 12) as description_snippet
+        FROM products_fts 
+        JOIN products p ON p.id = products_fts.rowid 
+        WHERE products_fts MATCH ? AND p.archived_at IS NULL
+        ORDER BY bm25(products_fts, 10.0, 5.0, 1.0)
+        LIMIT ?
+    `, [
+        HIGHLIGHT_START, HIGHLIGHT_END,
+        HIGHLIGHT_START, HIGHLIGHT_END,
+        HIGHLIGHT_START, HIGHLIGHT_END,
+        buildMatchQuery(tokens), limit
+    ]);
+
+    return rows.map(row => ({
+        id: row.id,
+        slug: productSlug(row),
+        name: row.name,
+        brand: row.brand,
+        price: row.price,
+        image_emoji: row.image_emoji,
+        nameHtml: toHighlightedHtml(row.name_highlight),
+        brandHtml: toHighlightedHtml(row.brand_highlight),
+        snippetHtml: toHighlightedHtml(row.description_snippet)
+    }));
+};
+
+// Recherche classée par pertinence, avec correction si rien ne correspond
+const fullTextSearch = async (text, limit = 8) => {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) {
+        return { hits: [], correctedQuery: null };
+    }
+
+    let hits = await runMatch(tokens, limit);
+    let correctedQuery = null;
+
+    if (hits.length === 0) {
+        const corrected = await correctTokens(tokens);
+        if (corrected) {
+            correctedQuery = corrected.join(' ');
+            hits = await runMatch(corrected, limit);
+        }
+    }
+
+    return { hits, correctedQuery };
+};
+
+module.exports = {
+    tokenize,
+    fullTextSearch,
+    invalidateSearchVocabulary
+};
@@ -4,12 +4,51 @@ const session = require('express-session');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const csrf = require('csurf');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
 
 // Importations des modules
-const { initDatabase, dbAll, dbGet, dbRun } = require('./database');
+const { initDatabase, dbAll, dbGet, dbRun, dbTransaction } = require('./database');
 const AdminFunctions = require('./admin');
+const { ORDER_STATUSES, recordStatusChange, cancelPendingOrder, scheduleOrderExpiry } = require('./orders');
+const { PRODUCT_SORTS, MAX_PAGE_SIZE, searchProducts, getProduct, attachSlugs, getFacets } = require('./catalog');
+const { fullTextSearch } = require('./search');
+const { validateSizes, cartQuantityError } = require('./inventory');
+const { fromCents, priceCart, formatSummary } = require('./pricing');
+const { PROMOTION_TYPES, PROMOTION_SCOPES, findPromotion, promotionError, sessionPromotion } = require('./promotions');
+const { attachMaxQuantities, guestCartQuantity, getGuestCartItems, setGuestCartQuantity, mergeGuestCart } = require('./cart');
+const { getOrderPayment, publicPayment, payOrder, completeChallenge, handleWebhook } = require('./payments');
+const {
+    POSTAL_CODE_PATTERN, PHONE_PATTERN, getAddresses, getAddress, createAddress, updateAddress, deleteAddress,
+    addressSnapshot, parseAddressSnapshot
+} = require('./addresses');
+const {
+    userRestrictions,
+    publicUser,
+    getUserProfile,
+    sendVerificationEmail,
+    requestEmailChange,
+    confirmEmailChange,
+    cancelEmailChange,
+    deleteUserAccount
+} = require('./users');
+const { issueToken, findValidToken, consumeToken } = require('./tokens');
+const {
+    SESSION_TTL_MS, SQLiteSessionStore, regenerateSession, startUserSession, trackSessionClient, listUserSessions,
+    revokeUserSession, revokeUserSessions
+} = require('./sessions');
+const {
+    twoFactorRequired, getTwoFactorUser, getTwoFactorStatus, startEnrollment, confirmEnrollment, regenerateRecoveryCodes,
+    verifySecondFactor, consumeTotp, disableTwoFactor
+} = require('./totp');
+const { getLockout, recordLockedAttempt, recordFailedLogin, recordSuccessfulLogin } = require('./logins');
+const { appUrl, sendMail } = require('./mailer');
+const { passwordResetEmail } = require('./mailer/templates');
+const {
+    MAX_IMAGE_SIZE, MAX_IMAGES_PER_PRODUCT, ALLOWED_IMAGE_TYPES, detectImageType, attachImages
+} = require('./images');
 
 const app = express();
 
@@ -29,7 +68,15 @@ app.use(helmet({
     crossOriginEmbedderPolicy: false
 }));
 
-app.use(express.json({ limit: '10kb' }));
+app.use(express.json({
+    limit: '10kb',
+    // La signature des webhooks de paiement porte sur le corps brut
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Rate limiting
@@ -54,24 +101,77 @@ const authLimiter = rateLimit({
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 200,
-    message: { success: false, message: 'Trop de requêtes. Réessayez plus tard.' }
+    message: { success: false, message: 'Trop de requêtes. Réessayez plus tard.' },
+    // Les webhooks des prestataires arrivent de quelques IP seulement : un 429 ferait perdre des paiements
+    skip: (req) => req.path.startsWith('/payments/webhook/')
+});
+
+// Mot de passe oublié : compte aussi les demandes abouties (chaque demande envoie un email)
+const forgotPasswordLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: {
+        success: false,
+        message: 'Trop de demandes. Réessayez dans 15 minutes.'
+    },
+    keyGenerator: (req) => {
+        if (req.body && typeof req.body === 'object' && req.body.email) {
+            return req.ip + '-' + String(req.body.email).toLowerCase();
+        }
+
+        return req.ip + '-unknown';
+    }
+});
+
+const resetPasswordLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: {
+        success: false,
+        message: 'Trop de tentatives. Réessayez dans 15 minutes.'
+    }
+});
+
+const verifyEmailLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: {
+        success: false,
+        message: 'Trop de tentatives. Réessayez dans 15 minutes.'
+    }
+});
+
+// Renvoi du lien de vérification : par compte (appliqué après authenticateToken)
+const resendVerificationLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 3,
+    message: {
+        success: false,
+        message: 'Trop de demandes. Réessayez dans 15 minutes.'
+    },
+    keyGenerator: (req) => `user-${req.user.id}`
 });
 
 // Appliquer le rate limiting uniquement aux routes spécifiques
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/forgot-password', forgotPasswordLimiter);
+app.use('/api/auth/reset-password', resetPasswordLimiter);
+app.use('/api/auth/verify-email', verifyEmailLimiter);
+app.use('/api/auth/confirm-email-change', verifyEmailLimiter);
 app.use('/api', apiLimiter);
 
-// Session
+// Session (conservée en base ; « Se souvenir de moi » allonge la durée, voir sessions.js)
 app.use(session({
     secret: process.env.SESSION_SECRET || 'sneakzone_secret_key_2024_very_long_and_secure',
+    store: new SQLiteSessionStore(),
     resave: false,
     saveUninitialized: false,
     rolling: true,
     cookie: {
         secure: process.env.NODE_ENV === 'production',
         httpOnly: true,
-        maxAge: 30 * 60 * 1000,
+        maxAge: SESSION_TTL_MS,
         sameSite: 'lax'
     }
 }));
@@ -83,11 +183,16 @@ app.get('/api/csrf-token', csrfProtection, (req, res) => {
 });
 app.use('/api', (req, res, next) => {
     if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+    // Appels serveur à serveur des prestataires, authentifiés par leur signature
+    if (req.path.startsWith('/payments/webhook/')) return next();
     csrfProtection(req, res, next);
 });
 
 // Servir les fichiers statiques
 app.use(express.static(path.join(__dirname, 'public')));
+app.use('/uploads', express.static(path.join(__dirname, 'uploads'), { maxAge: '7d' }), (req, res) => {
+    res.status(404).end();
+});
 
 // ==================== MIDDLEWARE PERSONNALISÉ ====================
 
@@ -99,7 +204,7 @@ const authenticateToken = async (req, res, next) => {
 
     try {
         const user = await dbGet(
-            'SELECT id, email, first_name, last_name, role, is_active FROM users WHERE id = ?',
+            'SELECT id, email, first_name, last_name, role, is_active, email_verified_at, pending_email, totp_enabled_at, created_at FROM users WHERE id = ?',
             [req.session.userId]
         );
 
@@ -107,6 +212,7 @@ const authenticateToken = async (req, res, next) => {
             return res.status(401).json({ success: false, message: 'Utilisateur non trouvé ou désactivé' });
         }
 
+        trackSessionClient(req);
         req.user = user;
         next();
     } catch (error) {
@@ -115,11 +221,40 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
+// Authentification facultative : req.user vaut null pour un visiteur (panier invité)
+const optionalAuth = (req, res, next) => {
+    if (!req.session.userId) {
+        req.user = null;
+        return next();
+    }
+    authenticateToken(req, res, next);
+};
+
 // Vérification admin
 const requireAdmin = (req, res, next) => {
     if (req.user.role !== 'admin') {
         return res.status(403).json({ success: false, message: 'Accès administrateur requis' });
     }
+    // ADMIN_2FA_REQUIRED : pas d'accès au panel tant que la double authentification n'est pas activée
+    if (twoFactorRequired(req.user) && !req.user.totp_enabled_at) {
+        return res.status(403).json({
+            success: false,
+            code: 'TWO_FACTOR_REQUIRED',
+            message: 'Activez la double authentification depuis votre profil pour accéder à l\'administration'
+        });
+    }
+    next();
+};
+
+// Fonctionnalité réservée aux adresses email vérifiées (voir UNVERIFIED_EMAIL_RESTRICTIONS)
+const requireVerifiedEmail = (feature) => (req, res, next) => {
+    if (userRestrictions(req.user).includes(feature)) {
+        return res.status(403).json({
+            success: false,
+            code: 'EMAIL_NOT_VERIFIED',
+            message: 'Confirmez votre adresse email pour utiliser cette fonctionnalité'
+        });
+    }
     next();
 };
 
@@ -136,19 +271,263 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+// Un même nom de modèle ne peut exister qu'une fois par marque
+const checkUniqueProductName = async (req) => {
+    const productId = req.params.productId ? parseInt(req.params.productId) : 0;
+    let { name, brand } = req.body;
+
+    if (productId && (name === undefined || brand === undefined)) {
+        const current = await dbGet('SELECT name, brand FROM products WHERE id = ?', [productId]);
+        if (!current) return true;
+        name = name ?? current.name;
+        brand = brand ?? current.brand;
+    }
+
+    if (typeof name !== 'string' || typeof brand !== 'string') return true;
+
+    const existing = await dbGet(
+        'SELECT id FROM products WHERE LOWER(name) = LOWER(?) AND UPPER(brand) = UPPER(?) AND id != ?',
+        [name.trim(), brand.trim(), productId]
+    );
+    if (existing) {
+        throw new Error('Un produit portant ce nom existe déjà pour cette marque');
+    }
+    return true;
+};
+
+// Schéma produit : tous les champs sont requis à la création, optionnels en modification
+const productValidation = (isUpdate = false) => {
+    const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+    return [
+        field('name').isString().trim().isLength({ min: 2, max: 100 })
+            .withMessage('Le nom doit contenir entre 2 et 100 caractères')
+            .bail()
+            .custom((value, { req }) => checkUniqueProductName(req)),
+        field('brand').isString().trim().isLength({ min: 2, max: 50 })
+            .withMessage('La marque doit contenir entre 2 et 50 caractères')
+            .bail()
+            .custom((value, { req }) => (req.body.name === undefined ? checkUniqueProductName(req) : true)),
+        body('description').optional().isString().trim().isLength({ max: 1000 })
+            .withMessage('La description ne doit pas dépasser 1000 caractères'),
+        field('price').isFloat({ gt: 0, max: 100000 })
+            .withMessage('Le prix doit être supérieur à 0')
+            .bail()
+            .isDecimal({ decimal_digits: '0,2' })
+            .withMessage('Le prix doit avoir au plus deux décimales')
+            .toFloat(),
+        body('image_emoji').optional().isString().isLength({ max: 10 })
+            .withMessage('Emoji invalide'),
+        field('sizes').custom((value) => {
+            const error = validateSizes(value);
+            if (error) throw new Error(error);
+            return true;
+        }),
+        body('stock').optional().isInt({ min: 0, max: 10000 })
+            .withMessage('Le stock doit être un entier positif')
+            .toInt(),
+        body('max_per_order').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 99 })
+            .withMessage('La limite par commande doit être comprise entre 1 et 99'),
+        body('weight_grams').optional({ nullable: true, checkFalsy: true }).isInt({ min: 50, max: 10000 })
+            .withMessage('Le poids doit être compris entre 50 et 10000 grammes')
+    ];
+};
+
+// Un code promo est unique, sans tenir compte de la casse
+const checkUniquePromotionCode = async (code, { req }) => {
+    const promotionId = req.params.promotionId ? parseInt(req.params.promotionId) : 0;
+    const existing = await dbGet('SELECT id FROM promotions WHERE code = ? AND id != ?', [code, promotionId]);
+    if (existing) {
+        throw new Error('Ce code promo existe déjà');
+    }
+    return true;
+};
+
+// Schéma code promo : code, type et valeur requis à la création, le reste facultatif (vide = sans limite)
+const promotionValidation = (isUpdate = false) => {
+    const field = (name) => (isUpdate ? body(name).optional() : body(name));
+    const optional = (name) => body(name).optional({ nullable: true, checkFalsy: true });
+
+    return [
+        field('code').isString().trim().matches(/^[A-Za-z0-9_-]{3,30}$/)
+            .withMessage('Le code doit contenir 3 à 30 lettres, chiffres, tirets ou soulignés')
+            .bail()
+            .custom(checkUniquePromotionCode),
+        body('description').optional({ nullable: true }).isString().trim().isLength({ max: 255 })
+            .withMessage('La description ne doit pas dépasser 255 caractères'),
+        field('discount_type').isIn(PROMOTION_TYPES)
+            .withMessage('Type de remise invalide'),
+        field('discount_value').isFloat({ gt: 0, max: 100000 })
+            .withMessage('La remise doit être supérieure à 0')
+            .bail()
+            .isDecimal({ decimal_digits: '0,2' })
+            .withMessage('La remise doit avoir au plus deux décimales')
+            .toFloat(),
+        body('scope').optional().isIn(PROMOTION_SCOPES)
+            .withMessage('Portée invalide'),
+        optional('scope_brand').isString().trim().isLength({ min: 2, max: 50 })
+            .withMessage('Marque invalide'),
+        optional('scope_product_id').isInt({ min: 1 })
+            .withMessage('Produit invalide')
+            .bail()
+            .custom(async (value) => {
+                if (!(await dbGet('SELECT id FROM products WHERE id = ?', [value]))) {
+                    throw new Error('Produit non trouvé');
+                }
+                return true;
+            })
+            .toInt(),
+        optional('min_cart_amount').isFloat({ min: 0, max: 100000 })
+            .withMessage('Montant minimum invalide')
+            .toFloat(),
+        optional('max_uses').isInt({ min: 1 })
+            .withMessage('Le nombre d\'utilisations doit être un entier positif')
+            .toInt(),
+        optional('max_uses_per_user').isInt({ min: 1 })
+            .withMessage('Le nombre d\'utilisations par client doit être un entier positif')
+            .toInt(),
+        optional('starts_at').isISO8601()
+            .withMessage('Date de début invalide'),
+        optional('ends_at').isISO8601()
+            .withMessage('Date de fin invalide'),
+        body('is_active').optional().isBoolean().toBoolean()
+    ];
+};
+
+// Schéma adresse, à la racine du corps ou sous `prefix` (adresse saisie au moment de commander)
+const addressValidation = ({ prefix = '', isUpdate = false } = {}) => {
+    const field = (name) => {
+        const chain = body(`${prefix}${name}`);
+        return prefix ? chain.if(body(prefix.slice(0, -1)).exists()) : chain;
+    };
+    const required = (name) => (isUpdate ? field(name).optional() : field(name));
+    const optional = (name) => field(name).optional({ nullable: true, checkFalsy: true });
+    const text = (chain, { min = 0, max }, message) => chain
+        .isString().withMessage(message)
+        .bail()
+        .trim().isLength({ min, max }).withMessage(message);
+
+    return [
+        text(optional('label'), { max: 50 }, 'Le libellé ne doit pas dépasser 50 caractères'),
+        text(required('first_name'), { min: 2, max: 100 }, 'Prénom requis (2 caractères minimum)'),
+        text(required('last_name'), { min: 2, max: 100 }, 'Nom requis (2 caractères minimum)'),
+        text(optional('company'), { max: 100 }, 'La société ne doit pas dépasser 100 caractères'),
+        text(required('line1'), { min: 3, max: 255 }, 'Adresse requise'),
+        text(optional('line2'), { max: 255 }, 'Le complément d\'adresse ne doit pas dépasser 255 caractères'),
+        required('postal_code').isString().trim().matches(POSTAL_CODE_PATTERN)
+            .withMessage('Code postal invalide (5 chiffres)'),
+        text(required('city'), { min: 2, max: 100 }, 'Ville requise'),
+        required('phone').isString().trim().matches(PHONE_PATTERN)
+            .withMessage('Numéro de téléphone français invalide'),
+        field('is_default_shipping').optional().isBoolean().toBoolean(),
+        field('is_default_billing').optional().isBoolean().toBoolean()
+    ];
+};
+
+// Upload des photos produit (gardées en mémoire le temps d'être contrôlées et converties)
+const productImageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGES_PER_PRODUCT },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+            const error = new Error('Type de fichier refusé');
+            error.code = 'INVALID_IMAGE_TYPE';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+}).array('images', MAX_IMAGES_PER_PRODUCT);
+
+const handleImageUpload = (req, res, next) => {
+    productImageUpload(req, res, (err) => {
+        if (!err) return next();
+
+        const messages = {
+            LIMIT_FILE_SIZE: `Image trop volumineuse (${MAX_IMAGE_SIZE / 1024 / 1024} Mo maximum)`,
+            LIMIT_FILE_COUNT: `${MAX_IMAGES_PER_PRODUCT} photos maximum par envoi`,
+            LIMIT_UNEXPECTED_FILE: `${MAX_IMAGES_PER_PRODUCT} photos maximum par envoi`,
+            INVALID_IMAGE_TYPE: 'Formats acceptés : JPEG, PNG ou WebP'
+        };
+        res.status(400).json({ success: false, message: messages[err.code] || 'Envoi des photos impossible' });
+    });
+};
+
+// ==================== UTILITAIRES ====================
+
+// Numéro de commande lisible : SZ-AAAAMMJJ-XXXXXX
+const generateOrderNumber = () => {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+    return `SZ-${date}-${suffix}`;
+};
+
 // ==================== ROUTES PUBLIQUES ====================
 
-// Produits produits
-app.get('/api/products', async (req, res) => {
+// Produits : recherche, filtres, tri et pagination
+app.get('/api/products', [
+    query('q').optional().isString().trim().isLength({ max: 100 }),
+    query('brand').optional().isString().trim().isLength({ max: 200 }),
+    query('minPrice').optional().isFloat({ min: 0 }).toFloat(),
+    query('maxPrice').optional().isFloat({ min: 0 }).toFloat(),
+    query('size').optional().isFloat().toFloat(),
+    query('sort').optional().isIn(Object.keys(PRODUCT_SORTS)),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt()
+], handleValidationErrors, async (req, res) => {
     try {
-        const products = await dbAll('SELECT * FROM products');
-        res.json({ success: true, products });
+        const { q, brand, minPrice, maxPrice, size, sort, page, limit } = req.query;
+
+        const result = await searchProducts({
+            q,
+            brands: brand ? brand.split(',').map(item => item.trim()).filter(Boolean) : [],
+            minPrice,
+            maxPrice,
+            size,
+            sort,
+            page,
+            limit
+        });
+        const facets = await getFacets();
+
+        res.json({ success: true, ...result, facets });
     } catch (error) {
         console.error('Erreur produits:', error);
         res.status(500).json({ success: false, message: 'Erreur serveur' });
     }
 });
 
+// Fiche produit (/api/products/3 ou /api/products/nike-air-max-90-3)
+app.get('/api/products/:reference', [
+    param('reference').isString().isLength({ max: 300 }).matches(/^[a-z0-9-]+$/)
+], handleValidationErrors, async (req, res) => {
+    try {
+        const product = await getProduct(req.params.reference);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Produit non trouvé' });
+        }
+
+        res.json({ success: true, product });
+    } catch (error) {
+        console.error('Erreur fiche produit:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Recherche plein texte (autocomplétion)
+app.get('/api/search', [
+    query('q').isString().trim().isLength({ min: 1, max: 100 }),
+    query('limit').optional().isInt({ min: 1, max: 20 }).toInt()
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { q, limit } = req.query;
+        const result = await fullTextSearch(q, limit);
+        res.json({ success: true, query: q, ...result });
+    } catch (error) {
+        console.error('Erreur recherche:', error);
+        res.status(500).json({ success: false, message: 'Erreur recherche' });
+    }
+});
+
 // ==================== ROUTES AUTHENTIFICATION ====================
 
 // Inscription
@@ -177,24 +556,20 @@ app.post('/api/auth/register', [
         );
 
         // Connexion automatique
-        req.session.userId = result.id;
+        await startUserSession(req, result.id);
+        const cartMerge = await mergeGuestCart(result.id, req.session);
 
         // Récupérer l'utilisateur créé
-        const newUser = await dbGet(
-            'SELECT id, email, first_name, last_name, role FROM users WHERE id = ?',
-            [result.id]
-        );
+        const newUser = await getUserProfile(result.id);
+        // Premier appareil connu du compte (les suivants seront signalés comme nouveaux)
+        await recordSuccessfulLogin(req, newUser);
+        sendVerificationEmail(newUser).catch(error => console.error('Erreur envoi email vérification:', error));
 
         res.json({
             success: true,
             message: 'Compte créé avec succès',
-            user: {
-                id: newUser.id,
-                email: newUser.email,
-                firstName: newUser.first_name,
-                lastName: newUser.last_name,
-                role: newUser.role
-            }
+            user: publicUser(newUser),
+            cartMerge
         });
 
     } catch (error) {
@@ -203,44 +578,84 @@ app.post('/api/auth/register', [
     }
 });
 
+// Délai pour saisir le code de double authentification après le mot de passe
+const PENDING_LOGIN_TTL_MS = 5 * 60 * 1000;
+const MAX_SECOND_FACTOR_ATTEMPTS = 5;
+
+// Compte verrouillé après trop d'échecs (voir logins.js) : réponse 429 avec le délai restant
+const sendLockedResponse = (res, lockout) => {
+    const retryAfter = Math.ceil((lockout.lockedUntil.getTime() - Date.now()) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        code: 'ACCOUNT_LOCKED',
+        message: `Trop de tentatives échouées. Réessayez dans ${Math.ceil(retryAfter / 60)} minute(s).`,
+        retryAfter
+    });
+};
+
 // Connexion
 app.post('/api/auth/login', [
     body('email').isEmail().normalizeEmail(),
-    body('password').notEmpty()
+    body('password').notEmpty(),
+    body('remember').optional().isBoolean().toBoolean()
 ], handleValidationErrors, async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { email, password, remember } = req.body;
 
         const user = await dbGet(
-            'SELECT id, email, password, first_name, last_name, role, is_active FROM users WHERE email = ?',
+            'SELECT id, email, password, first_name, last_name, role, is_active, email_verified_at, pending_email, totp_enabled_at, created_at FROM users WHERE email = ?',
             [email]
         );
 
+        // Verrou vérifié avant le mot de passe, y compris pour un email inconnu
+        const lockout = await getLockout(req, email);
+        if (lockout) {
+            await recordLockedAttempt(req, email, user);
+            return sendLockedResponse(res, lockout);
+        }
+
         if (!user) {
+            await recordFailedLogin(req, email, null, 'unknown_account');
             return res.status(401).json({ success: false, message: 'Email ou mot de passe incorrect' });
         }
 
         if (!user.is_active) {
+            await recordFailedLogin(req, email, user, 'inactive');
             return res.status(401).json({ success: false, message: 'Compte désactivé' });
         }
 
         const isPasswordValid = await bcrypt.compare(password, user.password);
         if (!isPasswordValid) {
+            await recordFailedLogin(req, email, user, 'password');
             return res.status(401).json({ success: false, message: 'Email ou mot de passe incorrect' });
         }
 
-        req.session.userId = user.id;
+        // Double authentification : la session n'est ouverte qu'après le code (POST /api/auth/login/2fa)
+        if (user.totp_enabled_at) {
+            await regenerateSession(req);
+            req.session.pendingLogin = {
+                userId: user.id,
+                remember: remember === true,
+                expiresAt: Date.now() + PENDING_LOGIN_TTL_MS,
+                attempts: 0
+            };
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                message: 'Saisissez le code de votre application d\'authentification'
+            });
+        }
+
+        await recordSuccessfulLogin(req, user);
+        await startUserSession(req, user.id, { remember: remember === true });
+        const cartMerge = await mergeGuestCart(user.id, req.session);
 
         res.json({
             success: true,
             message: 'Connexion réussie',
-            user: {
-                id: user.id,
-                email: user.email,
-                firstName: user.first_name,
-                lastName: user.last_name,
-                role: user.role
-            }
+            user: publicUser(user),
+            cartMerge
         });
 
     } catch (error) {
@@ -249,9 +664,197 @@ app.post('/api/auth/login', [
     }
 });
 
+// Seconde étape de connexion : code TOTP ou code de secours
+app.post('/api/auth/login/2fa', [
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString(),
+    body().custom(value => Boolean(value && (value.code || value.recoveryCode))).withMessage('Code requis')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const pending = req.session.pendingLogin;
+        if (!pending || pending.expiresAt < Date.now()) {
+            delete req.session.pendingLogin;
+            return res.status(401).json({
+                success: false,
+                code: 'LOGIN_EXPIRED',
+                message: 'Connexion expirée, saisissez à nouveau votre mot de passe'
+            });
+        }
+
+        const user = await getTwoFactorUser(pending.userId);
+        if (!user || !user.is_active || !user.totp_enabled_at) {
+            delete req.session.pendingLogin;
+            return res.status(401).json({
+                success: false,
+                code: 'LOGIN_EXPIRED',
+                message: 'Connexion expirée, saisissez à nouveau votre mot de passe'
+            });
+        }
+
+        const lockout = await getLockout(req, user.email);
+        if (lockout) {
+            delete req.session.pendingLogin;
+            await recordLockedAttempt(req, user.email, user);
+            return sendLockedResponse(res, lockout);
+        }
+
+        if (!(await verifySecondFactor(user, req.body))) {
+            await recordFailedLogin(req, user.email, user, 'two_factor');
+            pending.attempts += 1;
+            if (pending.attempts >= MAX_SECOND_FACTOR_ATTEMPTS) {
+                delete req.session.pendingLogin;
+                return res.status(401).json({
+                    success: false,
+                    code: 'LOGIN_EXPIRED',
+                    message: 'Trop de codes erronés, saisissez à nouveau votre mot de passe'
+                });
+            }
+            return res.status(401).json({ success: false, message: 'Code invalide' });
+        }
+
+        delete req.session.pendingLogin;
+        await recordSuccessfulLogin(req, user);
+        await startUserSession(req, user.id, { remember: pending.remember });
+        const cartMerge = await mergeGuestCart(user.id, req.session);
+        const status = await getTwoFactorStatus(user);
+
+        res.json({
+            success: true,
+            message: req.body.recoveryCode
+                ? `Connexion réussie, il vous reste ${status.recoveryCodesRemaining} code(s) de secours`
+                : 'Connexion réussie',
+            user: publicUser(await getUserProfile(user.id)),
+            cartMerge
+        });
+    } catch (error) {
+        console.error('Erreur double authentification:', error);
+        res.status(500).json({ success: false, message: 'Erreur connexion' });
+    }
+});
+
+// Durée de validité d'un lien de réinitialisation
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+// Envoyer un lien de réinitialisation (révoque les liens précédents)
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+    return sendMail({
+        to: user.email,
+        ...passwordResetEmail({
+            firstName: user.first_name,
+            link: appUrl(`/reinitialiser-mot-de-passe?token=${token}`),
+            expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+        })
+    });
+};
+
+// Demande de réinitialisation pour un email : recherche du compte, jeton et envoi
+const requestPasswordReset = async (email) => {
+    const user = await dbGet('SELECT id, email, first_name, is_active FROM users WHERE email = ?', [email]);
+    if (user && user.is_active) {
+        await sendPasswordResetEmail(user);
+    }
+};
+
+// Mot de passe oublié : même réponse que le compte existe ou non (pas d'énumération des emails).
+// Tout le traitement se fait sans attendre : le temps de réponse ne révèle pas l'existence du compte.
+app.post('/api/auth/forgot-password', [
+    body('email').isEmail().withMessage('Email invalide').normalizeEmail()
+], handleValidationErrors, (req, res) => {
+    requestPasswordReset(req.body.email).catch(error => console.error('Erreur mot de passe oublié:', error));
+
+    res.json({
+        success: true,
+        message: 'Si un compte existe pour cette adresse, un email de réinitialisation vient d\'être envoyé'
+    });
+});
+
+// Nouveau mot de passe à partir du lien reçu par email (jeton à usage unique)
+app.post('/api/auth/reset-password', [
+    body('token').isString().notEmpty().withMessage('Lien de réinitialisation invalide'),
+    body('password').isLength({ min: 8 }).withMessage('Le mot de passe doit contenir au moins 8 caractères')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const token = await findValidToken(req.body.token, 'password_reset');
+        if (!token || !(await consumeToken(token.id))) {
+            return res.status(400).json({ success: false, message: 'Lien de réinitialisation invalide ou expiré' });
+        }
+
+        const hashedPassword = await bcrypt.hash(req.body.password, 12);
+        await dbRun('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, token.user_id]);
+        // Quiconque connaissait l'ancien mot de passe est déconnecté, et son changement d'adresse annulé
+        await revokeUserSessions(token.user_id);
+        await cancelEmailChange(token.user_id);
+
+        res.json({ success: true, message: 'Mot de passe réinitialisé, vous pouvez vous connecter' });
+    } catch (error) {
+        console.error('Erreur réinitialisation mot de passe:', error);
+        res.status(500).json({ success: false, message: 'Erreur réinitialisation mot de passe' });
+    }
+});
+
+// Confirmation de l'adresse email à partir du lien reçu (pas besoin d'être connecté)
+app.post('/api/auth/verify-email', [
+    body('token').isString().notEmpty().withMessage('Lien de vérification invalide')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const token = await findValidToken(req.body.token, 'email_verification');
+        if (!token || !(await consumeToken(token.id))) {
+            return res.status(400).json({ success: false, message: 'Lien de vérification invalide ou expiré' });
+        }
+
+        await dbRun(
+            'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ? AND email_verified_at IS NULL',
+            [token.user_id]
+        );
+
+        res.json({ success: true, message: 'Adresse email confirmée' });
+    } catch (error) {
+        console.error('Erreur vérification email:', error);
+        res.status(500).json({ success: false, message: 'Erreur vérification email' });
+    }
+});
+
+// Confirmation d'un changement d'adresse à partir du lien reçu sur la nouvelle adresse
+app.post('/api/auth/confirm-email-change', [
+    body('token').isString().notEmpty().withMessage('Lien de confirmation invalide')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const token = await findValidToken(req.body.token, 'email_change');
+        if (!token || !(await consumeToken(token.id))) {
+            return res.status(400).json({ success: false, message: 'Lien de confirmation invalide ou expiré' });
+        }
+
+        const email = await confirmEmailChange(token.user_id);
+        if (!email) {
+            return res.status(400).json({ success: false, message: 'Cette adresse email n\'est plus disponible' });
+        }
+
+        res.json({ success: true, message: `Adresse email modifiée : ${email}` });
+    } catch (error) {
+        console.error('Erreur confirmation changement email:', error);
+        res.status(500).json({ success: false, message: 'Erreur confirmation changement email' });
+    }
+});
+
+// Renvoyer le lien de vérification (l'ancien lien est révoqué)
+app.post('/api/auth/resend-verification', authenticateToken, resendVerificationLimiter, async (req, res) => {
+    try {
+        if (req.user.email_verified_at) {
+            return res.status(400).json({ success: false, message: 'Votre adresse email est déjà confirmée' });
+        }
+
+        await sendVerificationEmail(req.user);
+        res.json({ success: true, message: `Un nouveau lien de vérification a été envoyé à ${req.user.email}` });
+    } catch (error) {
+        console.error('Erreur renvoi vérification:', error);
+        res.status(500).json({ success: false, message: 'Erreur envoi du lien de vérification' });
+    }
+});
+
 // Vérification session
 app.get('/api/auth/verify', authenticateToken, (req, res) => {
-    res.json({ success: true, user: req.user });
+    res.json({ success: true, user: publicUser(req.user) });
 });
 
 // Déconnexion
@@ -277,121 +880,952 @@ app.post('/api/auth/logout', (req, res) => {
 
 // ==================== ROUTES UTILISATEUR ====================
 
-// Favoris
-app.get('/api/users/favorites', authenticateToken, async (req, res) => {
-    try {
-        const favorites = await dbAll(`
-            SELECT p.*, f.created_at as favorited_at 
-            FROM favorites f 
-            JOIN products p ON f.product_id = p.id 
-            WHERE f.user_id = ?
-            ORDER BY f.created_at DESC
-        `, [req.user.id]);
+// Vérifier le mot de passe actuel avant une opération sensible (réponse 400 sur le champ `field`)
+const checkCurrentPassword = async (req, res, field) => {
+    const { password } = await dbGet('SELECT password FROM users WHERE id = ?', [req.user.id]);
+    if (await bcrypt.compare(req.body[field], password)) {
+        return true;
+    }
 
-        res.json({ success: true, favorites });
+    const message = 'Mot de passe incorrect';
+    res.status(400).json({ success: false, message, errors: [{ param: field, msg: message }] });
+    return false;
+};
+
+// Profil
+app.get('/api/users/me', authenticateToken, async (req, res) => {
+    try {
+        const user = await getUserProfile(req.user.id);
+        res.json({ success: true, user: publicUser(user) });
     } catch (error) {
-        console.error('Erreur favoris:', error);
-        res.status(500).json({ success: false, message: 'Erreur récupération favoris' });
+        console.error('Erreur profil:', error);
+        res.status(500).json({ success: false, message: 'Erreur récupération profil' });
     }
 });
 
-// Favoris
-app.post('/api/users/favorites/:productName', authenticateToken, async (req, res) => {
+app.put('/api/users/me', authenticateToken, [
+    body('firstName').isString().trim().isLength({ min: 2, max: 50 }).withMessage('Prénom requis (2 à 50 caractères)'),
+    body('lastName').isString().trim().isLength({ min: 2, max: 50 }).withMessage('Nom requis (2 à 50 caractères)')
+], handleValidationErrors, async (req, res) => {
     try {
-        const { productName } = req.params;
-        const decodedProductName = decodeURIComponent(productName);
-
-        const product = await dbGet('SELECT id FROM products WHERE name = ?', [decodedProductName]);
-        if (!product) {
-            return res.status(404).json({ success: false, message: 'Produit non trouvé' });
-        }
-
-        const existingFavorite = await dbGet(
-            'SELECT id FROM favorites WHERE user_id = ? AND product_id = ?',
-            [req.user.id, product.id]
+        await dbRun(
+            'UPDATE users SET first_name = ?, last_name = ? WHERE id = ?',
+            [req.body.firstName, req.body.lastName, req.user.id]
         );
-
-        if (existingFavorite) {
-            await dbRun('DELETE FROM favorites WHERE id = ?', [existingFavorite.id]);
-            res.json({ success: true, message: 'Produit retiré des favoris', isFavorite: false });
-        } else {
-            await dbRun('INSERT INTO favorites (user_id, product_id) VALUES (?, ?)', [req.user.id, product.id]);
-            res.json({ success: true, message: 'Produit ajouté aux favoris', isFavorite: true });
-        }
+        const user = await getUserProfile(req.user.id);
+        res.json({ success: true, message: 'Profil mis à jour', user: publicUser(user) });
     } catch (error) {
-        console.error('Erreur toggle favoris:', error);
-        res.status(500).json({ success: false, message: 'Erreur gestion favoris' });
+        console.error('Erreur modification profil:', error);
+        res.status(500).json({ success: false, message: 'Erreur modification profil' });
     }
 });
 
-// Panier
-app.get('/api/users/cart', authenticateToken, async (req, res) => {
+app.put('/api/users/me/password', authenticateToken, [
+    body('currentPassword').notEmpty().withMessage('Mot de passe actuel requis'),
+    body('newPassword').isLength({ min: 8 }).withMessage('Le nouveau mot de passe doit contenir au moins 8 caractères')
+        .bail()
+        .custom((value, { req }) => value !== req.body.currentPassword)
+        .withMessage('Le nouveau mot de passe doit être différent de l\'actuel')
+], handleValidationErrors, async (req, res) => {
     try {
-        const cartItems = await dbAll(`
-            SELECT p.*, c.quantity 
-            FROM cart_items c 
-            JOIN products p ON c.product_id = p.id 
-            WHERE c.user_id = ?
-        `, [req.user.id]);
+        if (!(await checkCurrentPassword(req, res, 'currentPassword'))) return;
 
-        res.json({ success: true, cartItems });
+        const hashedPassword = await bcrypt.hash(req.body.newPassword, 12);
+        await dbRun(
+            'UPDATE users SET password = ? WHERE id = ?',
+            [hashedPassword, req.user.id]
+        );
+        // Les autres appareils devront se reconnecter avec le nouveau mot de passe
+        const revoked = await revokeUserSessions(req.user.id, req.sessionID);
+        res.json({
+            success: true,
+            message: revoked > 0 ? `Mot de passe modifié, ${revoked} autre(s) session(s) déconnectée(s)` : 'Mot de passe modifié'
+        });
     } catch (error) {
-        console.error('Erreur panier:', error);
-        res.status(500).json({ success: false, message: 'Erreur récupération panier' });
+        console.error('Erreur changement mot de passe:', error);
+        res.status(500).json({ success: false, message: 'Erreur changement mot de passe' });
     }
 });
 
-// Panier
-app.post('/api/users/cart/:productName', authenticateToken, async (req, res) => {
+app.put('/api/users/me/email', authenticateToken, [
+    body('email').isEmail().withMessage('Email invalide').normalizeEmail(),
+    body('password').notEmpty().withMessage('Mot de passe requis')
+], handleValidationErrors, async (req, res) => {
     try {
-        const { productName } = req.params;
-        const decodedProductName = decodeURIComponent(productName);
+        if (!(await checkCurrentPassword(req, res, 'password'))) return;
 
-        const product = await dbGet('SELECT id FROM products WHERE name = ?', [decodedProductName]);
-        if (!product) {
-            return res.status(404).json({ success: false, message: 'Produit non trouvé' });
+        const { email } = req.body;
+        if (email === req.user.email) {
+            return res.status(400).json({ success: false, message: 'C\'est déjà votre adresse email' });
         }
-
-        const existingItem = await dbGet(
-            'SELECT id, quantity FROM cart_items WHERE user_id = ? AND product_id = ?',
-            [req.user.id, product.id]
-        );
-
-        if (existingItem) {
-            await dbRun('UPDATE cart_items SET quantity = quantity + 1 WHERE id = ?', [existingItem.id]);
-        } else {
-            await dbRun('INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, 1)', [req.user.id, product.id]);
+        if (await dbGet('SELECT id FROM users WHERE email = ? AND id != ?', [email, req.user.id])) {
+            return res.status(400).json({ success: false, message: 'Un compte avec cet email existe déjà' });
         }
 
-        res.json({ success: true, message: 'Produit ajouté au panier' });
+        // L'adresse n'est remplacée qu'une fois le lien envoyé à la nouvelle adresse confirmé
+        await requestEmailChange(req.user, email);
+        const user = await getUserProfile(req.user.id);
+
+        res.json({
+            success: true,
+            message: `Un lien de confirmation a été envoyé à ${email}, votre adresse actuelle reste active d'ici là`,
+            user: publicUser(user)
+        });
     } catch (error) {
-        console.error('Erreur ajout panier:', error);
-        res.status(500).json({ success: false, message: 'Erreur ajout panier' });
+        console.error('Erreur changement email:', error);
+        res.status(500).json({ success: false, message: 'Erreur changement email' });
     }
 });
 
-
-// Suppression panier
-app.delete('/api/users/cart/:productName', authenticateToken, async (req, res) => {
+// Sessions actives (appareil, IP, dernière activité)
+app.get('/api/users/me/sessions', authenticateToken, async (req, res) => {
     try {
-        const { productName } = req.params;
-        const decodedProductName = decodeURIComponent(productName);
+        const sessions = await listUserSessions(req.user.id, req.sessionID);
+        res.json({ success: true, sessions });
+    } catch (error) {
+        console.error('Erreur sessions:', error);
+        res.status(500).json({ success: false, message: 'Erreur récupération sessions' });
+    }
+});
 
-        const product = await dbGet('SELECT id FROM products WHERE name = ?', [decodedProductName]);
-        if (!product) {
-            return res.status(404).json({ success: false, message: 'Produit non trouvé' });
+// Déconnecter un autre appareil
+app.delete('/api/users/me/sessions/:sessionId', authenticateToken, [
+    param('sessionId').isInt({ min: 1 }).toInt()
+], handleValidationErrors, async (req, res) => {
+    try {
+        if (!(await revokeUserSession(req.user.id, req.params.sessionId, req.sessionID))) {
+            return res.status(404).json({ success: false, message: 'Session non trouvée' });
         }
+        res.json({ success: true, message: 'Session déconnectée' });
+    } catch (error) {
+        console.error('Erreur révocation session:', error);
+        res.status(500).json({ success: false, message: 'Erreur révocation session' });
+    }
+});
 
-        await dbRun('DELETE FROM cart_items WHERE user_id = ? AND product_id = ?', [req.user.id, product.id]);
+// Se déconnecter partout, y compris sur cet appareil
+app.delete('/api/users/me/sessions', authenticateToken, async (req, res) => {
+    try {
+        await revokeUserSessions(req.user.id);
 
-        res.json({ success: true, message: 'Produit retiré du panier' });
+        req.session.destroy((err) => {
+            if (err) {
+                console.error('Erreur destruction session:', err);
+            }
+            res.clearCookie('connect.sid');
+            res.json({ success: true, message: 'Vous avez été déconnecté de tous vos appareils' });
+        });
     } catch (error) {
-        console.error('Erreur suppression panier:', error);
-        res.status(500).json({ success: false, message: 'Erreur suppression panier' });
+        console.error('Erreur déconnexion globale:', error);
+        res.status(500).json({ success: false, message: 'Erreur déconnexion' });
     }
 });
 
-// ==================== ROUTES ADMIN ====================
+// Double authentification : état, activation en deux temps (QR code puis premier code), codes de secours
+app.get('/api/users/me/2fa', authenticateToken, async (req, res) => {
+    try {
+        res.json({ success: true, twoFactor: await getTwoFactorStatus(req.user) });
+    } catch (error) {
+        console.error('Erreur état 2FA:', error);
+        res.status(500).json({ success: false, message: 'Erreur récupération double authentification' });
+    }
+});
+
+app.post('/api/users/me/2fa/setup', authenticateToken, [
+    body('password').notEmpty().withMessage('Mot de passe requis')
+], handleValidationErrors, async (req, res) => {
+    try {
+        if (req.user.totp_enabled_at) {
+            return res.status(400).json({ success: false, message: 'La double authentification est déjà activée' });
+        }
+        if (!(await checkCurrentPassword(req, res, 'password'))) return;
+
+        const enrollment = await startEnrollment(req.user);
+        res.json({ success: true, ...enrollment });
+    } catch (error) {
+        console.error('Erreur préparation 2FA:', error);
+        res.status(500).json({ success: false, message: 'Erreur préparation double authentification' });
+    }
+});
+
+app.post('/api/users/me/2fa/enable', authenticateToken, [
+    body('code').isString().notEmpty().withMessage('Code requis')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const user = await getTwoFactorUser(req.user.id);
+        if (user.totp_enabled_at) {
+            return res.status(400).json({ success: false, message: 'La double authentification est déjà activée' });
+        }
+        if (!user.totp_secret) {
+            return res.status(400).json({ success: false, message: 'Scannez d\'abord le QR code' });
+        }
+
+        const recoveryCodes = await confirmEnrollment(user, req.body.code);
+        if (!recoveryCodes) {
+            const message = 'Code invalide';
+            return res.status(400).json({ success: false, message, errors: [{ param: 'code', msg: message }] });
+        }
+
+        // Les sessions ouvertes sans second facteur sont fermées
+        await revokeUserSessions(req.user.id, req.sessionID);
+        res.json({ success: true, message: 'Double authentification activée', recoveryCodes });
+    } catch (error) {
+        console.error('Erreur activation 2FA:', error);
+        res.status(500).json({ success: false, message: 'Erreur activation double authentification' });
+    }
+});
+
+app.post('/api/users/me/2fa/recovery-codes', authenticateToken, [
+    body('password').notEmpty().withMessage('Mot de passe requis')
+], handleValidationErrors, async (req, res) => {
+    try {
+        if (!req.user.totp_enabled_at) {
+            return res.status(400).json({ success: false, message: 'La double authentification n\'est pas activée' });
+        }
+        if (!(await checkCurrentPassword(req, res, 'password'))) return;
+
+        const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+        res.json({ success: true, message: 'Nouveaux codes de secours générés, les anciens ne sont plus valables', recoveryCodes });
+    } catch (error) {
+        console.error('Erreur codes de secours:', error);
+        res.status(500).json({ success: false, message: 'Erreur génération codes de secours' });
+    }
+});
+
+app.delete('/api/users/me/2fa', authenticateToken, [
+    body('password').notEmpty().withMessage('Mot de passe requis'),
+    body('code').isString().notEmpty().withMessage('Code requis')
+], handleValidationErrors, async (req, res) => {
+    try {
+        if (twoFactorRequired(req.user)) {
+            return res.status(403).json({ success: false, message: 'La double authentification est obligatoire pour les administrateurs' });
+        }
+        if (!req.user.totp_enabled_at) {
+            return res.status(400).json({ success: false, message: 'La double authentification n\'est pas activée' });
+        }
+        if (!(await checkCurrentPassword(req, res, 'password'))) return;
+
+        if (!(await consumeTotp(await getTwoFactorUser(req.user.id), req.body.code))) {
+            const message = 'Code invalide';
+            return res.status(400).json({ success: false, message, errors: [{ param: 'code', msg: message }] });
+        }
+
+        await disableTwoFactor(req.user.id);
+        res.json({ success: true, message: 'Double authentification désactivée' });
+    } catch (error) {
+        console.error('Erreur désactivation 2FA:', error);
+        res.status(500).json({ success: false, message: 'Erreur désactivation double authentification' });
+    }
+});
+
+// Supprimer son compte (mot de passe requis) : favoris, panier et adresses sont supprimés avec lui
+app.delete('/api/users/me', authenticateToken, [
+    body('password').notEmpty().withMessage('Mot de passe requis')
+], handleValidationErrors, async (req, res) => {
+    try {
+        if (req.user.role === 'admin') {
+            return res.status(403).json({ success: false, message: 'Un compte administrateur ne peut pas être supprimé depuis le profil' });
+        }
+        if (!(await checkCurrentPassword(req, res, 'password'))) return;
+
+        await deleteUserAccount(req.user.id);
+
+        req.session.destroy((err) => {
+            if (err) {
+                console.error('Erreur destruction session:', err);
+            }
+            res.clearCookie('connect.sid');
+            res.json({ success: true, message: 'Compte supprimé' });
+        });
+    } catch (error) {
+        console.error('Erreur suppression compte:', error);
+        res.status(500).json({ success: false, message: 'Erreur suppression compte' });
+    }
+});
+
+// Favoris
+app.get('/api/users/favorites', authenticateToken, async (req, res) => {
+    try {
+        const favorites = await dbAll(`
+            SELECT p.*, f.created_at as favorited_at 
+            FROM favorites f 
+            JOIN products p ON f.product_id = p.id 
+            WHERE f.user_id = ?
+            ORDER BY f.created_at DESC
+        `, [req.user.id]);
+
+        attachSlugs(favorites);
+        await attachImages(favorites);
+
+        res.json({ success: true, favorites });
+    } catch (error) {
+        console.error('Erreur favoris:', error);
+        res.status(500).json({ success: false, message: 'Erreur récupération favoris' });
+    }
+});
+
+// Carnet d'adresses
+app.get('/api/users/addresses', authenticateToken, async (req, res) => {
+    try {
+        const addresses = await getAddresses(req.user.id);
+        res.json({ success: true, addresses });
+    } catch (error) {
+        console.error('Erreur carnet d\'adresses:', error);
+        res.status(500).json({ success: false, message: 'Erreur récupération adresses' });
+    }
+});
+
+app.post('/api/users/addresses', authenticateToken, requireVerifiedEmail('addresses'), addressValidation(), handleValidationErrors, async (req, res) => {
+    try {
+        const address = await createAddress(req.user.id, req.body);
+        res.status(201).json({ success: true, message: 'Adresse ajoutée', address });
+    } catch (error) {
+        console.error('Erreur ajout adresse:', error);
+        res.status(500).json({ success: false, message: 'Erreur ajout adresse' });
+    }
+});
+
+app.put('/api/users/addresses/:addressId', authenticateToken, requireVerifiedEmail('addresses'), [
+    param('addressId').isInt({ min: 1 }),
+    ...addressValidation({ isUpdate: true })
+], handleValidationErrors, async (req, res) => {
+    try {
+        const address = await updateAddress(req.user.id, req.params.addressId, req.body);
+        if (!address) {
+            return res.status(404).json({ success: false, message: 'Adresse non trouvée' });
+        }
+        res.json({ success: true, message: 'Adresse modifiée', address });
+    } catch (error) {
+        console.error('Erreur modification adresse:', error);
+        res.status(500).json({ success: false, message: 'Erreur modification adresse' });
+    }
+});
+
+app.delete('/api/users/addresses/:addressId', authenticateToken, [
+    param('addressId').isInt({ min: 1 })
+], handleValidationErrors, async (req, res) => {
+    try {
+        if (!(await deleteAddress(req.user.id, req.params.addressId))) {
+            return res.status(404).json({ success: false, message: 'Adresse non trouvée' });
+        }
+        res.json({ success: true, message: 'Adresse supprimée' });
+    } catch (error) {
+        console.error('Erreur suppression adresse:', error);
+        res.status(500).json({ success: false, message: 'Erreur suppression adresse' });
+    }
+});
+
+// Produit ciblé par son nom (routes historiques) ou par son identifiant (/api/v2)
+const loadProductByName = async (req, res, next) => {
+    try {
+        const product = await dbGet(
+            'SELECT id, archived_at, max_per_order FROM products WHERE name = ?',
+            [decodeURIComponent(req.params.productName)]
+        );
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Produit non trouvé' });
+        }
+        req.product = product;
+        next();
+    } catch (error) {
+        console.error('Erreur recherche produit:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+};
+
+const loadProductById = async (req, res, next) => {
+    try {
+        const product = await dbGet('SELECT id, archived_at, max_per_order FROM products WHERE id = ?', [req.params.productId]);
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Produit non trouvé' });
+        }
+        req.product = product;
+        next();
+    } catch (error) {
+        console.error('Erreur recherche produit:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+};
+
+const productIdParam = [param('productId').isInt({ min: 1 }).toInt(), handleValidationErrors];
+
+// Les routes par nom restent disponibles le temps que les clients passent aux identifiants
+const NAME_ROUTES_DEPRECATED_AT = '2026-10-19T00:00:00Z';
+const NAME_ROUTES_SUNSET_AT = process.env.NAME_ROUTES_SUNSET_AT || '2027-04-30T00:00:00Z';
+
+const deprecatedByName = (req, res, next) => {
+    res.set('Deprecation', `@${Math.floor(Date.parse(NAME_ROUTES_DEPRECATED_AT) / 1000)}`);
+    res.set('Sunset', new Date(NAME_ROUTES_SUNSET_AT).toUTCString());
+    next();
+};
+
+const toggleFavorite = async (req, res) => {
+    try {
+        const { product } = req;
+
+        const existingFavorite = await dbGet(
+            'SELECT id FROM favorites WHERE user_id = ? AND product_id = ?',
+            [req.user.id, product.id]
+        );
+
+        if (existingFavorite) {
+            await dbRun('DELETE FROM favorites WHERE id = ?', [existingFavorite.id]);
+            res.json({ success: true, message: 'Produit retiré des favoris', isFavorite: false });
+        } else {
+            await dbRun('INSERT INTO favorites (user_id, product_id) VALUES (?, ?)', [req.user.id, product.id]);
+            res.json({ success: true, message: 'Produit ajouté aux favoris', isFavorite: true });
+        }
+    } catch (error) {
+        console.error('Erreur toggle favoris:', error);
+        res.status(500).json({ success: false, message: 'Erreur gestion favoris' });
+    }
+};
+
+// Vérifier qu'une ligne du panier d'un utilisateur peut passer à `quantity` paires
+const checkCartQuantity = async (userId, product, variant, quantity) => {
+    const { otherLines } = await dbGet(
+        'SELECT COALESCE(SUM(quantity), 0) as otherLines FROM cart_items WHERE user_id = ? AND product_id = ? AND variant_id != ?',
+        [userId, product.id, variant.id]
+    );
+    return cartQuantityError(product, variant, quantity, otherLines);
+};
+
+const cartSizeValidation = [
+    body('size').isFloat().withMessage('Veuillez choisir une taille').toFloat(),
+    handleValidationErrors
+];
+
+const addToCart = async (req, res) => {
+    try {
+        const { product } = req;
+        if (product.archived_at) {
+            return res.status(404).json({ success: false, message: 'Produit non trouvé' });
+        }
+
+        const variant = await dbGet(
+            'SELECT id, size, stock FROM product_variants WHERE product_id = ? AND size = ?',
+            [product.id, req.body.size]
+        );
+        if (!variant) {
+            return res.status(400).json({ success: false, message: 'Taille indisponible pour ce produit' });
+        }
+
+        if (!req.user) {
+            const quantity = guestCartQuantity(req.session, variant.id) + 1;
+            const quantityError = setGuestCartQuantity(req.session, product, variant, quantity);
+            if (quantityError) {
+                return res.status(409).json({ success: false, message: quantityError });
+            }
+            return res.json({ success: true, message: 'Produit ajouté au panier', item: { id: variant.id, quantity } });
+        }
+
+        const existingItem = await dbGet(
+            'SELECT id, quantity FROM cart_items WHERE user_id = ? AND variant_id = ?',
+            [req.user.id, variant.id]
+        );
+
+        const quantity = (existingItem ? existingItem.quantity : 0) + 1;
+        const quantityError = await checkCartQuantity(req.user.id, product, variant, quantity);
+        if (quantityError) {
+            return res.status(409).json({ success: false, message: quantityError });
+        }
+
+        let cartItemId;
+        if (existingItem) {
+            await dbRun('UPDATE cart_items SET quantity = quantity + 1 WHERE id = ?', [existingItem.id]);
+            cartItemId = existingItem.id;
+        } else {
+            const result = await dbRun(
+                'INSERT INTO cart_items (user_id, product_id, variant_id, quantity) VALUES (?, ?, ?, 1)',
+                [req.user.id, product.id, variant.id]
+            );
+            cartItemId = result.id;
+        }
+
+        res.json({ success: true, message: 'Produit ajouté au panier', item: { id: cartItemId, quantity } });
+    } catch (error) {
+        console.error('Erreur ajout panier:', error);
+        res.status(500).json({ success: false, message: 'Erreur ajout panier' });
+    }
+};
+
+// Suppression panier (une pointure avec ?size=42, sinon toutes les pointures du produit)
+const removeFromCart = async (req, res) => {
+    try {
+        const { product } = req;
+
+        if (!req.user) {
+            const variants = await dbAll(
+                'SELECT id, size, stock FROM product_variants WHERE product_id = ?',
+                [product.id]
+            );
+            variants
+                .filter(variant => req.query.size === undefined || variant.size === parseFloat(req.query.size))
+                .forEach(variant => setGuestCartQuantity(req.session, product, variant, 0));
+            return res.json({ success: true, message: 'Produit retiré du panier' });
+        }
+
+        if (req.query.size !== undefined) {
+            await dbRun(`
+                DELETE FROM cart_items 
+                WHERE user_id = ? AND variant_id IN (SELECT id FROM product_variants WHERE product_id = ? AND size = ?)
+            `, [req.user.id, product.id, parseFloat(req.query.size)]);
+        } else {
+            await dbRun('DELETE FROM cart_items WHERE user_id = ? AND product_id = ?', [req.user.id, product.id]);
+        }
+
+        res.json({ success: true, message: 'Produit retiré du panier' });
+    } catch (error) {
+        console.error('Erreur suppression panier:', error);
+        res.status(500).json({ success: false, message: 'Erreur suppression panier' });
+    }
+};
+
+// Favoris
+app.post('/api/users/favorites/:productName', authenticateToken, requireVerifiedEmail('favorites'), deprecatedByName, loadProductByName, toggleFavorite);
+app.post('/api/v2/users/favorites/:productId', authenticateToken, requireVerifiedEmail('favorites'), productIdParam, loadProductById, toggleFavorite);
+
+// Panier
+const getCartItems = (req) => {
+    if (!req.user) {
+        return getGuestCartItems(req.session);
+    }
+    return dbAll(`
+        SELECT p.*, c.id as cart_item_id, c.quantity, c.variant_id, v.size, v.sku, v.stock 
+        FROM cart_items c 
+        JOIN products p ON c.product_id = p.id 
+        JOIN product_variants v ON c.variant_id = v.id 
+        WHERE c.user_id = ?
+        ORDER BY c.id
+    `, [req.user.id]);
+};
+
+// Panier chiffré côté serveur : le navigateur n'affiche que ces montants
+const buildCartResponse = async (req) => {
+    const cartItems = await getCartItems(req);
+    attachMaxQuantities(cartItems);
+    await attachImages(cartItems);
+
+    const { promotion, promo } = await sessionPromotion(req.session, cartItems, req.user && req.user.id);
+    const pricing = priceCart(cartItems, promotion);
+    pricing.lines.forEach((line, index) => {
+        cartItems[index].unit_price = fromCents(line.unitPrice);
+        cartItems[index].line_total = fromCents(line.lineTotal);
+    });
+
+    return { cartItems, summary: formatSummary(pricing), promo };
+};
+
+app.get('/api/users/cart', optionalAuth, async (req, res) => {
+    try {
+        res.json({ success: true, ...(await buildCartResponse(req)) });
+    } catch (error) {
+        console.error('Erreur panier:', error);
+        res.status(500).json({ success: false, message: 'Erreur récupération panier' });
+    }
+});
+
+// Code promo du panier, gardé en session et revérifié à chaque affichage et à la commande
+// (déclaré avant les routes par nom de produit, qui captureraient "promo")
+app.post('/api/users/cart/promo', optionalAuth, [
+    body('code').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Code promo requis')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const promotion = await findPromotion(req.body.code);
+        const error = await promotionError(promotion, await getCartItems(req), req.user && req.user.id);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        req.session.promoCode = promotion.code;
+        res.json({ success: true, message: 'Code promo appliqué', ...(await buildCartResponse(req)) });
+    } catch (error) {
+        console.error('Erreur code promo:', error);
+        res.status(500).json({ success: false, message: 'Erreur application du code promo' });
+    }
+});
+
+app.delete('/api/users/cart/promo', optionalAuth, async (req, res) => {
+    try {
+        delete req.session.promoCode;
+        res.json({ success: true, message: 'Code promo retiré', ...(await buildCartResponse(req)) });
+    } catch (error) {
+        console.error('Erreur retrait code promo:', error);
+        res.status(500).json({ success: false, message: 'Erreur retrait du code promo' });
+    }
+});
+
+// Panier (les routes v2 acceptent aussi les visiteurs : panier gardé en session)
+app.post('/api/users/cart/:productName', authenticateToken, deprecatedByName, cartSizeValidation, loadProductByName, addToCart);
+app.post('/api/v2/users/cart/:productId', optionalAuth, productIdParam, cartSizeValidation, loadProductById, addToCart);
+
+app.delete('/api/users/cart/:productName', authenticateToken, deprecatedByName, loadProductByName, removeFromCart);
+app.delete('/api/v2/users/cart/:productId', optionalAuth, productIdParam, loadProductById, removeFromCart);
+
+// Quantité exacte d'une ligne du panier (0 retire la ligne)
+// Pour un visiteur, l'identifiant de ligne est celui de la pointure
+app.patch('/api/users/cart/:itemId', optionalAuth, [
+    param('itemId').isInt({ min: 1 }).toInt(),
+    body('quantity').isInt({ min: 0, max: 99 }).withMessage('Quantité invalide').toInt()
+], handleValidationErrors, async (req, res) => {
+    try {
+        const { quantity } = req.body;
+
+        if (!req.user) {
+            const variant = guestCartQuantity(req.session, req.params.itemId) > 0 && await dbGet(`
+                SELECT v.id, v.size, v.stock, p.id as product_id, p.max_per_order 
+                FROM product_variants v 
+                JOIN products p ON v.product_id = p.id 
+                WHERE v.id = ?
+            `, [req.params.itemId]);
+            if (!variant) {
+                return res.status(404).json({ success: false, message: 'Article non trouvé dans le panier' });
+            }
+
+            const product = { id: variant.product_id, max_per_order: variant.max_per_order };
+            const quantityError = setGuestCartQuantity(req.session, product, variant, quantity);
+            if (quantityError) {
+                return res.status(409).json({ success: false, message: quantityError });
+            }
+            return res.json({
+                success: true,
+                message: quantity === 0 ? 'Produit retiré du panier' : 'Quantité mise à jour',
+                item: { id: variant.id, quantity }
+            });
+        }
+
+        const item = await dbGet(`
+            SELECT c.id, c.product_id, c.variant_id, p.max_per_order, v.size, v.stock 
+            FROM cart_items c 
+            JOIN products p ON c.product_id = p.id 
+            JOIN product_variants v ON c.variant_id = v.id 
+            WHERE c.id = ? AND c.user_id = ?
+        `, [req.params.itemId, req.user.id]);
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Article non trouvé dans le panier' });
+        }
+
+        if (quantity === 0) {
+            await dbRun('DELETE FROM cart_items WHERE id = ?', [item.id]);
+            return res.json({ success: true, message: 'Produit retiré du panier', item: { id: item.id, quantity: 0 } });
+        }
+
+        const product = { id: item.product_id, max_per_order: item.max_per_order };
+        const variant = { id: item.variant_id, size: item.size, stock: item.stock };
+        const quantityError = await checkCartQuantity(req.user.id, product, variant, quantity);
+        if (quantityError) {
+            return res.status(409).json({ success: false, message: quantityError });
+        }
+
+        await dbRun('UPDATE cart_items SET quantity = ? WHERE id = ?', [quantity, item.id]);
+        res.json({ success: true, message: 'Quantité mise à jour', item: { id: item.id, quantity } });
+    } catch (error) {
+        console.error('Erreur quantité panier:', error);
+        res.status(500).json({ success: false, message: 'Erreur mise à jour panier' });
+    }
+});
+
+// Vider le panier
+app.delete('/api/users/cart', optionalAuth, async (req, res) => {
+    try {
+        if (!req.user) {
+            req.session.guestCart = [];
+        } else {
+            await dbRun('DELETE FROM cart_items WHERE user_id = ?', [req.user.id]);
+        }
+        res.json({ success: true, message: 'Panier vidé' });
+    } catch (error) {
+        console.error('Erreur vidage panier:', error);
+        res.status(500).json({ success: false, message: 'Erreur vidage panier' });
+    }
+});
+
+// ==================== ROUTES COMMANDES ====================
+
+// Adresse de commande : une adresse du carnet (`...Id`) ou une adresse saisie (objet)
+const resolveCheckoutAddress = async (userId, addressId, address) => {
+    if (address) return address;
+    return addressId ? getAddress(userId, addressId) : null;
+};
+
+// Passer commande à partir du panier, avec une adresse de livraison obligatoire
+// (la facturation reprend la livraison sauf adresse de facturation fournie)
+app.post('/api/orders', authenticateToken, requireVerifiedEmail('checkout'), [
+    body('shippingAddressId').if(body('shippingAddress').not().exists())
+        .isInt({ min: 1 }).withMessage('Adresse de livraison requise')
+        .toInt(),
+    body('shippingAddress').optional().isObject().withMessage('Adresse de livraison invalide'),
+    ...addressValidation({ prefix: 'shippingAddress.' }),
+    body('billingAddressId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Adresse de facturation invalide').toInt(),
+    body('billingAddress').optional().isObject().withMessage('Adresse de facturation invalide'),
+    ...addressValidation({ prefix: 'billingAddress.' }),
+    body('saveAddress').optional().isBoolean().toBoolean()
+], handleValidationErrors, async (req, res) => {
+    try {
+        const shippingAddress = await resolveCheckoutAddress(req.user.id, req.body.shippingAddressId, req.body.shippingAddress);
+        const billingAddress = req.body.billingAddress || req.body.billingAddressId
+            ? await resolveCheckoutAddress(req.user.id, req.body.billingAddressId, req.body.billingAddress)
+            : shippingAddress;
+        if (!shippingAddress || !billingAddress) {
+            return res.status(404).json({ success: false, message: 'Adresse non trouvée' });
+        }
+
+        const order = await dbTransaction(async () => {
+            const cartItems = await dbAll(`
+                SELECT p.id as product_id, p.name, p.brand, p.price, p.weight_grams, p.archived_at, c.quantity, c.variant_id, v.size, v.sku 
+                FROM cart_items c 
+                JOIN products p ON c.product_id = p.id 
+                JOIN product_variants v ON c.variant_id = v.id 
+                WHERE c.user_id = ?
+            `, [req.user.id]);
+
+            if (cartItems.length === 0) {
+                return null;
+            }
+
+            // Le code promo est revérifié au moment de commander (limites d'utilisation comprises)
+            const promotion = req.session.promoCode ? await findPromotion(req.session.promoCode) : null;
+            if (req.session.promoCode) {
+                const promoError = await promotionError(promotion, cartItems, req.user.id);
+                if (promoError) {
+                    const error = new Error(`Code promo ${req.session.promoCode} : ${promoError}`);
+                    error.status = 409;
+                    throw error;
+                }
+            }
+
+            const pricing = priceCart(cartItems, promotion);
+            const { lines } = pricing;
+
+            // Décrément atomique : la mise à jour échoue si le stock a été vendu entre-temps
+            for (const line of lines) {
+                if (line.archived_at) {
+                    const error = new Error(`${line.name} n'est plus disponible à la vente`);
+                    error.status = 409;
+                    error.details = { productId: line.product_id, variantId: line.variant_id, size: line.size };
+                    throw error;
+                }
+
+                const update = await dbRun(
+                    'UPDATE product_variants SET stock = stock - ? WHERE id = ? AND stock >= ?',
+                    [line.quantity, line.variant_id, line.quantity]
+                );
+                if (update.changes === 0) {
+                    const error = new Error(`${line.name} en taille ${line.size} n'est plus disponible en quantité suffisante`);
+                    error.status = 409;
+                    error.details = { productId: line.product_id, variantId: line.variant_id, size: line.size };
+                    throw error;
+                }
+            }
+
+            const orderNumber = generateOrderNumber();
+
+            const result = await dbRun(
+                `INSERT INTO orders (order_number, user_id, subtotal_amount, promotion_id, promo_code, discount_amount, 
+                                     shipping_amount, tax_amount, total_amount, shipping_address, billing_address) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [orderNumber, req.user.id, fromCents(pricing.subtotal),
+                    promotion ? promotion.id : null, promotion ? promotion.code : null, fromCents(pricing.discount),
+                    fromCents(pricing.shipping), fromCents(pricing.vat.amount), fromCents(pricing.total),
+                    addressSnapshot(shippingAddress), addressSnapshot(billingAddress)]
+            );
+            await recordStatusChange(result.id, null, 'pending');
+
+            for (const line of lines) {
+                await dbRun(
+                    `INSERT INTO order_items (order_id, product_id, product_name, product_brand, variant_id, size, sku, unit_price, quantity, line_total) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [result.id, line.product_id, line.name, line.brand, line.variant_id, line.size, line.sku,
+                        fromCents(line.unitPrice), line.quantity, fromCents(line.lineTotal)]
+                );
+            }
+
+            await dbRun('DELETE FROM cart_items WHERE user_id = ?', [req.user.id]);
+
+            return {
+                id: result.id,
+                orderNumber,
+                status: 'pending',
+                subtotalAmount: fromCents(pricing.subtotal),
+                promoCode: promotion ? promotion.code : null,
+                discountAmount: fromCents(pricing.discount),
+                shippingAmount: fromCents(pricing.shipping),
+                taxAmount: fromCents(pricing.vat.amount),
+                totalAmount: fromCents(pricing.total),
+                itemCount: pricing.itemCount
+            };
+        });
+
+        if (!order) {
+            return res.status(400).json({ success: false, message: 'Votre panier est vide' });
+        }
+
+        delete req.session.promoCode;
+
+        // Adresse saisie à la commande : ajoutée au carnet si demandé (et si le carnet est accessible)
+        if (req.body.shippingAddress && req.body.saveAddress && !userRestrictions(req.user).includes('addresses')) {
+            await createAddress(req.user.id, req.body.shippingAddress);
+        }
+
+        res.status(201).json({ success: true, message: 'Commande passée avec succès', order });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message, unavailable: error.details });
+        }
+        console.error('Erreur commande:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de la commande' });
+    }
+});
+
+// Historique des commandes
+app.get('/api/users/orders', authenticateToken, async (req, res) => {
+    try {
+        const orders = await dbAll(`
+            SELECT id, order_number, status, subtotal_amount, promo_code, discount_amount, shipping_amount, tax_amount, 
+                   total_amount, shipping_address, created_at 
+            FROM orders 
+            WHERE user_id = ?
+            ORDER BY created_at DESC, id DESC
+        `, [req.user.id]);
+
+        const items = await dbAll(`
+            SELECT oi.* 
+            FROM order_items oi 
+            JOIN orders o ON oi.order_id = o.id 
+            WHERE o.user_id = ?
+            ORDER BY oi.id
+        `, [req.user.id]);
+
+        orders.forEach(order => {
+            order.items = items.filter(item => item.order_id === order.id);
+            order.shipping_address = parseAddressSnapshot(order.shipping_address);
+        });
+
+        res.json({ success: true, orders });
+    } catch (error) {
+        console.error('Erreur historique commandes:', error);
+        res.status(500).json({ success: false, message: 'Erreur récupération commandes' });
+    }
+});
+
+// Détail d'une commande
+app.get('/api/users/orders/:orderId', authenticateToken, async (req, res) => {
+    try {
+        const order = await dbGet(
+            `SELECT id, order_number, status, subtotal_amount, promo_code, discount_amount, shipping_amount, tax_amount, 
+                    total_amount, shipping_address, billing_address, created_at 
+             FROM orders WHERE id = ? AND user_id = ?`,
+            [req.params.orderId, req.user.id]
+        );
+
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Commande non trouvée' });
+        }
+
+        order.shipping_address = parseAddressSnapshot(order.shipping_address);
+        order.billing_address = parseAddressSnapshot(order.billing_address);
+        order.items = await dbAll('SELECT * FROM order_items WHERE order_id = ? ORDER BY id', [order.id]);
+        order.history = await dbAll(
+            'SELECT from_status, to_status, created_at FROM order_status_history WHERE order_id = ? ORDER BY id',
+            [order.id]
+        );
+        const payment = await getOrderPayment(order.id);
+        order.payment = payment ? publicPayment(payment) : null;
+
+        res.json({ success: true, order });
+    } catch (error) {
+        console.error('Erreur détail commande:', error);
+        res.status(500).json({ success: false, message: 'Erreur récupération commande' });
+    }
+});
+
+// Annuler une commande non payée (ses pointures reviennent en stock)
+app.post('/api/users/orders/:orderId/cancel', authenticateToken, [
+    param('orderId').isInt({ min: 1 }).withMessage('Commande invalide')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const order = await dbGet('SELECT id FROM orders WHERE id = ? AND user_id = ?', [req.params.orderId, req.user.id]);
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Commande non trouvée' });
+        }
+
+        const result = await cancelPendingOrder(order.id, req.user.id, 'Annulée par le client');
+        if (!result.success) {
+            return res.status(409).json(result);
+        }
+
+        res.json({ success: true, message: 'Commande annulée', status: result.status });
+    } catch (error) {
+        console.error('Erreur annulation commande:', error);
+        res.status(500).json({ success: false, message: 'Erreur lors de l\'annulation' });
+    }
+});
+
+// ==================== ROUTES PAIEMENT ====================
+
+// Commande en attente de paiement de l'utilisateur connecté
+const findPayableOrder = async (req, res) => {
+    const order = await dbGet('SELECT * FROM orders WHERE id = ? AND user_id = ?', [req.params.orderId, req.user.id]);
+    if (!order) {
+        res.status(404).json({ success: false, message: 'Commande non trouvée' });
+        return null;
+    }
+    if (order.status !== 'pending') {
+        res.status(409).json({ success: false, message: 'Cette commande n\'est plus en attente de paiement' });
+        return null;
+    }
+    return order;
+};
+
+// Payer une commande : la commande ne passe à "payée" qu'à la confirmation du prestataire (webhook)
+app.post('/api/orders/:orderId/payment', authenticateToken, requireVerifiedEmail('checkout'), [
+    param('orderId').isInt({ min: 1 }).withMessage('Commande invalide'),
+    body('paymentMethod').isObject().withMessage('Moyen de paiement requis')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const order = await findPayableOrder(req, res);
+        if (!order) return;
+
+        const result = await payOrder(order, req.body.paymentMethod);
+        res.status(result.success ? 200 : 409).json(result);
+    } catch (error) {
+        console.error('Erreur paiement:', error);
+        res.status(502).json({ success: false, message: 'Prestataire de paiement indisponible' });
+    }
+});
+
+// Résultat de l'authentification forte (3-D Secure) demandée pendant le paiement
+app.post('/api/orders/:orderId/payment/challenge', authenticateToken, requireVerifiedEmail('checkout'), [
+    param('orderId').isInt({ min: 1 }).withMessage('Commande invalide'),
+    body('approve').isBoolean().withMessage('Réponse d\'authentification requise')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const order = await findPayableOrder(req, res);
+        if (!order) return;
+
+        const result = await completeChallenge(order, req.body.approve === true || req.body.approve === 'true');
+        res.status(result.success ? 200 : 409).json(result);
+    } catch (error) {
+        console.error('Erreur authentification paiement:', error);
+        res.status(502).json({ success: false, message: 'Prestataire de paiement indisponible' });
+    }
+});
+
+// Notifications des prestataires (sans session ni CSRF : la signature fait foi)
+app.post('/api/payments/webhook/:provider', async (req, res) => {
+    try {
+        const result = await handleWebhook(req.params.provider, req.rawBody || Buffer.from(''), req.headers);
+        res.json({ received: true, duplicate: result.duplicate });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Erreur webhook paiement:', error);
+        res.status(500).json({ success: false, message: 'Erreur traitement webhook' });
+    }
+});
+
+// ==================== ROUTES ADMIN ====================
 
 // Gestion utilisateurs
 app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
@@ -432,11 +1866,125 @@ app.get('/api/admin/products', authenticateToken, requireAdmin, async (req, res)
     res.json(result);
 });
 
-app.post('/api/admin/products', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/products', authenticateToken, requireAdmin, productValidation(), handleValidationErrors, async (req, res) => {
     const result = await AdminFunctions.addProduct(req.body);
     res.json(result);
 });
 
+app.put('/api/admin/products/:productId', authenticateToken, requireAdmin, [
+    param('productId').isInt({ min: 1 }),
+    ...productValidation(true),
+    body('archived').optional().isBoolean().toBoolean(),
+    body('variants').optional().isArray(),
+    body('variants.*.size').custom((value) => {
+        const error = validateSizes(String(value));
+        if (error) throw new Error(error);
+        return true;
+    }).toFloat(),
+    body('variants.*.stock').isInt({ min: 0 }).toInt()
+], handleValidationErrors, async (req, res) => {
+    const result = await AdminFunctions.updateProduct(req.params.productId, req.body);
+    res.json(result);
+});
+
+app.delete('/api/admin/products/:productId', authenticateToken, requireAdmin, [
+    param('productId').isInt({ min: 1 })
+], handleValidationErrors, async (req, res) => {
+    const result = await AdminFunctions.deleteProduct(req.params.productId);
+    res.json(result);
+});
+
+// Photos produit
+// Identifiant et produit vérifiés avant de recevoir les fichiers en mémoire
+app.post('/api/admin/products/:productId/images', authenticateToken, requireAdmin, productIdParam, loadProductById, handleImageUpload, async (req, res) => {
+    const files = req.files || [];
+    if (files.length === 0) {
+        return res.status(400).json({ success: false, message: 'Aucune photo envoyée' });
+    }
+
+    // Le type déclaré doit correspondre au contenu réel du fichier
+    const invalidFile = files.find(file => detectImageType(file.buffer) !== file.mimetype);
+    if (invalidFile) {
+        return res.status(400).json({
+            success: false,
+            message: `${invalidFile.originalname} n'est pas une image JPEG, PNG ou WebP valide`
+        });
+    }
+
+    const result = await AdminFunctions.addProductImages(req.product.id, files);
+    res.json(result);
+});
+
+app.put('/api/admin/products/:productId/images/order', authenticateToken, requireAdmin, [
+    param('productId').isInt({ min: 1 }),
+    body('imageIds').isArray({ min: 1 }),
+    body('imageIds.*').isInt({ min: 1 }).toInt()
+], handleValidationErrors, async (req, res) => {
+    const result = await AdminFunctions.reorderProductImages(req.params.productId, req.body.imageIds);
+    res.json(result);
+});
+
+app.delete('/api/admin/products/:productId/images/:imageId', authenticateToken, requireAdmin, [
+    param('productId').isInt({ min: 1 }),
+    param('imageId').isInt({ min: 1 })
+], handleValidationErrors, async (req, res) => {
+    const result = await AdminFunctions.deleteProductImage(req.params.productId, req.params.imageId);
+    res.json(result);
+});
+
+// Codes promo
+app.get('/api/admin/promotions', authenticateToken, requireAdmin, async (req, res) => {
+    const result = await AdminFunctions.getPromotions();
+    res.json(result);
+});
+
+app.post('/api/admin/promotions', authenticateToken, requireAdmin, promotionValidation(), handleValidationErrors, async (req, res) => {
+    const result = await AdminFunctions.addPromotion(req.body);
+    res.json(result);
+});
+
+app.put('/api/admin/promotions/:promotionId', authenticateToken, requireAdmin, [
+    param('promotionId').isInt({ min: 1 }),
+    ...promotionValidation(true)
+], handleValidationErrors, async (req, res) => {
+    const result = await AdminFunctions.updatePromotion(req.params.promotionId, req.body);
+    res.json(result);
+});
+
+app.delete('/api/admin/promotions/:promotionId', authenticateToken, requireAdmin, [
+    param('promotionId').isInt({ min: 1 })
+], handleValidationErrors, async (req, res) => {
+    const result = await AdminFunctions.deletePromotion(req.params.promotionId);
+    res.json(result);
+});
+
+// Gestion commandes admin
+app.get('/api/admin/orders', authenticateToken, requireAdmin, async (req, res) => {
+    const result = await AdminFunctions.getOrders({ status: req.query.status });
+    res.json(result);
+});
+
+// Activité de connexion suspecte (période en heures, 24 par défaut)
+app.get('/api/admin/security', authenticateToken, requireAdmin, [
+    query('hours').optional().isInt({ min: 1, max: 720 }).toInt()
+], handleValidationErrors, async (req, res) => {
+    const result = await AdminFunctions.getSecurityActivity(req.query.hours || 24);
+    res.json(result);
+});
+
+app.put('/api/admin/orders/:orderId/status', authenticateToken, requireAdmin, [
+    param('orderId').isInt({ min: 1 }).toInt(),
+    body('status').isIn(ORDER_STATUSES),
+    body('note').optional().isString().isLength({ max: 500 }),
+    body('returned').optional().isBoolean().toBoolean()
+], handleValidationErrors, async (req, res) => {
+    const { orderId } = req.params;
+    const { status, note, returned } = req.body;
+
+    const result = await AdminFunctions.updateOrderStatus(orderId, status, req.user.id, note, returned === true);
+    res.json(result);
+});
+
 // ==================== GESTION D'ERREURS ====================
 
 app.use((err, req, res, next) => {
@@ -462,6 +2010,7 @@ app.use((req, res) => {
 const startServer = async () => {
     try {
         await initDatabase();
+        scheduleOrderExpiry();
 
         const PORT = process.env.PORT || 3000;
 
@@ -0,0 +1,175 @@
+const session = require('express-session');
+const { dbAll, dbGet, dbRun } = require('./database');
+
+// Durée d'une session classique (prolongée à chaque requête) et d'une session « Se souvenir de moi »
+const SESSION_TTL_MS = 30 * 60 * 1000;
+const REMEMBER_ME_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Fréquence du ménage des sessions expirées
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+const expiresAt = (sess) => {
+    const expires = sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires) : null;
+    return (expires || new Date(Date.now() + SESSION_TTL_MS)).toISOString();
+};
+
+// Sessions express-session conservées dans SQLite : elles survivent aux redémarrages du serveur.
+// L'utilisateur et l'appareil sont recopiés en colonnes pour la liste des sessions actives.
+class SQLiteSessionStore extends session.Store {
+    constructor() {
+        super();
+        this.cleanupTimer = setInterval(() => {
+            this.clearExpired().catch(error => console.error('Erreur nettoyage sessions:', error));
+        }, CLEANUP_INTERVAL_MS);
+        this.cleanupTimer.unref();
+    }
+
+    // Une session relue en base est marquée comme enregistrée (marque non persistée, voir set)
+    get(sid, callback) {
+        dbGet('SELECT data FROM sessions WHERE sid = ? AND expires_at > ?', [sid, new Date().toISOString()])
+            .then(row => callback(null, row ? { ...JSON.parse(row.data), stored: true } : null))
+            .catch(callback);
+    }
+
+    // Insertion pour une nouvelle session, mise à jour sinon : une requête commencée avant la révocation
+    // d'une session (ligne supprimée) ne la fait pas réapparaître en l'enregistrant
+    set(sid, sess, callback) {
+        const { stored, ...data } = sess;
+        const client = sess.client || {};
+        const values = [sess.userId || null, JSON.stringify(data), client.userAgent || null, client.ip || null,
+            sess.remember ? 1 : 0, sess.signedInAt || null, expiresAt(sess), new Date().toISOString()];
+
+        const saved = stored
+            ? dbRun(
+                `UPDATE sessions SET user_id = ?, data = ?, user_agent = ?, ip = ?, remember = ?, signed_in_at = ?,
+                    expires_at = ?, last_seen_at = ?
+                 WHERE sid = ?`,
+                [...values, sid]
+            )
+            : dbRun(
+                `INSERT INTO sessions (user_id, data, user_agent, ip, remember, signed_in_at, expires_at, last_seen_at, sid)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [...values, sid]
+            ).then(result => {
+                sess.stored = true;
+                return result;
+            });
+        // changes à 0 : session révoquée entre-temps, rien n'est recréé
+        saved.then(() => callback && callback(null), callback);
+    }
+
+    // Session lue sans être modifiée : seule son expiration avance (rolling)
+    touch(sid, sess, callback) {
+        dbRun(
+            'UPDATE sessions SET expires_at = ?, last_seen_at = ? WHERE sid = ?',
+            [expiresAt(sess), new Date().toISOString(), sid]
+        ).then(() => callback && callback(null), callback);
+    }
+
+    destroy(sid, callback) {
+        dbRun('DELETE FROM sessions WHERE sid = ?', [sid]).then(() => callback && callback(null), callback);
+    }
+
+    clearExpired() {
+        return dbRun('DELETE FROM sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+    }
+}
+
+// Données de visite reprises dans la nouvelle session à la connexion
+// (csrfSecret : le jeton CSRF déjà remis au navigateur reste valable)
+const CARRIED_OVER_KEYS = ['guestCart', 'promoCode', 'csrfSecret'];
+
+// Nouvel identifiant de session à chaque étape de connexion : un identifiant fixé à l'avance
+// par un tiers (fixation de session) ne donne jamais accès au compte
+const regenerateSession = (req) => {
+    const carriedOver = Object.fromEntries(
+        CARRIED_OVER_KEYS.filter(key => req.session[key] !== undefined).map(key => [key, req.session[key]])
+    );
+
+    return new Promise((resolve, reject) => {
+        req.session.regenerate((error) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+            Object.assign(req.session, carriedOver);
+            resolve();
+        });
+    });
+};
+
+// Connecter l'utilisateur dans une nouvelle session (appareil et IP retenus pour la liste des sessions)
+const startUserSession = async (req, userId, { remember = false } = {}) => {
+    await regenerateSession(req);
+    req.session.userId = userId;
+    req.session.remember = remember;
+    req.session.signedInAt = new Date().toISOString();
+    req.session.client = { userAgent: req.get('user-agent') || null, ip: req.ip };
+    req.session.cookie.maxAge = remember ? REMEMBER_ME_TTL_MS : SESSION_TTL_MS;
+};
+
+// Dernière adresse IP connue de la session (l'appareil ne change pas)
+const trackSessionClient = (req) => {
+    if (req.session.client && req.session.client.ip !== req.ip) {
+        req.session.client = { ...req.session.client, ip: req.ip };
+    }
+};
+
+// « Chrome sur Windows » à partir du User-Agent (sans dépendance, familles courantes seulement)
+const BROWSERS = [[/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'], [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']];
+const SYSTEMS = [[/Windows/, 'Windows'], [/iPhone|iPad/, 'iOS'], [/Android/, 'Android'], [/Mac OS X|Macintosh/, 'macOS'], [/Linux/, 'Linux']];
+
+const describeDevice = (userAgent) => {
+    if (!userAgent) return 'Appareil inconnu';
+
+    const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+    const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent));
+    if (!browser && !system) return 'Appareil inconnu';
+
+    return [browser ? browser[1] : 'Navigateur', system ? `sur ${system[1]}` : null].filter(Boolean).join(' ');
+};
+
+const listUserSessions = async (userId, currentSid) => {
+    const rows = await dbAll(
+        'SELECT * FROM sessions WHERE user_id = ? AND expires_at > ? ORDER BY last_seen_at DESC, id DESC',
+        [userId, new Date().toISOString()]
+    );
+    return rows.map(row => ({
+        id: row.id,
+        device: describeDevice(row.user_agent),
+        userAgent: row.user_agent,
+        ip: row.ip,
+        remember: Boolean(row.remember),
+        signedInAt: row.signed_in_at,
+        lastSeenAt: row.last_seen_at,
+        expiresAt: row.expires_at,
+        current: row.sid === currentSid
+    }));
+};
+
+// Révoquer une autre session de l'utilisateur (la session courante se termine par la déconnexion)
+const revokeUserSession = async (userId, sessionId, currentSid) => {
+    const result = await dbRun(
+        'DELETE FROM sessions WHERE id = ? AND user_id = ? AND sid != ?',
+        [sessionId, userId, currentSid]
+    );
+    return result.changes === 1;
+};
+
+// Révoquer toutes les sessions de l'utilisateur, sauf éventuellement la session courante
+const revokeUserSessions = async (userId, exceptSid = null) => {
+    const result = await dbRun('DELETE FROM sessions WHERE user_id = ? AND sid IS NOT ?', [userId, exceptSid]);
+    return result.changes;
+};
+
+module.exports = {
+    SESSION_TTL_MS,
+    SQLiteSessionStore,
+    regenerateSession,
+    startUserSession,
+    trackSessionClient,
+    describeDevice,
+    listUserSessions,
+    revokeUserSession,
+    revokeUserSessions
+};
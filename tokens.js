@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { dbGet, dbRun } = require('./database');
+
+// Jetons envoyés par email (réinitialisation de mot de passe, vérification et changement d'adresse) :
+// seule leur empreinte SHA-256 est stockée, chacun expire et ne sert qu'une fois
+const TOKEN_PURPOSES = ['password_reset', 'email_verification', 'email_change'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Émettre un jeton (les jetons précédents du même usage sont révoqués) et renvoyer sa valeur en clair
+const issueToken = async (userId, purpose, ttlMinutes) => {
+    if (!TOKEN_PURPOSES.includes(purpose)) {
+        throw new Error(`Usage de jeton inconnu : ${purpose}`);
+    }
+
+    await dbRun(
+        'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+        [userId, purpose]
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await dbRun(
+        'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+        [userId, purpose, hashToken(token), new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString()]
+    );
+    return token;
+};
+
+// Jeton encore utilisable pour cet usage, ou null
+const findValidToken = async (token, purpose) => {
+    if (!token) return null;
+
+    const row = await dbGet(
+        'SELECT * FROM user_tokens WHERE token_hash = ? AND purpose = ? AND used_at IS NULL',
+        [hashToken(token), purpose]
+    );
+    if (!row || new Date(row.expires_at) <= new Date()) {
+        return null;
+    }
+    return row;
+};
+
+// Marquer un jeton comme utilisé ; false s'il vient d'être utilisé par une autre requête
+const consumeToken = async (tokenId) => {
+    const result = await dbRun(
+        'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        [tokenId]
+    );
+    return result.changes === 1;
+};
+
+module.exports = {
+    TOKEN_PURPOSES,
+    issueToken,
+    findValidToken,
+    consumeToken
+};
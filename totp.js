@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { dbGet, dbRun, dbTransaction } = require('./database');
+
+// Double authentification TOTP (RFC 6238) : codes à 6 chiffres renouvelés toutes les 30 secondes,
+// compatibles avec Google Authenticator, Authy, 1Password...
+const TOTP_ISSUER = 'SneakZone';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Décalage d'horloge toléré entre le serveur et le téléphone (en pas de 30 secondes)
+const TOTP_WINDOW = 1;
+
+// ADMIN_2FA_REQUIRED=false laisse les administrateurs accéder au panel sans double authentification
+const ADMIN_2FA_REQUIRED = process.env.ADMIN_2FA_REQUIRED !== 'false';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Les secrets sont chiffrés en base (AES-256-GCM) : une copie de la base ne suffit pas à générer des codes
+const encryptionKey = crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || 'sneakzone_totp_encryption_key_change_me')
+    .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (value) => {
+    const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+    return bits.match(/.{1,5}/g).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+const base32Decode = (text) => {
+    const bits = text.replace(/=+$/, '').toUpperCase().split('')
+        .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+        .join('');
+    return Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+};
+
+// Code HOTP (RFC 4226) pour un compteur donné
+const hotp = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const value = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+// Pas de temps correspondant au code, ou null s'il est faux ou hors de la fenêtre tolérée
+const matchTotp = (secret, code) => {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+    const step = currentStep();
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+        const expected = Buffer.from(hotp(secret, step + offset));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return step + offset;
+        }
+    }
+    return null;
+};
+
+// Accepter un code une seule fois : un code intercepté ne peut pas être rejoué dans sa fenêtre de validité
+const consumeTotp = async (user, code) => {
+    if (!user.totp_secret) return false;
+
+    const step = matchTotp(decryptSecret(user.totp_secret), code);
+    if (step === null) return false;
+
+    const result = await dbRun(
+        'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+        [step, user.id, step]
+    );
+    return result.changes === 1;
+};
+
+const otpauthUri = (email, secret) => {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+// La double authentification est-elle exigée pour ce compte ?
+const twoFactorRequired = (user) => ADMIN_2FA_REQUIRED && user.role === 'admin';
+
+// Nouveau secret en attente de confirmation (la 2FA n'est active qu'après un premier code valide)
+const startEnrollment = async (user) => {
+    const secret = base32Encode(crypto.randomBytes(20));
+    await dbRun('UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?', [encryptSecret(secret), user.id]);
+
+    const uri = otpauthUri(user.email, secret);
+    return { secret, otpauthUri: uri, qrCode: await QRCode.toString(uri, { type: 'svg', margin: 1 }) };
+};
+
+// Codes de secours : xxxxx-xxxxx, seule leur empreinte est conservée
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCode = () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+// Remplacer les codes de secours (à appeler dans une transaction) et renvoyer les nouveaux en clair
+const replaceRecoveryCodes = async (userId) => {
+    await dbRun('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    for (const code of codes) {
+        await dbRun('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hashRecoveryCode(code)]);
+    }
+    return codes;
+};
+
+// Activer la 2FA si le code correspond au secret en attente ; renvoie les codes de secours ou null
+const confirmEnrollment = async (user, code) => {
+    if (user.totp_enabled_at || !(await consumeTotp(user, code))) return null;
+
+    return dbTransaction(async () => {
+        await dbRun('UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+        return replaceRecoveryCodes(user.id);
+    });
+};
+
+const regenerateRecoveryCodes = (userId) => dbTransaction(() => replaceRecoveryCodes(userId));
+
+// Utiliser un code de secours (une seule fois)
+const consumeRecoveryCode = async (userId, code) => {
+    if (normalizeRecoveryCode(code).length !== 10) return false;
+
+    const result = await dbRun(
+        'UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+        [userId, hashRecoveryCode(code)]
+    );
+    return result.changes === 1;
+};
+
+// Second facteur à la connexion : code de l'application ou code de secours
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        return consumeRecoveryCode(user.id, recoveryCode);
+    }
+    return consumeTotp(user, code);
+};
+
+const disableTwoFactor = (userId) => {
+    return dbTransaction(async () => {
+        await dbRun(
+            'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+            [userId]
+        );
+        await dbRun('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    });
+};
+
+const getTwoFactorStatus = async (user) => {
+    const { remaining } = await dbGet(
+        'SELECT COUNT(*) as remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [user.id]
+    );
+    return {
+        enabled: Boolean(user.totp_enabled_at),
+        enabledAt: user.totp_enabled_at || null,
+        required: twoFactorRequired(user),
+        recoveryCodesRemaining: user.totp_enabled_at ? remaining : 0
+    };
+};
+
+const getTwoFactorUser = (userId) => {
+    return dbGet('SELECT id, email, first_name, role, is_active, totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = ?', [userId]);
+};
+
+module.exports = {
+    ADMIN_2FA_REQUIRED,
+    twoFactorRequired,
+    getTwoFactorUser,
+    getTwoFactorStatus,
+    startEnrollment,
+    confirmEnrollment,
+    regenerateRecoveryCodes,
+    verifySecondFactor,
+    consumeTotp,
+    disableTwoFactor
+};
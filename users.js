@@ -0,0 +1,138 @@
+const { dbGet, dbRun, dbTransaction } = require('./database');
+const { issueToken } = require('./tokens');
+const { appUrl, sendMail } = require('./mailer');
+const { emailVerificationEmail, emailChangeConfirmationEmail, emailChangeNoticeEmail } = require('./mailer/templates');
+const { twoFactorRequired } = require('./totp');
+
+// Fonctionnalités pouvant être réservées aux adresses email vérifiées
+const VERIFICATION_FEATURES = ['checkout', 'favorites', 'addresses'];
+
+// UNVERIFIED_EMAIL_RESTRICTIONS=checkout,favorites (vide = aucune restriction)
+const UNVERIFIED_RESTRICTIONS = (process.env.UNVERIFIED_EMAIL_RESTRICTIONS ?? 'checkout')
+    .split(',')
+    .map(feature => feature.trim())
+    .filter(Boolean);
+
+const unknownFeature = UNVERIFIED_RESTRICTIONS.find(feature => !VERIFICATION_FEATURES.includes(feature));
+if (unknownFeature) {
+    throw new Error(`Configuration invalide : UNVERIFIED_EMAIL_RESTRICTIONS=${unknownFeature}`);
+}
+
+// Durée de validité d'un lien de vérification et d'un lien de changement d'adresse
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+const EMAIL_CHANGE_TTL_HOURS = 24;
+
+// Fonctionnalités encore bloquées pour cet utilisateur
+const userRestrictions = (user) => (user.email_verified_at ? [] : UNVERIFIED_RESTRICTIONS);
+
+// Profil renvoyé au navigateur (même forme à la connexion, à la vérification de session et sur /me)
+const publicUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    role: user.role,
+    emailVerified: Boolean(user.email_verified_at),
+    pendingEmail: user.pending_email || null,
+    restrictions: userRestrictions(user),
+    twoFactorEnabled: Boolean(user.totp_enabled_at),
+    twoFactorRequired: twoFactorRequired(user),
+    createdAt: user.created_at
+});
+
+const getUserProfile = (userId) => {
+    return dbGet(
+        'SELECT id, email, first_name, last_name, role, email_verified_at, pending_email, totp_enabled_at, created_at FROM users WHERE id = ?',
+        [userId]
+    );
+};
+
+// Envoyer un lien de vérification à l'adresse actuelle du compte (révoque les liens précédents)
+const sendVerificationEmail = async (user) => {
+    const token = await issueToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60);
+    return sendMail({
+        to: user.email,
+        ...emailVerificationEmail({
+            firstName: user.first_name,
+            link: appUrl(`/verifier-email?token=${token}`),
+            expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+        })
+    });
+};
+
+// Changement d'adresse : la nouvelle adresse reste en attente jusqu'au clic sur le lien qu'elle reçoit,
+// l'adresse actuelle est prévenue (une session volée ne suffit pas à détourner le compte)
+const requestEmailChange = async (user, newEmail) => {
+    await dbRun('UPDATE users SET pending_email = ? WHERE id = ?', [newEmail, user.id]);
+    const token = await issueToken(user.id, 'email_change', EMAIL_CHANGE_TTL_HOURS * 60);
+
+    await sendMail({
+        to: newEmail,
+        ...emailChangeConfirmationEmail({
+            firstName: user.first_name,
+            newEmail,
+            link: appUrl(`/confirmer-email?token=${token}`),
+            expiresInHours: EMAIL_CHANGE_TTL_HOURS
+        })
+    });
+    await sendMail({
+        to: user.email,
+        ...emailChangeNoticeEmail({ firstName: user.first_name, newEmail, link: appUrl('/') })
+    });
+};
+
+// Appliquer le changement confirmé ; renvoie la nouvelle adresse, ou null si elle est prise entre-temps
+const confirmEmailChange = (userId) => {
+    return dbTransaction(async () => {
+        const user = await dbGet('SELECT pending_email FROM users WHERE id = ?', [userId]);
+        if (!user || !user.pending_email) return null;
+
+        const taken = await dbGet('SELECT id FROM users WHERE email = ? AND id != ?', [user.pending_email, userId]);
+        await dbRun('UPDATE users SET pending_email = NULL WHERE id = ?', [userId]);
+        if (taken) return null;
+
+        // Le clic sur le lien prouve que l'adresse appartient au titulaire du compte
+        await dbRun(
+            'UPDATE users SET email = ?, email_verified_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [user.pending_email, userId]
+        );
+        return user.pending_email;
+    });
+};
+
+// Abandonner un changement d'adresse en attente (lien révoqué)
+const cancelEmailChange = async (userId) => {
+    await dbRun('UPDATE users SET pending_email = NULL WHERE id = ?', [userId]);
+    await dbRun(
+        "UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = 'email_change' AND used_at IS NULL",
+        [userId]
+    );
+};
+
+// Supprimer un compte et ses données personnelles (favoris, panier, carnet d'adresses).
+// Les commandes sont conservées pour la comptabilité, avec leurs adresses figées, et les tentatives
+// de connexion pour l'historique de sécurité (vue « activité suspecte »).
+const deleteUserAccount = (userId) => {
+    return dbTransaction(async () => {
+        await dbRun('DELETE FROM favorites WHERE user_id = ?', [userId]);
+        await dbRun('DELETE FROM cart_items WHERE user_id = ?', [userId]);
+        await dbRun('DELETE FROM addresses WHERE user_id = ?', [userId]);
+        await dbRun('DELETE FROM user_tokens WHERE user_id = ?', [userId]);
+        await dbRun('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+        await dbRun('DELETE FROM sessions WHERE user_id = ?', [userId]);
+
+        const result = await dbRun('DELETE FROM users WHERE id = ?', [userId]);
+        return result.changes === 1;
+    });
+};
+
+module.exports = {
+    userRestrictions,
+    publicUser,
+    getUserProfile,
+    sendVerificationEmail,
+    requestEmailChange,
+    confirmEmailChange,
+    cancelEmailChange,
+    deleteUserAccount
+};